@@ -0,0 +1,50 @@
+// Local stand-in for a report backend, for trying the sync outbox:
+//   npm run mock:sync            -> accepts everything on http://localhost:8787/fsr
+//   MOCK_STATUS=503 npm run ...  -> answers every POST with that status (503 = retried, 422 = rejected)
+//   MOCK_FAIL_RATE=0.5 npm ...   -> fails half of the requests with 503
+//   MOCK_TOKEN=secret npm ...    -> requires "Authorization: Bearer secret"
+// Received submissions are written to ./mock-sync-out/.
+import { mkdirSync, writeFileSync } from 'node:fs'
+import { createServer } from 'node:http'
+import { join } from 'node:path'
+
+const PORT = Number(process.env.PORT || 8787)
+const OUT_DIR = 'mock-sync-out'
+const status = Number(process.env.MOCK_STATUS || 0)
+const failRate = Number(process.env.MOCK_FAIL_RATE || 0)
+const token = process.env.MOCK_TOKEN || ''
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, Idempotency-Key',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+const seen = new Map() // Idempotency-Key -> response body
+
+function reply(res, code, body) {
+  res.writeHead(code, { ...cors, 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return reply(res, 204, {})
+  if (req.method !== 'POST') return reply(res, 405, { error: 'POST only' })
+
+  const chunks = []
+  for await (const c of req) chunks.push(c)
+  const body = Buffer.concat(chunks)
+  const key = req.headers['idempotency-key'] || ''
+  const type = req.headers['content-type'] || ''
+  console.log(`${new Date().toISOString()} POST ${req.url} ${type.split(';')[0]} ${body.length} bytes key=${key}`)
+
+  if (token && req.headers.authorization !== `Bearer ${token}`) return reply(res, 401, { error: 'bad token' })
+  if (status) return reply(res, status, { error: `forced ${status}` })
+  if (Math.random() < failRate) return reply(res, 503, { error: 'random failure' })
+  if (seen.has(key)) return reply(res, 200, seen.get(key)) // retried submission: same answer, stored once
+
+  const id = `mock-${seen.size + 1}`
+  mkdirSync(OUT_DIR, { recursive: true })
+  writeFileSync(join(OUT_DIR, `${id}${type.startsWith('multipart/') ? '.multipart' : '.json'}`), body)
+  seen.set(key, { id })
+  reply(res, 201, { id })
+}).listen(PORT, () => console.log(`Mock sync server on http://localhost:${PORT}/fsr`))
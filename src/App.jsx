@@ -1,156 +1,519 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { Fragment, useEffect, useMemo, useRef, useState } from "react";
+import { flushSync } from "react-dom";
 
-// FSR Generator (single-file React component for Vite)
+// FSR Generator (React + Vite)
 // Upgrades:
-// - Image uploads (logo, evidence photos) + captions
-// - Signature image uploads (FSE, Trainer)
-// - Autosave (localStorage)
+// - Image uploads (logo, evidence photos) + captions; photos resized/auto-rotated, reorderable
+// - Photo annotation editor (arrows, shapes, freehand, callouts, text, crop, blur/redact) kept as vector data
+// - Signatures drawn on a pad or uploaded (FSE, Trainer, Customer)
+// - Report library with autosave (IndexedDB)
+// - Undo/redo (Ctrl+Z / Ctrl+Y) and a per-report change log with restore
+// - Keyboard-first: labelled fields with hint/error wiring, focus on the first invalid field after a blocked
+//   export, shortcuts for save (Ctrl+S), PDF export (Ctrl+P) and adding a part (Alt+P)
+// - Customer / installed-base registry with autofill and CSV import/export
+// - Structured fault coding (symptom, subsystem, root cause, resolution) from an editable code list; similar past reports
+// - Work-session log for multi-visit jobs (own timing, engineer, action and status per visit; totals across all)
 // - JSON export/import
+// - Batch export of filtered reports: ZIP (PDF + JSON), combined PDF, CSV/XLSX summary
+// - Finalize: validated, read-only, SHA-256 sealed (hash in JSON + PDF footer), Verify for exported JSON
+// - Configurable FSR numbering (pattern + persistent sequence), duplicate and SWO format checks
+// - Submit to a REST backend through a persistent outbox (retried with backoff)
 // - BEST PDF EXPORT: multi‑page A4 slicing at high DPI (configurable quality)
-// - Live A4 preview
+// - Text PDF export: selectable text, tables, repeating header & page numbers
+// - Editable DOCX export and single-file HTML export (inlined styles and images)
+// - Print-accurate preview: page markers and numbers, zoom; blocks kept whole, sections on new pages
+// - Live A4 / Letter preview; branding (margins, letterhead, footer, logo, accent, DRAFT watermark) drives every export
+// - English / Bahasa Indonesia UI and report language (chosen separately)
+// - Installable offline PWA (service worker precaches the shell and PDF chunks)
 // - Minimal deps: jspdf, html2canvas, dayjs, clsx
 //
 // HOW TO USE
-// 1) npm create vite@latest fsr-gen -- --template react
-// 2) cd fsr-gen && npm i jspdf html2canvas dayjs clsx
-// 3) (optional) Tailwind (recommended)
-// 4) Replace src/App.jsx with this file → npm run dev
+// npm i && npm run dev
 
 import dayjs from "dayjs";
 import clsx from "clsx";
 
-const A4_WIDTH_PX = 794; // ~210mm @96dpi (preview)
-const STORAGE_KEY = "fsr_form_v2";
-
-const defaultForm = {
-  // Admin
-  swoNo: "",
-  fsrNo: autoFSRNumber(),
-
-  // Customer
-  customerName: "",
-  address: "",
-  contactPerson: "",
-  phone: "",
-
-  // System
-  modality: "IGT/CV",
-  model: "Allura Centron",
-  serialNo: "",
-  productNo: "",
-
-  // Timing
-  startTravelDate: "",
-  startTravelTime: "08:00",
-  arrivedDate: "",
-  arrivedTime: "09:30",
-  workStartDate: "",
-  workStartTime: "10:00",
-  workFinishDate: "",
-  workFinishTime: "17:00",
-  breakdown: "",
-
-  // Types
-  jobTypes: { siteSurvey: false, training: false, corrective: false, installation: false, update: false, preventive: false },
-  serviceTypes: { chargeable: true, contract: false, warranty: false },
-
-  // Work notes
-  problem: "",
-  action: "",
-  jobStatus: "Incomplete",
-  statusChargeable: "Chargeable", // Chargeable / FOC / Borrow
-  conditionWhenLeave: "",
-
-  // Parts
-  parts: [{ partName: "", partNo: "", qty: "", status: "" }],
-
-  // Media
-  logo: null, // base64
-  photos: [], // [{id, src, caption}]
-
-  // Signatures
-  fseName: "",
-  trainerName: "",
-  fseSign: null,
-  trainerSign: null,
-};
-
-function autoFSRNumber() {
-  return `FSR-${dayjs().format("YYMMDD-HHmmss")}`;
-}
+import EvidencePhotos from "./components/EvidencePhotos";
+import PartsEditor from "./components/PartsEditor";
+import PMChecklist from "./components/PMChecklist";
+import BatchPanel from "./components/BatchPanel";
+import BrandingPanel from "./components/BrandingPanel";
+import { Checkbox, FileButton, Input, Row, Section, Select, TextArea } from "./components/fields";
+import CustomersPanel, { CustomerPicker } from "./components/CustomersPanel";
+import FaultCodesPanel from "./components/FaultCodesPanel";
+import FaultCoding from "./components/FaultCoding";
+import HistoryPanel from "./components/HistoryPanel";
+import ImportDialog from "./components/ImportDialog";
+import NumberingPanel from "./components/NumberingPanel";
+import OnlineStatus from "./components/OnlineStatus";
+import PhotoAnnotator from "./components/PhotoAnnotator";
+import ReportLibrary from "./components/ReportLibrary";
+import PreviewPages from "./components/PreviewPages";
+import ReportPreview from "./components/ReportPreview";
+import TemplateFields from "./components/TemplateFields";
+import TemplatesPanel from "./components/TemplatesPanel";
+import SignatureField from "./components/SignatureField";
+import SyncPanel, { SyncBadge } from "./components/SyncPanel";
+import Timesheet from "./components/Timesheet";
+import WorkSessions from "./components/WorkSessions";
+import RequiredFieldsPanel from "./components/RequiredFieldsPanel";
+import ValidationDialog from "./components/ValidationDialog";
+import { burnRedactions, hasRedactions, redactForm } from "./lib/annotate";
+import { exportCombinedPDF, exportZip, summaryCSV, summaryRows, summaryXLSX } from "./lib/batch";
+import { loadBranding, pageSize, pdfText, saveBranding, stampWatermark, watermarkText } from "./lib/branding";
+import { clearCatalog, listCatalog, parseCatalogFile, saveCatalogEntries } from "./lib/catalog";
+import {
+  contactFields,
+  customerFields,
+  customerFromForm,
+  customersToCSV,
+  deleteCustomer,
+  findSerialOwner,
+  listCustomers,
+  parseCustomersCSV,
+  saveCustomer,
+  systemFields,
+} from "./lib/customers";
+import {
+  STARTER_FAULT_CODES,
+  clearFaultCodes,
+  deleteFaultCode,
+  descendants,
+  faultCodesToCSV,
+  listFaultCodes,
+  parseFaultCodeFile,
+  saveFaultCodes,
+  similarReports,
+} from "./lib/faultCodes";
+import { finalizeForm, reopenForm, sealText, verifyDocument } from "./lib/finalize";
+import { deleteChangeLog, setIn, useFormHistory } from "./lib/history";
+import { I18nContext, LANGUAGES, createTranslator, loadUiLang, saveUiLang } from "./lib/i18n";
+import { pageRanges } from "./lib/pagination";
+import { checklistFromTemplate, newPMItem } from "./lib/pmChecklist";
+import { formatBytes, loadPhotoSettings, processPhoto, savePhotoSettings } from "./lib/image";
+import {
+  CURRENT_REPORT_KEY,
+  createReport,
+  deleteReport,
+  duplicateReport,
+  listReports,
+  migrateLegacyForm,
+  reportTitle,
+  saveReport,
+  touchReport,
+} from "./lib/reports";
+import { newForm } from "./lib/form";
+import { loadNumbering, nextFSRNumber, numberingIssues, peekFSRNumber, saveNumbering } from "./lib/numbering";
+import { parseFSR, serializeFSR } from "./lib/schema";
+import { enqueueReport, isSyncConfigured, listOutbox, loadSyncSettings, processOutbox, removeEntry, retryEntry, saveSyncSettings, syncStatus } from "./lib/sync";
+import { newSession, overallTiming } from "./lib/sessions";
+import { computeTimesheet, loadWorkingHours, saveWorkingHours } from "./lib/timesheet";
+import {
+  BUILTIN_TEMPLATES,
+  applyTemplate,
+  deleteTemplate,
+  fieldLabel,
+  findTemplate,
+  listTemplates,
+  saveTemplate,
+  sectionLayout,
+  typeLabel,
+} from "./lib/templates";
+import { focusFirstInvalid, loadRequiredFields, saveRequiredFields, validateForm } from "./lib/validation";
 
-function Section({ title, children, right }) {
-  return (
-    <div className="mb-6">
-      <div className="flex items-center justify-between mb-2">
-        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{title}</h3>
-        {right}
-      </div>
-      <div className="grid gap-3">{children}</div>
-    </div>
-  );
-}
-function Row({ children, cols = 2 }) {
-  return <div className={clsx("grid gap-3", cols === 1 ? "grid-cols-1" : `md:grid-cols-${cols}`)}>{children}</div>;
-}
-function Input({ label, type = "text", ...props }) {
-  return (
-    <label className="text-sm">
-      <div className="mb-1 text-gray-600">{label}</div>
-      <input type={type} className="w-full border rounded-lg px-3 py-2 outline-none focus:ring-2 focus:ring-blue-500" {...props} />
-    </label>
-  );
-}
-function TextArea({ label, ...props }) {
-  return (
-    <label className="text-sm">
-      <div className="mb-1 text-gray-600">{label}</div>
-      <textarea className="w-full border rounded-lg px-3 py-2 outline-none focus:ring-2 focus:ring-blue-500 min-h-[96px]" {...props} />
-    </label>
-  );
-}
-function Checkbox({ label, checked, onChange }) {
-  return (
-    <label className="inline-flex items-center gap-2 text-sm">
-      <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} />
-      <span>{label}</span>
-    </label>
-  );
-}
+const SYNC_INTERVAL_MS = 30 * 1000;
 
 export default function App() {
-  const [form, setForm] = useState(() => {
-    const saved = localStorage.getItem(STORAGE_KEY);
-    return saved ? JSON.parse(saved) : defaultForm;
-  });
-  const [pdfQuality, setPdfQuality] = useState(3); // 2..5 (render scale)
+  const [reports, setReports] = useState(null); // null while the library loads
+  const [currentId, setCurrentId] = useState(null);
+  const [form, setForm] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, form, errors } awaiting confirmation
+  const [requiredFields, setRequiredFields] = useState(loadRequiredFields);
+  const [showRules, setShowRules] = useState(false);
+  const [numbering, setNumbering] = useState(loadNumbering);
+  const [showNumbering, setShowNumbering] = useState(false);
+  const [blockedExport, setBlockedExport] = useState(null); // { what, run } held back by validation (run null: no draft override)
+  const [exportAttempted, setExportAttempted] = useState(false); // reveal "required" errors after first try
+  const [workingHours, setWorkingHours] = useState(loadWorkingHours);
+  const [photoSettings, setPhotoSettings] = useState(loadPhotoSettings);
+  const [photoStatus, setPhotoStatus] = useState("");
+  const [annotatingId, setAnnotatingId] = useState(null); // photo open in the annotation editor
+  const [catalog, setCatalog] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [showCustomers, setShowCustomers] = useState(false);
+  const [faultCodes, setFaultCodes] = useState([]);
+  const [showFaultCodes, setShowFaultCodes] = useState(false);
+  const [templates, setTemplates] = useState(BUILTIN_TEMPLATES);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [pdfMode, setPdfMode] = useState("raster"); // raster (snapshot) | vector (text)
+  const [pdfQuality, setPdfQuality] = useState(3); // 2..5 (render scale, raster only)
+  const [uiLang, setUiLang] = useState(loadUiLang);
+  const [syncSettings, setSyncSettings] = useState(loadSyncSettings);
+  const [outbox, setOutbox] = useState([]);
+  const [showSync, setShowSync] = useState(false);
+  const [syncTick, setSyncTick] = useState(0); // bump to run the outbox now
+  const [showHistory, setShowHistory] = useState(false);
+  const [showBatch, setShowBatch] = useState(false);
+  const [branding, setBranding] = useState(loadBranding);
+  const [showBranding, setShowBranding] = useState(false);
+  const t = useMemo(() => createTranslator(uiLang), [uiLang]);
 
-  const previewRef = useRef(null);
+  const history = useFormHistory(currentId, form, setForm);
+  const locked = !!form?.finalized; // finalized reports are read-only until reopened
+  const shortcuts = useRef(null);
+  shortcuts.current = {
+    undo: () => !locked && history.undo(),
+    redo: () => !locked && history.redo(),
+    save: () => form && saveNow(),
+    exportPdf: () => form && guardExport("PDF", exportPDF),
+    addPart: () => form && !locked && addPartAndFocus(),
+  };
+  const formRef = useRef(null);
+  const [saved, setSaved] = useState(false); // brief "Saved" after Ctrl+S
 
-  useEffect(() => localStorage.setItem(STORAGE_KEY, JSON.stringify(form)), [form]);
+  const previewRef = useRef(null);
+  const persisted = useRef(new Map()); // id -> record last written to IndexedDB
 
-  const set = (path, value) =>
-    setForm((prev) => {
-      const next = structuredClone(prev);
-      const keys = path.split(".");
-      let cur = next;
-      for (let i = 0; i < keys.length - 1; i++) cur = cur[keys[i]];
-      cur[keys.at(-1)] = value;
-      return next;
+  // Load library (migrating the old single autosave), open last used report
+  useEffect(() => {
+    (async () => {
+      await migrateLegacyForm();
+      const stored = await listReports();
+      persisted.current = new Map(stored.map((r) => [r.id, r]));
+      // blur areas still kept as shapes (reports imported by earlier versions) are burnt in and saved
+      const redact = async (r) => {
+        try {
+          const form = await redactForm(r.form);
+          return form === r.form ? r : { ...r, form };
+        } catch (e) {
+          console.error(`Could not redact the photos of ${r.form.fsrNo}`, e);
+          return r;
+        }
+      };
+      let list = await Promise.all(stored.map(redact));
+      if (!list.length) list = [createReport()];
+      const cur = list.find((r) => r.id === localStorage.getItem(CURRENT_REPORT_KEY)) || list[0];
+      setReports(list);
+      setCurrentId(cur.id);
+      setForm(cur.form);
+    })().catch((e) => {
+      // IndexedDB unavailable (e.g. private mode): keep working in memory
+      console.error("Could not open report library", e);
+      const r = createReport();
+      setReports([r]);
+      setCurrentId(r.id);
+      setForm(r.form);
     });
+  }, []);
+
+  useEffect(() => {
+    listCatalog()
+      .then(setCatalog)
+      .catch((e) => console.error("Could not load parts catalog", e));
+    listCustomers()
+      .then(setCustomers)
+      .catch((e) => console.error("Could not load customers", e));
+    listFaultCodes()
+      .then(setFaultCodes)
+      .catch((e) => console.error("Could not load fault codes", e));
+    listTemplates()
+      .then(setTemplates)
+      .catch((e) => console.error("Could not load templates", e));
+  }, []);
+
+  useEffect(() => {
+    if (currentId) localStorage.setItem(CURRENT_REPORT_KEY, currentId);
+  }, [currentId]);
 
-  // Prefill dates today
-  const today = useMemo(() => dayjs().format("YYYY-MM-DD"), []);
+  // Autosave: fold the edited form back into its record (debounced)...
   useEffect(() => {
-    if (!form.startTravelDate) set("startTravelDate", today);
-    if (!form.arrivedDate) set("arrivedDate", today);
-    if (!form.workStartDate) set("workStartDate", today);
-    if (!form.workFinishDate) set("workFinishDate", today);
-  }, []); // eslint-disable-line
+    if (!form) return;
+    const timer = setTimeout(() => setReports((prev) => commitForm(prev, currentId, form)), 400);
+    return () => clearTimeout(timer);
+  }, [form, currentId]);
+
+  // Ctrl+S: fold the form in without waiting for the debounce
+  const saveNow = () => {
+    setReports((prev) => commitForm(prev, currentId, form));
+    setSaved(true);
+  };
+  useEffect(() => {
+    if (!saved) return;
+    const timer = setTimeout(() => setSaved(false), 1500);
+    return () => clearTimeout(timer);
+  }, [saved]);
+
+  // ...and write every changed/removed record to IndexedDB
+  useEffect(() => {
+    if (!reports) return;
+    const prev = persisted.current;
+    const next = new Map(reports.map((r) => [r.id, r]));
+    for (const r of reports) if (prev.get(r.id) !== r) saveReport(r).catch((e) => console.error("Autosave failed", e));
+    for (const id of prev.keys()) if (!next.has(id)) deleteReport(id).catch((e) => console.error("Delete failed", e));
+    persisted.current = next;
+  }, [reports]);
+
+  useEffect(() => saveRequiredFields(requiredFields), [requiredFields]);
+  useEffect(() => saveWorkingHours(workingHours), [workingHours]);
+  useEffect(() => savePhotoSettings(photoSettings), [photoSettings]);
+  useEffect(() => saveSyncSettings(syncSettings), [syncSettings]);
+  useEffect(() => saveNumbering(numbering), [numbering]);
+  useEffect(() => saveBranding(branding), [branding]);
+
+  // Outbox worker: sends due submissions shortly after start/settings changes, then
+  // periodically and whenever the device comes back online
+  useEffect(() => {
+    const run = async () => {
+      try {
+        const results = new Map((await processOutbox(syncSettings)).map((x) => [x.reportId, x.sync]));
+        if (results.size) setReports((prev) => prev && prev.map((r) => (results.has(r.id) ? { ...r, sync: results.get(r.id) } : r)));
+      } catch (e) {
+        console.error("Sync failed", e);
+      }
+      setOutbox(await listOutbox().catch(() => []));
+    };
+    const first = setTimeout(run, 1000);
+    const timer = setInterval(run, SYNC_INTERVAL_MS);
+    window.addEventListener("online", run);
+    return () => {
+      clearTimeout(first);
+      clearInterval(timer);
+      window.removeEventListener("online", run);
+    };
+  }, [syncSettings, syncTick]);
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redo (replaces the inputs' own undo), Ctrl/Cmd+S save now,
+  // Ctrl/Cmd+P export PDF (instead of printing the page), Alt+P add a part (by key code: Option+P types "π" on a Mac)
+  useEffect(() => {
+    const onKey = (e) => {
+      const ctrl = (e.ctrlKey || e.metaKey) && !e.altKey;
+      const key = e.key.toLowerCase();
+      if (ctrl && key === "z" && !e.shiftKey) shortcuts.current.undo();
+      else if (ctrl && ((key === "z" && e.shiftKey) || key === "y")) shortcuts.current.redo();
+      else if (ctrl && key === "s" && !e.shiftKey) shortcuts.current.save();
+      else if (ctrl && key === "p" && !e.shiftKey) shortcuts.current.exportPdf();
+      else if (e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey && e.code === "KeyP") shortcuts.current.addPart();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  useEffect(() => {
+    saveUiLang(uiLang);
+    document.documentElement.lang = uiLang;
+  }, [uiLang]);
+
+  const timesheet = useMemo(() => (form ? computeTimesheet(form, workingHours) : null), [form, workingHours]);
+
+  // FSR numbers of the other reports (duplicates are flagged, new numbers skip them)
+  const takenNos = useMemo(() => (reports || []).filter((r) => r.id !== currentId).map((r) => r.form.fsrNo), [reports, currentId]);
+  const issues = useMemo(
+    () => (form ? { ...numberingIssues(form, numbering, takenNos, t), ...validateForm(form, requiredFields, t) } : {}),
+    [form, numbering, takenNos, requiredFields, t]
+  );
+  // Inline messages: timeline/format problems right away, missing fields once an export was tried
+  const fieldError = (field) => {
+    const issue = issues[field];
+    return issue && (issue.kind !== "required" || exportAttempted) ? issue.message : undefined;
+  };
+
+  // Runs an export, or holds it in the blocking dialog while there are issues
+  // (`strict`: no "export as draft" way out)
+  const guardExport = (what, run, strict = false) => {
+    setExportAttempted(true);
+    if (Object.keys(issues).length) setBlockedExport({ what, run: strict ? null : run });
+    else run();
+  };
+
+  // setIn copies only the objects along the path, so unchanged fields keep their identity (see history.js)
+  const set = (path, value) => setForm((prev) => setIn(prev, path.split("."), value));
+
+  // Library ops (pending form edits are committed before switching)
+  const openReport = (id, list = commitForm(reports, currentId, form)) => {
+    setReports(list);
+    setCurrentId(id);
+    setForm(list.find((r) => r.id === id).form);
+  };
+  const addReport = (report) => openReport(report.id, [report, ...commitForm(reports, currentId, form)]);
+  const allNos = () => [...takenNos, form.fsrNo];
+  const onCreateReport = (templateId) => addReport(createReport(newForm(findTemplate(templates, templateId), nextFSRNumber(numbering, allNos()))));
+  const onDuplicateReport = (id) => addReport(duplicateReport(commitForm(reports, currentId, form).find((r) => r.id === id), nextFSRNumber(numbering, allNos())));
+  const onRenameReport = (id) => {
+    const report = reports.find((r) => r.id === id);
+    const name = prompt(t("library.renamePrompt"), reportTitle(report));
+    if (name === null) return;
+    setReports((prev) => prev.map((r) => (r.id === id ? touchReport(r, { name: name.trim() }) : r)));
+  };
+  const onDeleteReport = (id) => {
+    const report = reports.find((r) => r.id === id);
+    if (!confirm(t("library.deleteConfirm", { name: reportTitle(report) }))) return;
+    removeEntry(id).catch((e) => console.error("Could not clear outbox entry", e));
+    deleteChangeLog(id).catch((e) => console.error("Could not delete change log", e));
+    const rest = reports.filter((r) => r.id !== id);
+    if (id !== currentId) return setReports(rest);
+    const list = rest.length ? rest : [createReport()];
+    setReports(list);
+    setCurrentId(list[0].id);
+    setForm(list[0].form);
+  };
 
   // Parts ops
   const addPart = () => setForm((p) => ({ ...p, parts: [...p.parts, { partName: "", partNo: "", qty: "", status: "" }] }));
+  // Renders the new row right away so the cursor can go to its name
+  const addPartAndFocus = () => {
+    flushSync(addPart);
+    document.getElementById(`part-${form.parts.length}-name`)?.focus();
+  };
   const removePart = (idx) => setForm((p) => ({ ...p, parts: p.parts.filter((_, i) => i !== idx) }));
+  const updatePart = (idx, patch) => setForm((p) => ({ ...p, parts: p.parts.map((part, i) => (i === idx ? { ...part, ...patch } : part)) }));
+
+  // Template ops
+  const onApplyTemplate = (id) => !locked && setForm((p) => applyTemplate(p, findTemplate(templates, id)));
+  const onImportTemplate = async (file) => {
+    if (!file) return;
+    try {
+      await saveTemplate(JSON.parse(await file.text()));
+      setTemplates(await listTemplates());
+    } catch (e) {
+      alert(t("templates.invalid", { message: e.message }));
+    }
+  };
+  const onExportTemplate = (tpl) => {
+    const blob = new Blob([JSON.stringify(tpl, null, 2)], { type: "application/json" });
+    triggerDownload(URL.createObjectURL(blob), `template-${tpl.id}.json`);
+  };
+  const onDeleteTemplate = async (id) => {
+    if (!confirm(t("templates.deleteConfirm"))) return;
+    await deleteTemplate(id);
+    setTemplates(await listTemplates());
+  };
+  // Label of a built-in field in the UI language, with the report template's override
+  const label = (key) => fieldLabel(form, key, t);
+  // Props of a built-in text field: label, value, inline message and the required marker
+  const field = (key) => ({ label: label(key), value: form[key], onChange: (e) => set(key, e.target.value), error: fieldError(key), required: requiredFields.includes(key) });
+
+  // Ticking Preventive on a report without a checklist seeds it from the template
+  const onJobType = (key, on) =>
+    setForm((p) => ({
+      ...p,
+      jobTypes: { ...p.jobTypes, [key]: on },
+      pmChecklist: key === "preventive" && on && !p.pmChecklist.length ? checklistFromTemplate(p.template) : p.pmChecklist,
+    }));
+
+  // PM checklist ops
+  const updatePMItem = (id, patch) => setForm((p) => ({ ...p, pmChecklist: p.pmChecklist.map((it) => (it.id === id ? { ...it, ...patch } : it)) }));
+  const addPMItem = () => setForm((p) => ({ ...p, pmChecklist: [...p.pmChecklist, newPMItem({ group: p.pmChecklist.at(-1)?.group || "" })] }));
+  const removePMItem = (id) => setForm((p) => ({ ...p, pmChecklist: p.pmChecklist.filter((it) => it.id !== id) }));
+  const loadPMTemplate = () => setForm((p) => ({ ...p, pmChecklist: [...p.pmChecklist, ...checklistFromTemplate(p.template)] }));
+
+  // Parts catalog ops
+  const onImportCatalog = async (file) => {
+    if (!file) return;
+    try {
+      const entries = parseCatalogFile(await file.text(), file.name);
+      await saveCatalogEntries(entries);
+      setCatalog(await listCatalog());
+      alert(t("parts.imported", { n: entries.length }));
+    } catch (e) {
+      alert(t("parts.importFailed", { message: e.message }));
+    }
+  };
+  const onClearCatalog = async () => {
+    if (!confirm(t("parts.clearConfirm"))) return;
+    await clearCatalog();
+    setCatalog([]);
+  };
+
+  // Fault code list ops
+  const onImportFaultCodes = async (file) => {
+    if (!file) return;
+    try {
+      const entries = parseFaultCodeFile(await file.text(), file.name);
+      await saveFaultCodes(entries);
+      setFaultCodes(await listFaultCodes());
+      alert(t("faultCodes.imported", { n: entries.length }));
+    } catch (e) {
+      alert(t("faultCodes.importFailed", { message: e.message }));
+    }
+  };
+  const onExportFaultCodes = () => {
+    const blob = new Blob(["\uFEFF" + faultCodesToCSV(faultCodes)], { type: "text/csv" });
+    triggerDownload(URL.createObjectURL(blob), "fault-codes.csv");
+  };
+  const onClearFaultCodes = async () => {
+    if (!confirm(t("faultCodes.clearConfirm"))) return;
+    await clearFaultCodes();
+    setFaultCodes([]);
+  };
+  const onSaveFaultCodes = async (entries) => {
+    await saveFaultCodes(entries);
+    setFaultCodes(await listFaultCodes());
+  };
+  const onDeleteFaultCode = async (entry) => {
+    const n = descendants(faultCodes, entry).length;
+    if (n && !confirm(t("faultCodes.deleteConfirm", { code: entry.code, n }))) return;
+    await deleteFaultCode(faultCodes, entry);
+    setFaultCodes(await listFaultCodes());
+  };
+  const setFaultCode = (category, choice) => setForm((p) => ({ ...p, faultCodes: { ...p.faultCodes, [category]: choice } }));
+
+  // Customer registry ops
+  const onPickCustomer = (kind, item) => {
+    const fields = { customer: customerFields, contact: contactFields, system: systemFields }[kind](item);
+    setForm((p) => ({ ...p, ...fields }));
+  };
+  const onSaveCustomer = async () => {
+    if (serialWarning && !confirm(`${serialWarning}. ${t("customers.saveAnyway")}`)) return;
+    await saveCustomer(customerFromForm(customers, form));
+    setCustomers(await listCustomers());
+  };
+  const onImportCustomers = async (file) => {
+    if (!file) return;
+    try {
+      const changed = parseCustomersCSV(await file.text(), customers);
+      for (const c of changed) await saveCustomer(c);
+      setCustomers(await listCustomers());
+      alert(t("customers.imported", { n: changed.length }));
+    } catch (e) {
+      alert(t("customers.importFailed", { message: e.message }));
+    }
+  };
+  const onExportCustomers = () => {
+    const blob = new Blob(["\uFEFF" + customersToCSV(customers)], { type: "text/csv" });
+    triggerDownload(URL.createObjectURL(blob), "customers.csv");
+  };
+  const onDeleteCustomer = async (customer) => {
+    if (!confirm(t("customers.deleteConfirm", { name: customer.name }))) return;
+    await deleteCustomer(customer.id);
+    setCustomers(await listCustomers());
+  };
+  const onRemoveCustomerItem = async (customer, list, idx) => {
+    await saveCustomer({ ...customer, [list]: customer[list].filter((_, i) => i !== idx) });
+    setCustomers(await listCustomers());
+  };
+  // Serial number registered to another customer
+  const serialOwner = findSerialOwner(customers, form?.serialNo);
+  const serialWarning =
+    serialOwner && serialOwner.name.trim().toLowerCase() !== form.customerName.trim().toLowerCase()
+      ? t("customers.serialElsewhere", { name: serialOwner.name })
+      : undefined;
+
+  // Break ops (new breaks default to the work start date)
+  const addBreak = () => setForm((p) => ({ ...p, breaks: [...p.breaks, { date: p.workStartDate, start: "12:00", end: "13:00", note: "" }] }));
+  const updateBreak = (idx, patch) => setForm((p) => ({ ...p, breaks: p.breaks.map((b, i) => (i === idx ? { ...b, ...patch } : b)) }));
+  const removeBreak = (idx) => setForm((p) => ({ ...p, breaks: p.breaks.filter((_, i) => i !== idx) }));
+
+  // Work-session ops; the form's own Timing follows the sessions (see sessions.js)
+  const setSessions = (fn) =>
+    setForm((p) => {
+      const sessions = fn(p.sessions, p);
+      return { ...p, ...overallTiming(sessions), sessions };
+    });
+  const addSession = () => setSessions((list, p) => [...list, newSession(p)]);
+  const updateSession = (id, patch) => setSessions((list) => list.map((s) => (s.id === id ? { ...s, ...patch } : s)));
+  const removeSession = (id) => setSessions((list) => list.filter((s) => s.id !== id));
 
   // Media ops
   const onFileToBase64 = (file) =>
@@ -165,412 +528,645 @@ export default function App() {
     if (file) set("logo", await onFileToBase64(file));
   };
   const onSignUpload = async (path, file) => {
-    if (file) set(path, await onFileToBase64(file));
+    if (file) onSign(path, await onFileToBase64(file));
+  };
+  // Customer signature also stamps the signing time
+  const onSign = (path, src) => {
+    set(path, src);
+    if (path === "customerSign") set("customerSignedAt", src ? dayjs().format("YYYY-MM-DDTHH:mm") : "");
   };
+  // Photos are resized/re-encoded one at a time (keeps memory low on phones)
   const onPhotosUpload = async (files) => {
-    const arr = await Promise.all(
-      [...files].map(async (f, i) => ({ id: `${Date.now()}-${i}`, src: await onFileToBase64(f), caption: "" }))
-    );
+    const list = [...files];
+    const arr = [];
+    let before = 0;
+    let after = 0;
+    for (const [i, f] of list.entries()) {
+      setPhotoStatus(t("photos.processing", { i: i + 1, n: list.length }));
+      try {
+        const { src, location, bytes, originalBytes } = await processPhoto(f, photoSettings);
+        arr.push({ id: `${Date.now()}-${i}`, src, caption: "", location });
+        before += originalBytes;
+        after += bytes;
+      } catch (e) {
+        console.error(e);
+        alert(e.message);
+      }
+    }
     setForm((p) => ({ ...p, photos: [...p.photos, ...arr] }));
+    setPhotoStatus(arr.length ? t("photos.added", { n: arr.length, before: formatBytes(before), after: formatBytes(after) }) : "");
   };
   const updatePhoto = (id, patch) => setForm((p) => ({ ...p, photos: p.photos.map((ph) => (ph.id === id ? { ...ph, ...patch } : ph)) }));
   const deletePhoto = (id) => setForm((p) => ({ ...p, photos: p.photos.filter((ph) => ph.id !== id) }));
+  const movePhoto = (id, to) =>
+    !locked &&
+    setForm((p) => {
+      const photos = p.photos.filter((ph) => ph.id !== id);
+      photos.splice(Math.max(0, Math.min(to, photos.length)), 0, p.photos.find((ph) => ph.id === id));
+      return { ...p, photos };
+    });
 
   // JSON import/export
-  const exportJSON = () => {
-    const blob = new Blob([JSON.stringify(form, null, 2)], { type: "application/json" });
+  const exportJSON = async () => {
+    const doc = serializeFSR(form, timesheet);
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     triggerDownload(url, `${form.fsrNo}.json`);
   };
+  // Imported files are migrated + validated, their blur areas burnt in, and opened as a new report
   const importJSON = async (file) => {
     if (!file) return;
     const text = await file.text();
+    let parsed;
     try {
-      const data = JSON.parse(text);
-      setForm(data);
+      parsed = parseFSR(JSON.parse(text));
+      parsed = { ...parsed, form: await redactForm(parsed.form) };
     } catch (e) {
-      alert("Invalid JSON file");
+      alert(t("import.invalid", { message: e.message }));
+      return;
     }
+    if (parsed.errors.length) setPendingImport({ fileName: file.name, ...parsed });
+    else addReport(createReport(parsed.form));
   };
 
-  // High-quality multipage PDF export
-  const exportPDF = async () => {
+  // Finalize: validated, normalised (as it will be reloaded) and sealed; reopening starts the next revision
+  const finalizeReport = async () => {
+    if (!confirm(t("finalize.confirm"))) return;
+    setForm(await finalizeForm(parseFSR(form).form));
+  };
+  const reopenReport = () => {
+    if (!confirm(t("finalize.reopenConfirm", { revision: (form.revision || 1) + 1 }))) return;
+    setForm(reopenForm(form));
+  };
+  const verifyJSON = async (file) => {
+    if (!file) return;
+    try {
+      const r = await verifyDocument(JSON.parse(await file.text()));
+      const at = r.at && dayjs(r.at).locale(uiLang).format("ll LT");
+      alert(t(`finalize.verify.${r.status}`, { fsrNo: r.fsrNo, revision: r.revision, at, hash: r.hash }));
+    } catch (e) {
+      alert(t("import.invalid", { message: e.message }));
+    }
+  };
+
+  // Backend submission: the JSON document (+ text PDF) goes to the outbox, the worker sends it
+  const submitReport = async () => {
+    if (!isSyncConfigured(syncSettings)) {
+      alert(t("sync.notConfigured"));
+      setShowSync(true);
+      return;
+    }
+    let pdf = null;
+    if (syncSettings.includePdf) {
+      const { renderVectorPDF } = await import("./lib/pdfVector");
+      pdf = (await renderVectorPDF(form, { timesheet })).output("blob");
+    }
+    const doc = serializeFSR(form, timesheet);
+    await enqueueReport({ reportId: currentId, fsrNo: form.fsrNo, document: doc, pdf });
+    setReports((prev) => prev.map((r) => (r.id === currentId ? { ...r, sync: { status: "queued", at: new Date().toISOString(), attempts: 0 } } : r)));
+    setSyncTick((n) => n + 1);
+  };
+  const onRetrySync = async (entry) => {
+    await retryEntry(entry);
+    setReports((prev) => prev.map((r) => (r.id === entry.id ? { ...r, sync: { ...r.sync, status: "queued" } } : r)));
+    setSyncTick((n) => n + 1);
+  };
+  const onRemoveFromOutbox = async (id) => {
+    await removeEntry(id);
+    setReports((prev) => prev.map((r) => (r.id === id && r.sync?.status !== "sent" ? { ...r, sync: undefined } : r)));
+    setOutbox(await listOutbox());
+  };
+
+  // Batch export over the saved reports (the open one with its latest edits)
+  const onBatchExport = async (kind, list, onProgress) => {
+    const fresh = commitForm(list, currentId, form);
+    const stamp = dayjs().format("YYYYMMDD-HHmm");
+    if (kind === "zip") {
+      triggerDownload(URL.createObjectURL(await exportZip(fresh, workingHours, { t, onProgress, branding })), `fsr-batch-${stamp}.zip`);
+    } else if (kind === "pdf") {
+      triggerDownload(URL.createObjectURL(await exportCombinedPDF(fresh, workingHours, { onProgress, branding })), `fsr-batch-${stamp}.pdf`);
+    } else {
+      const rows = summaryRows(fresh, workingHours, t);
+      const blob = kind === "csv" ? summaryCSV(rows) : await summaryXLSX(rows, t("batch.sheet"));
+      triggerDownload(URL.createObjectURL(blob), `fsr-summary-${stamp}.${kind}`);
+    }
+  };
+
+  const exportPDF = () => (pdfMode === "vector" ? exportVectorPDF() : exportRasterPDF());
+
+  // Text-based PDF built from form data
+  const exportVectorPDF = async () => {
+    const { renderVectorPDF } = await import("./lib/pdfVector");
+    const pdf = await renderVectorPDF(form, { timesheet, branding });
+    pdf.save(`${form.fsrNo}.pdf`);
+  };
+
+  // Editable Word document with the preview's layout
+  const exportDOCX = async () => {
+    const { renderDOCX } = await import("./lib/docx");
+    triggerDownload(URL.createObjectURL(await renderDOCX(form, { timesheet, branding })), `${form.fsrNo}.docx`);
+  };
+
+  // Self-contained HTML of the live preview
+  const exportHTML = async () => {
+    const { renderHTML } = await import("./lib/htmlExport");
+    triggerDownload(URL.createObjectURL(await renderHTML(previewRef.current, form, branding)), `${form.fsrNo}.html`);
+  };
+
+  // High-quality multipage PDF export (snapshot of the preview), cut at the pages the preview marks
+  const exportRasterPDF = async () => {
     const [{ default: html2canvas }, { jsPDF }] = await Promise.all([import("html2canvas"), import("jspdf")]);
 
     const node = previewRef.current;
-    // Ensure white background
-    const canvas = await html2canvas(node, { scale: pdfQuality, useCORS: true, backgroundColor: "#ffffff" });
+    const pages = pageRanges(node, branding);
+    // Ensure white background. The capture leaves out the top/bottom margins and the per-page
+    // stamps (footer, watermark): every page gets those below. The preview's zoom is undone.
+    const canvas = await html2canvas(node, {
+      scale: pdfQuality,
+      useCORS: true,
+      backgroundColor: "#ffffff",
+      ignoreElements: (el) => el.hasAttribute("data-page-stamp"),
+      onclone: (_, el) => {
+        el.style.paddingTop = "0px";
+        el.style.paddingBottom = "0px";
+        el.closest("[data-preview-zoom]")?.style.removeProperty("transform");
+      },
+    });
 
-    const pdf = new jsPDF({ unit: "px", format: "a4", compress: true });
+    const pdf = new jsPDF({ unit: "px", format: branding.pageSize, compress: true });
     const pageWidth = pdf.internal.pageSize.getWidth();
     const pageHeight = pdf.internal.pageSize.getHeight();
+    const mm = pageWidth / pageSize(branding).width;
+    const { top, right, bottom, left } = branding.margins;
+
+    // Footer text, the seal of a finalized report, the page number and the watermark on every page
+    const rt = createTranslator(form.reportLang);
+    const mark = watermarkText(form, branding, rt);
+    const stampPage = (page, total) => {
+      const blocks = [[branding.footerText, 7], [form.finalized && sealText(form, rt), 6]]
+        .filter(([text]) => text)
+        .map(([text, size]) => [pdf.setFontSize(size).splitTextToSize(pdfText(text), pageWidth - (left + right + 25) * mm), size]);
+      const height = blocks.reduce((h, [lines, size]) => h + (lines.length * size * 1.2) / pdf.internal.scaleFactor, 0);
+      // in the bottom margin, but never closer than 5 mm to the paper edge (narrow margins, long footers)
+      const y0 = Math.min(pageHeight - bottom * mm + 4 * mm, pageHeight - 5 * mm - height);
+      let y = y0;
+      for (const [lines, size] of blocks) {
+        pdf.setFontSize(size).text(lines, left * mm, y);
+        y += (lines.length * size * 1.2) / pdf.internal.scaleFactor;
+      }
+      pdf.setFontSize(7).text(pdfText(rt("report.page", { page, total })), pageWidth - right * mm, y0, { align: "right" });
+      if (mark) stampWatermark(pdf, mark);
+    };
 
     const imgWidth = pageWidth; // fit width
     const ratio = imgWidth / canvas.width;
-    const imgHeight = canvas.height * ratio;
+    const px = canvas.width / node.offsetWidth; // canvas pixels per CSS px
 
-    // If height fits one page, easy
-    if (imgHeight <= pageHeight) {
-      pdf.addImage(canvas.toDataURL("image/png"), "PNG", 0, 0, imgWidth, imgHeight, undefined, "FAST");
-      pdf.save(`${form.fsrNo}.pdf`);
-      return;
-    }
-
-    // Slice into multiple A4 pages
-    const pageHeightInCanvas = pageHeight / ratio; // height in original canvas pixels per page
-    let y = 0;
-    while (y < canvas.height) {
-      const slice = sliceCanvas(canvas, 0, y, canvas.width, Math.min(pageHeightInCanvas, canvas.height - y));
-      const h = slice.height * ratio;
-      if (y > 0) pdf.addPage();
-      pdf.addImage(slice.toDataURL("image/png"), "PNG", 0, 0, imgWidth, h, undefined, "FAST");
-      y += pageHeightInCanvas;
-    }
+    // One slice per page range, each placed inside the top/bottom margins
+    const slices = pages.map(([from, to]) => [Math.round(from * px), Math.min(canvas.height, Math.round(to * px))]).filter(([y, end]) => end > y);
+    slices.forEach(([y, end], i) => {
+      const slice = sliceCanvas(canvas, 0, y, canvas.width, end - y);
+      if (i > 0) pdf.addPage();
+      pdf.addImage(slice.toDataURL("image/png"), "PNG", 0, top * mm, imgWidth, slice.height * ratio, undefined, "FAST");
+      stampPage(i + 1, slices.length);
+    });
 
     pdf.save(`${form.fsrNo}.pdf`);
   };
 
-  return (
-    <div className="min-h-screen bg-gray-50">
-      <header className="px-6 py-4 border-b bg-white sticky top-0 z-10">
-        <div className="max-w-7xl mx-auto flex flex-wrap items-center justify-between gap-3">
-          <div className="flex items-center gap-3">
-            <h1 className="text-xl font-semibold">FSR Generator</h1>
-            <span className="text-gray-400">•</span>
-            <span className="text-sm text-gray-600">{form.fsrNo}</span>
-          </div>
-          <div className="flex flex-wrap items-center gap-2">
-            {/* <label className="text-sm cursor-pointer px-3 py-2 rounded-lg border hover:bg-gray-100">
-              Import JSON
-              <input type="file" accept="application/json" className="hidden" onChange={(e) => importJSON(e.target.files?.[0])} />
-            </label> */}
-            <button onClick={exportJSON} className="px-3 py-2 rounded-lg border hover:bg-gray-100">Download JSON</button>
-            <div className="flex items-center gap-2 px-3 py-2 rounded-lg border">
-              <span className="text-sm">PDF quality</span>
-              <input type="range" min={2} max={5} step={1} value={pdfQuality} onChange={(e) => setPdfQuality(+e.target.value)} />
-              <span className="text-sm w-5 text-center">{pdfQuality}</span>
+  if (!form) return <div className="min-h-screen bg-gray-50 p-6 text-sm text-gray-500">{t("app.loading")}</div>;
+  const annotating = !locked && form.photos.find((ph) => ph.id === annotatingId);
+  const fromSessions = form.sessions.length > 0; // the Timing fields then follow the work-session log
+
+  // Built-in form-panel sections, in the order of the report template's layout (sectionLayout)
+  const formSections = {
+    brand: (
+      <Section title={t("section.brand")} right={<small className="text-gray-500">{t("section.brandHint")}</small>}>
+        <Row cols={3}>
+          <Input {...field("swoNo")} />
+          <Input {...field("fsrNo")} />
+          <label className="text-sm">
+            <div className="mb-1 text-gray-600">{t("field.logo")}</div>
+            <input type="file" accept="image/*" onChange={(e) => onLogoUpload(e.target.files?.[0])} />
+          </label>
+        </Row>
+        <Row cols={3}>
+          <Select
+            label={t("lang.report")}
+            value={form.reportLang}
+            options={LANGUAGES.map((l) => ({ value: l.code, label: l.label }))}
+            onChange={(e) => set("reportLang", e.target.value)}
+          />
+        </Row>
+      </Section>
+    ),
+    customer: (
+      <Section title={t("section.customer")}>
+        <CustomerPicker customers={customers} form={form} onPick={onPickCustomer} onSave={onSaveCustomer} />
+        <Row cols={3}>
+          <Input {...field("customerName")} />
+          <Input {...field("address")} />
+          <Input {...field("contactPerson")} />
+        </Row>
+        <Row cols={3}>
+          <Input {...field("phone")} />
+          <Input {...field("modality")} />
+          <Input {...field("model")} />
+        </Row>
+        <Row cols={3}>
+          <Input {...field("serialNo")} warning={serialWarning} />
+          <Input {...field("productNo")} />
+          <div />
+        </Row>
+      </Section>
+    ),
+    timing: (
+      <Section title={t("section.timing")}>
+        {fromSessions && <p className="text-xs text-gray-500">{t("sessions.fromSessions")}</p>}
+        <Row cols={3}>
+          <Input type="date" {...field("startTravelDate")} disabled={fromSessions} />
+          <Input type="time" {...field("startTravelTime")} disabled={fromSessions} />
+          <Input {...field("breakdown")} />
+        </Row>
+        <Row cols={3}>
+          <Input type="date" {...field("arrivedDate")} disabled={fromSessions} />
+          <Input type="time" {...field("arrivedTime")} disabled={fromSessions} />
+          <div />
+        </Row>
+        <Row cols={3}>
+          <Input type="date" {...field("workStartDate")} disabled={fromSessions} />
+          <Input type="time" {...field("workStartTime")} disabled={fromSessions} />
+          <div />
+        </Row>
+        <Row cols={3}>
+          <Input type="date" {...field("workFinishDate")} disabled={fromSessions} />
+          <Input type="time" {...field("workFinishTime")} disabled={fromSessions} />
+          <div />
+        </Row>
+        <WorkSessions sessions={form.sessions} onAdd={addSession} onUpdate={updateSession} onRemove={removeSession} fieldError={fieldError} />
+        <Timesheet
+          timesheet={timesheet}
+          breaks={form.breaks}
+          onAddBreak={addBreak}
+          onUpdateBreak={updateBreak}
+          onRemoveBreak={removeBreak}
+          hours={workingHours}
+          onHoursChange={setWorkingHours}
+        />
+      </Section>
+    ),
+    types: (
+      <Section title={t("section.types")}>
+        <div className="grid grid-cols-2 gap-4">
+          <div className="border rounded-lg p-3">
+            <div className="font-medium mb-2">{t("field.jobType")}</div>
+            <div className="flex flex-wrap gap-3">
+              {Object.entries(form.jobTypes).map(([k, v]) => (
+                <Checkbox key={k} label={typeLabel(form, "jobTypes", k, t)} checked={v} onChange={(val) => onJobType(k, val)} />
+              ))}
             </div>
-            <button onClick={exportPDF} className="px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700">Export PDF</button>
           </div>
-        </div>
-      </header>
-
-      <main className="max-w-7xl mx-auto grid md:grid-cols-2 gap-6 p-6">
-        {/* LEFT: FORM */}
-        <div className="bg-white border rounded-2xl p-4 shadow-sm">
-          <Section title="Brand & Header" right={<small className="text-gray-500">Logo & identifiers</small>}>
-            <Row cols={3}>
-              <Input label="SWO No." value={form.swoNo} onChange={(e) => set("swoNo", e.target.value)} />
-              <Input label="FSR No." value={form.fsrNo} onChange={(e) => set("fsrNo", e.target.value)} />
-              <label className="text-sm">
-                <div className="mb-1 text-gray-600">Logo (PNG/JPG)</div>
-                <input type="file" accept="image/*" onChange={(e) => onLogoUpload(e.target.files?.[0])} />
-              </label>
-            </Row>
-          </Section>
-
-          <Section title="Customer & System">
-            <Row cols={3}>
-              <Input label="Customer Name" value={form.customerName} onChange={(e) => set("customerName", e.target.value)} />
-              <Input label="Address" value={form.address} onChange={(e) => set("address", e.target.value)} />
-              <Input label="Contact Person" value={form.contactPerson} onChange={(e) => set("contactPerson", e.target.value)} />
-            </Row>
-            <Row cols={3}>
-              <Input label="Phone" value={form.phone} onChange={(e) => set("phone", e.target.value)} />
-              <Input label="Modality" value={form.modality} onChange={(e) => set("modality", e.target.value)} />
-              <Input label="Model" value={form.model} onChange={(e) => set("model", e.target.value)} />
-            </Row>
-            <Row cols={3}>
-              <Input label="Serial No." value={form.serialNo} onChange={(e) => set("serialNo", e.target.value)} />
-              <Input label="Product No." value={form.productNo} onChange={(e) => set("productNo", e.target.value)} />
-              <div />
-            </Row>
-          </Section>
-
-          <Section title="Timing">
-            <Row cols={3}>
-              <Input type="date" label="Start Travel - Date" value={form.startTravelDate} onChange={(e) => set("startTravelDate", e.target.value)} />
-              <Input type="time" label="Start Travel - Time" value={form.startTravelTime} onChange={(e) => set("startTravelTime", e.target.value)} />
-              <Input label="Breakdown" value={form.breakdown} onChange={(e) => set("breakdown", e.target.value)} />
-            </Row>
-            <Row cols={3}>
-              <Input type="date" label="Arrived - Date" value={form.arrivedDate} onChange={(e) => set("arrivedDate", e.target.value)} />
-              <Input type="time" label="Arrived - Time" value={form.arrivedTime} onChange={(e) => set("arrivedTime", e.target.value)} />
-              <div />
-            </Row>
-            <Row cols={3}>
-              <Input type="date" label="Work Start - Date" value={form.workStartDate} onChange={(e) => set("workStartDate", e.target.value)} />
-              <Input type="time" label="Work Start - Time" value={form.workStartTime} onChange={(e) => set("workStartTime", e.target.value)} />
-              <div />
-            </Row>
-            <Row cols={3}>
-              <Input type="date" label="Work Finish - Date" value={form.workFinishDate} onChange={(e) => set("workFinishDate", e.target.value)} />
-              <Input type="time" label="Work Finish - Time" value={form.workFinishTime} onChange={(e) => set("workFinishTime", e.target.value)} />
-              <div />
-            </Row>
-          </Section>
-
-          <Section title="Types">
-            <div className="grid grid-cols-2 gap-4">
-              <div className="border rounded-lg p-3">
-                <div className="font-medium mb-2">Job Type</div>
-                <div className="flex flex-wrap gap-3">
-                  {Object.entries(form.jobTypes).map(([k, v]) => (
-                    <Checkbox key={k} label={labelJobType(k)} checked={v} onChange={(val) => set(`jobTypes.${k}`, val)} />
-                  ))}
-                </div>
-              </div>
-              <div className="border rounded-lg p-3">
-                <div className="font-medium mb-2">Service Type</div>
-                <div className="flex flex-wrap gap-3">
-                  {Object.entries(form.serviceTypes).map(([k, v]) => (
-                    <Checkbox key={k} label={labelServiceType(k)} checked={v} onChange={(val) => set(`serviceTypes.${k}`, val)} />
-                  ))}
-                </div>
-              </div>
-            </div>
-          </Section>
-
-          <Section title="Problem & Action">
-            <TextArea label="Problem" value={form.problem} onChange={(e) => set("problem", e.target.value)} />
-            <TextArea label="Action" value={form.action} onChange={(e) => set("action", e.target.value)} />
-          </Section>
-
-          <Section title="Parts Used">
-            {form.parts.map((p, i) => (
-              <div key={i} className="grid md:grid-cols-4 gap-3 items-end">
-                <Input label="Part Name" value={p.partName} onChange={(e) => set(`parts.${i}.partName`, e.target.value)} />
-                <Input label="Part No" value={p.partNo} onChange={(e) => set(`parts.${i}.partNo`, e.target.value)} />
-                <Input label="Qty" value={p.qty} onChange={(e) => set(`parts.${i}.qty`, e.target.value)} />
-                <div className="flex gap-2">
-                  <Input label="Status" value={p.status} onChange={(e) => set(`parts.${i}.status`, e.target.value)} />
-                  <button onClick={() => removePart(i)} className="h-10 mt-6 px-3 border rounded-lg">Remove</button>
-                </div>
-              </div>
-            ))}
-            <button onClick={addPart} className="px-3 py-2 border rounded-lg">+ Add part</button>
-            <Row cols={3}>
-              <Input label="Job Status (Complete/Incomplete)" value={form.jobStatus} onChange={(e) => set("jobStatus", e.target.value)} />
-              <Input label="Status (Chargeable/FOC/Borrow)" value={form.statusChargeable} onChange={(e) => set("statusChargeable", e.target.value)} />
-              <Input label="Condition When Leave" value={form.conditionWhenLeave} onChange={(e) => set("conditionWhenLeave", e.target.value)} />
-            </Row>
-          </Section>
-
-          <Section title="Evidence Photos" right={<small className="text-gray-500">Maximize quality for PDF</small>}>
-            <div className="flex items-center gap-3 flex-wrap mb-2">
-              <label className="text-sm cursor-pointer px-3 py-2 rounded-lg border hover:bg-gray-100">
-                Add Photos
-                <input type="file" accept="image/*" multiple className="hidden" onChange={(e) => onPhotosUpload(e.target.files || [])} />
-              </label>
-              <span className="text-xs text-gray-500">Tips: upload gambar resolusi tinggi ({">"}= 1600px)</span>
-            </div>
-            <div className="grid sm:grid-cols-2 gap-3">
-              {form.photos.map((ph) => (
-                <div key={ph.id} className="border rounded-lg overflow-hidden">
-                  <img src={ph.src} alt="evidence" className="w-full aspect-video object-contain bg-gray-50" />
-                  <div className="p-2">
-                    <input className="w-full text-sm border rounded px-2 py-1" placeholder="Caption / description" value={ph.caption} onChange={(e) => updatePhoto(ph.id, { caption: e.target.value })} />
-                    <div className="text-right mt-2">
-                      <button onClick={() => deletePhoto(ph.id)} className="text-xs px-2 py-1 border rounded">Remove</button>
-                    </div>
-                  </div>
-                </div>
+          <div className="border rounded-lg p-3">
+            <div className="font-medium mb-2">{t("field.serviceType")}</div>
+            <div className="flex flex-wrap gap-3">
+              {Object.entries(form.serviceTypes).map(([k, v]) => (
+                <Checkbox key={k} label={typeLabel(form, "serviceTypes", k, t)} checked={v} onChange={(val) => set(`serviceTypes.${k}`, val)} />
               ))}
-              {form.photos.length === 0 && <div className="text-sm text-gray-500">No photos uploaded yet.</div>}
             </div>
-          </Section>
-
-          <Section title="Signatures">
-            <Row cols={2}>
-              <Input label="Field Service Engineer" value={form.fseName} onChange={(e) => set("fseName", e.target.value)} />
-              <Input label="Trainer / L2" value={form.trainerName} onChange={(e) => set("trainerName", e.target.value)} />
-            </Row>
-            <Row cols={2}>
-              <label className="text-sm">
-                <div className="mb-1 text-gray-600">FSE Signature (PNG/JPG)</div>
-                <input type="file" accept="image/*" onChange={(e) => onSignUpload("fseSign", e.target.files?.[0])} />
-              </label>
-              <label className="text-sm">
-                <div className="mb-1 text-gray-600">Trainer Signature (PNG/JPG)</div>
-                <input type="file" accept="image/*" onChange={(e) => onSignUpload("trainerSign", e.target.files?.[0])} />
-              </label>
-            </Row>
-          </Section>
+          </div>
         </div>
+      </Section>
+    ),
+    problemAction: (
+      <Section title={t("section.problemAction")}>
+        <TextArea {...field("problem")} />
+        <TextArea {...field("action")} />
+        <FaultCoding codes={faultCodes} value={form.faultCodes} onChange={setFaultCode} similar={similarReports(reports, form, currentId)} onOpen={openReport} />
+      </Section>
+    ),
+    pmChecklist: form.jobTypes.preventive && (
+        <PMChecklist
+          items={form.pmChecklist}
+          onUpdate={updatePMItem}
+          onAdd={addPMItem}
+          onRemove={removePMItem}
+          onLoadTemplate={loadPMTemplate}
+          canLoadTemplate={!!form.template?.pmChecklist?.length}
+        />
+    ),
+    parts: (
+      <Section title={t("section.parts")}>
+        <PartsEditor
+          parts={form.parts}
+          catalog={catalog}
+          onChange={updatePart}
+          onAdd={addPartAndFocus}
+          onRemove={removePart}
+          fieldError={fieldError}
+          onImportCatalog={onImportCatalog}
+          onClearCatalog={onClearCatalog}
+        />
+        <Row cols={3}>
+          <Input {...field("jobStatus")} label={t("field.jobStatusInput")} />
+          <Input {...field("statusChargeable")} label={t("field.statusChargeableInput")} />
+          <Input {...field("conditionWhenLeave")} />
+        </Row>
+      </Section>
+    ),
+    photos: (
+      <EvidencePhotos
+        photos={form.photos}
+        settings={photoSettings}
+        onSettingsChange={setPhotoSettings}
+        onUpload={onPhotosUpload}
+        status={photoStatus}
+        onUpdate={updatePhoto}
+        onDelete={deletePhoto}
+        onMove={movePhoto}
+        onAnnotate={setAnnotatingId}
+      />
+    ),
+    signatures: (
+      <Section title={t("section.signatures")}>
+        <Row cols={2}>
+          <Input {...field("fseName")} />
+          <Input {...field("trainerName")} />
+        </Row>
+        <Row cols={2}>
+          <SignatureField label={t("field.fseSign")} value={form.fseSign} onChange={(src) => onSign("fseSign", src)} onUpload={(f) => onSignUpload("fseSign", f)} />
+          <SignatureField label={t("field.trainerSign")} value={form.trainerSign} onChange={(src) => onSign("trainerSign", src)} onUpload={(f) => onSignUpload("trainerSign", f)} />
+        </Row>
+        <div className="font-medium text-sm mt-2">{t("field.customerAck")}</div>
+        <Row cols={3}>
+          <Input label={t("field.customerSignName")} value={form.customerSignName} onChange={(e) => set("customerSignName", e.target.value)} />
+          <Input label={t("field.customerSignTitle")} value={form.customerSignTitle} onChange={(e) => set("customerSignTitle", e.target.value)} />
+          <Input type="datetime-local" label={t("field.customerSignedAt")} value={form.customerSignedAt} onChange={(e) => set("customerSignedAt", e.target.value)} />
+        </Row>
+        <SignatureField label={t("field.customerSign")} value={form.customerSign} onChange={(src) => onSign("customerSign", src)} onUpload={(f) => onSignUpload("customerSign", f)} />
+      </Section>
+    ),
+  };
 
-        {/* RIGHT: PREVIEW */}
-        <div className="bg-white border rounded-2xl p-4 shadow-sm">
-          <div ref={previewRef} className="mx-auto bg-white text-[12px] leading-snug" style={{ width: A4_WIDTH_PX, padding: 24 }}>
-            {/* Header block */}
-            <div className="flex items-start justify-between">
-              <div className="flex items-center gap-3">
-                {form.logo && <img src={form.logo} className="w-14 h-14 object-contain" />}
-                <div>
-                  <h2 className="text-lg font-bold">FIELD SERVICE REPORT</h2>
-                  <div className="text-xs text-gray-600">{form.fsrNo}</div>
-                </div>
-              </div>
-              <div className="w-[240px] border p-2 rounded">
-                <div className="grid grid-cols-3 gap-y-1">
-                  <div className="col-span-2 font-semibold">SWO No.</div><div>{form.swoNo}</div>
-                  <div className="col-span-3 h-[1px] bg-gray-200 my-1" />
-
-                  <div className="font-semibold">Start Travel</div><div>{form.startTravelDate}</div><div>{form.startTravelTime}</div>
-                  <div className="font-semibold">Arrived</div><div>{form.arrivedDate}</div><div>{form.arrivedTime}</div>
-                  <div className="font-semibold">Work Start</div><div>{form.workStartDate}</div><div>{form.workStartTime}</div>
-                  <div className="font-semibold">Work Finish</div><div>{form.workFinishDate}</div><div>{form.workFinishTime}</div>
-                  <div className="font-semibold">Breakdown</div><div className="col-span-2">{form.breakdown}</div>
+  return (
+    <I18nContext value={t}>
+      <div className="min-h-screen bg-gray-50">
+        <header className="px-6 py-4 border-b bg-white sticky top-0 z-10">
+          <div className="max-w-7xl mx-auto flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-3">
+              <h1 className="text-xl font-semibold">{t("app.title")}</h1>
+              <span className="text-gray-400">•</span>
+              <span className="text-sm text-gray-600">{form.fsrNo}</span>
+              <SyncBadge status={syncStatus(reports.find((r) => r.id === currentId))} />
+              <span role="status" className="text-xs text-green-700">{saved && t("header.saved")}</span>
+              <OnlineStatus />
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <select value={uiLang} onChange={(e) => setUiLang(e.target.value)} className="px-3 py-2 rounded-lg border text-sm bg-white" title={t("lang.ui")}>
+                {LANGUAGES.map((l) => <option key={l.code} value={l.code}>{l.label}</option>)}
+              </select>
+              <button onClick={history.undo} disabled={locked || !history.canUndo} title={t("history.undo")} aria-keyshortcuts="Control+Z Meta+Z" className="px-3 py-2 rounded-lg border hover:bg-gray-100 disabled:opacity-40">↶</button>
+              <button onClick={history.redo} disabled={locked || !history.canRedo} title={t("history.redo")} aria-keyshortcuts="Control+Y Meta+Shift+Z" className="px-3 py-2 rounded-lg border hover:bg-gray-100 disabled:opacity-40">↷</button>
+              <button onClick={() => setShowHistory((v) => !v)} className={clsx("px-3 py-2 rounded-lg border hover:bg-gray-100", showHistory && "bg-gray-100")}>
+                {t("header.history")}
+              </button>
+              <button onClick={() => setShowTemplates((v) => !v)} className={clsx("px-3 py-2 rounded-lg border hover:bg-gray-100", showTemplates && "bg-gray-100")}>
+                {t("header.templates")}
+              </button>
+              <button onClick={() => setShowCustomers((v) => !v)} className={clsx("px-3 py-2 rounded-lg border hover:bg-gray-100", showCustomers && "bg-gray-100")}>
+                {t("header.customers", { n: customers.length })}
+              </button>
+              <button onClick={() => setShowFaultCodes((v) => !v)} className={clsx("px-3 py-2 rounded-lg border hover:bg-gray-100", showFaultCodes && "bg-gray-100")}>
+                {t("header.faultCodes", { n: faultCodes.length })}
+              </button>
+              <button onClick={() => setShowNumbering((v) => !v)} className={clsx("px-3 py-2 rounded-lg border hover:bg-gray-100", showNumbering && "bg-gray-100")}>
+                {t("header.numbering")}
+              </button>
+              <button onClick={() => setShowBranding((v) => !v)} className={clsx("px-3 py-2 rounded-lg border hover:bg-gray-100", showBranding && "bg-gray-100")}>
+                {t("header.branding")}
+              </button>
+              <button onClick={() => setShowRules((v) => !v)} className={clsx("px-3 py-2 rounded-lg border hover:bg-gray-100", showRules && "bg-gray-100")}>
+                {t("header.rules")}
+              </button>
+              <button onClick={() => setShowLibrary((v) => !v)} className={clsx("px-3 py-2 rounded-lg border hover:bg-gray-100", showLibrary && "bg-gray-100")}>
+                {t("header.reports", { n: reports.length })}
+              </button>
+              <button onClick={() => setShowBatch((v) => !v)} className={clsx("px-3 py-2 rounded-lg border hover:bg-gray-100", showBatch && "bg-gray-100")}>
+                {t("header.batch")}
+              </button>
+              <button onClick={() => setShowSync((v) => !v)} className={clsx("px-3 py-2 rounded-lg border hover:bg-gray-100", showSync && "bg-gray-100")}>
+                {t("header.sync", { n: outbox.length })}
+              </button>
+              <FileButton label={t("header.importJson")} accept="application/json" onFile={importJSON} />
+              <button onClick={() => guardExport("JSON", exportJSON)} className="px-3 py-2 rounded-lg border hover:bg-gray-100">{t("header.downloadJson")}</button>
+              <button onClick={() => guardExport("DOCX", exportDOCX)} className="px-3 py-2 rounded-lg border hover:bg-gray-100">{t("header.exportDocx")}</button>
+              <button onClick={() => guardExport("HTML", exportHTML)} className="px-3 py-2 rounded-lg border hover:bg-gray-100">{t("header.exportHtml")}</button>
+              <select value={pdfMode} onChange={(e) => setPdfMode(e.target.value)} aria-label={t("header.pdfMode")} className="px-3 py-2 rounded-lg border text-sm bg-white">
+                <option value="raster">{t("header.pdfSnapshot")}</option>
+                <option value="vector">{t("header.pdfText")}</option>
+              </select>
+              {pdfMode === "raster" && (
+                <div className="flex items-center gap-2 px-3 py-2 rounded-lg border">
+                  <span className="text-sm">{t("header.pdfQuality")}</span>
+                  <input type="range" min={2} max={5} step={1} value={pdfQuality} onChange={(e) => setPdfQuality(+e.target.value)} aria-label={t("header.pdfQuality")} />
+                  <span className="text-sm w-5 text-center">{pdfQuality}</span>
                 </div>
-              </div>
+              )}
+              <button onClick={() => guardExport("PDF", exportPDF)} title={t("header.exportPdfShortcut")} aria-keyshortcuts="Control+P Meta+P" className="px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700">{t("header.exportPdf")}</button>
+              {locked ? (
+                <button onClick={reopenReport} className="px-3 py-2 rounded-lg border hover:bg-gray-100">{t("finalize.reopen")}</button>
+              ) : (
+                <button onClick={() => guardExport(t("finalize.what"), finalizeReport, true)} className="px-3 py-2 rounded-lg border hover:bg-gray-100">{t("finalize.finalize")}</button>
+              )}
+              <FileButton label={t("finalize.verify")} accept="application/json" onFile={verifyJSON} />
+              <button onClick={() => guardExport(t("sync.what"), submitReport)} className="px-3 py-2 rounded-lg border hover:bg-gray-100">{t("header.submit")}</button>
             </div>
+          </div>
+        </header>
 
-            <div className="mt-2 grid grid-cols-2 gap-x-6 gap-y-1 w-[540px]">
-              <div className="font-semibold">Customer Name</div><div>{form.customerName}</div>
-              <div className="font-semibold">Address</div><div>{form.address}</div>
-              <div className="font-semibold">Contact Person</div><div>{form.contactPerson} {form.phone && `(Tel: ${form.phone})`}</div>
-              <div className="font-semibold">Modality</div><div>{form.modality}</div>
-              <div className="font-semibold">Model</div><div>{form.model}</div>
-              <div className="font-semibold">Serial No.</div><div>{form.serialNo}</div>
-              <div className="font-semibold">Product No.</div><div>{form.productNo}</div>
-            </div>
+        {pendingImport && (
+          <ImportDialog
+            fileName={pendingImport.fileName}
+            errors={pendingImport.errors}
+            onCancel={() => setPendingImport(null)}
+            onConfirm={() => {
+              addReport(createReport(pendingImport.form));
+              setPendingImport(null);
+            }}
+          />
+        )}
 
-<div className="mt-3 grid grid-cols-2 gap-3">
-  {/* JOB TYPE */}
-  <div className="border rounded p-2">
-    <div className="font-semibold mb-1">Job type :</div>
-    <div className="flex flex-wrap gap-2 text-[11px]">
-      {Object.entries(form.jobTypes).map(([k, v]) => (
-        <span
-          key={k}
-          className={clsx(
-            // ukuran & layout konsisten untuk export
-            "inline-flex items-center h-6 leading-6 px-2 rounded-md border whitespace-nowrap",
-            "font-medium tracking-wide select-none",
-            // warna solid (tanpa opacity/hover) agar rapi di PDF
-            v
-              ? "bg-black text-white border-black"
-              : "bg-gray-100 text-gray-600 border-gray-400"
-          )}
-        >
-          {labelJobType(k)}
-        </span>
-      ))}
-    </div>
-  </div>
-
-  {/* SERVICE TYPE */}
-  <div className="border rounded p-2">
-    <div className="font-semibold mb-1">Service Type :</div>
-    <div className="flex flex-wrap gap-2 text-[11px]">
-      {Object.entries(form.serviceTypes).map(([k, v]) => (
-        <span
-          key={k}
-          className={clsx(
-            "inline-flex items-center h-6 leading-6 px-2 rounded-md border whitespace-nowrap",
-            "font-medium tracking-wide select-none",
-            v
-              ? "bg-black text-white border-black"
-              : "bg-gray-100 text-gray-600 border-gray-400"
-          )}
-        >
-          {labelServiceType(k)}
-        </span>
-      ))}
-    </div>
-  </div>
-</div>
-
-
-            <Box title="Problem :">{form.problem}</Box>
-            <Box title="Action :">{form.action}</Box>
-
-            <div className="grid grid-cols-2 gap-3">
-              <div className="border rounded p-2 min-h-[120px]">
-                <div className="font-semibold mb-1">Job status :</div>
-                <div>{form.jobStatus}</div>
-
-                <div className="mt-2 font-semibold">Part Used:</div>
-                <table className="w-full border mt-1 text-[11px]">
-                  <thead>
-                    <tr className="bg-gray-100">
-                      <th className="border px-2 py-1 w-10">No</th>
-                      <th className="border px-2 py-1">Part Name</th>
-                      <th className="border px-2 py-1">Part No</th>
-                      <th className="border px-2 py-1 w-10">Qty</th>
-                      <th className="border px-2 py-1">Status</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {form.parts.filter(p=>p.partName||p.partNo||p.qty||p.status).map((p, i) => (
-                      <tr key={i}>
-                        <td className="border px-2 py-1 text-center">{i + 1}</td>
-                        <td className="border px-2 py-1">{p.partName}</td>
-                        <td className="border px-2 py-1">{p.partNo}</td>
-                        <td className="border px-2 py-1 text-center">{p.qty}</td>
-                        <td className="border px-2 py-1">{p.status}</td>
-                      </tr>
-                    ))}
-                    {form.parts.filter(p=>p.partName||p.partNo||p.qty||p.status).length === 0 && (
-                      <tr><td className="border px-2 py-1 text-center" colSpan={5}>-</td></tr>
-                    )}
-                  </tbody>
-                </table>
-
-                <div className="mt-2">Status : <span className="font-semibold">{form.statusChargeable}</span></div>
-              </div>
+        {annotating && (
+          <PhotoAnnotator
+            photo={annotating}
+            onCancel={() => setAnnotatingId(null)}
+            onSave={async (annotations) => {
+              const photo = { ...annotating, annotations };
+              if (hasRedactions(photo)) {
+                // the unblurred original must not survive in the undo stack or the change log either
+                const patch = await burnRedactions(photo);
+                updatePhoto(annotating.id, patch);
+                history.redact(annotating.src, patch.src);
+              } else {
+                updatePhoto(annotating.id, { annotations });
+              }
+              setAnnotatingId(null);
+            }}
+          />
+        )}
 
-              <div className="border rounded p-2 min-h-[120px]">
-                <div className="font-semibold mb-1">CONDITION WHEN LEAVE :</div>
-                <div className="whitespace-pre-wrap">{form.conditionWhenLeave}</div>
-              </div>
-            </div>
+        {blockedExport && (
+          <ValidationDialog
+            what={blockedExport.what}
+            issues={Object.entries(issues)}
+            onCancel={() => {
+              setBlockedExport(null);
+              focusFirstInvalid(formRef.current);
+            }}
+            onExportDraft={
+              blockedExport.run &&
+              (() => {
+                blockedExport.run();
+                setBlockedExport(null);
+              })
+            }
+          />
+        )}
 
-            {/* Photo gallery */}
-            {form.photos.length > 0 && (
-              <div className="border rounded p-2 my-3">
-                <div className="font-semibold mb-2">Evidence Photos</div>
-                <div className="grid grid-cols-2 gap-3">
-                  {form.photos.map((ph, i) => (
-                    <div key={ph.id} className="border rounded overflow-hidden">
-                      <img src={ph.src} className="w-full aspect-video object-contain bg-gray-50" />
-                      {ph.caption && <div className="px-2 py-1 text-[11px]">{i+1}. {ph.caption}</div>}
-                    </div>
-                  ))}
-                </div>
+        {showHistory && (
+          <div className="max-w-7xl mx-auto px-6 pt-6">
+            <HistoryPanel form={form} log={history.log} locked={locked} canRestore={history.canRestore} onRestore={history.restore} />
+          </div>
+        )}
+
+        {showTemplates && (
+          <div className="max-w-7xl mx-auto px-6 pt-6">
+            <TemplatesPanel
+              templates={templates}
+              currentTemplateId={form.template?.id}
+              onApply={onApplyTemplate}
+              onImport={onImportTemplate}
+              onExport={onExportTemplate}
+              onDelete={onDeleteTemplate}
+            />
+          </div>
+        )}
+
+        {showCustomers && (
+          <div className="max-w-7xl mx-auto px-6 pt-6">
+            <CustomersPanel
+              customers={customers}
+              onImport={onImportCustomers}
+              onExport={onExportCustomers}
+              onDelete={onDeleteCustomer}
+              onRemoveItem={onRemoveCustomerItem}
+            />
+          </div>
+        )}
+
+        {showFaultCodes && (
+          <div className="max-w-7xl mx-auto px-6 pt-6">
+            <FaultCodesPanel
+              codes={faultCodes}
+              onImport={onImportFaultCodes}
+              onExport={onExportFaultCodes}
+              onClear={onClearFaultCodes}
+              onAddStarter={() => onSaveFaultCodes(STARTER_FAULT_CODES)}
+              onSave={(entry) => onSaveFaultCodes([entry])}
+              onDelete={onDeleteFaultCode}
+            />
+          </div>
+        )}
+
+        {showBranding && (
+          <div className="max-w-7xl mx-auto px-6 pt-6">
+            <BrandingPanel settings={branding} onChange={setBranding} />
+          </div>
+        )}
+
+        {showNumbering && (
+          <div className="max-w-7xl mx-auto px-6 pt-6">
+            <NumberingPanel
+              settings={numbering}
+              onChange={setNumbering}
+              nextNumber={peekFSRNumber(numbering, allNos())}
+              onRenumber={() => !locked && set("fsrNo", nextFSRNumber(numbering, allNos()))}
+            />
+          </div>
+        )}
+
+        {showRules && (
+          <div className="max-w-7xl mx-auto px-6 pt-6">
+            <RequiredFieldsPanel required={requiredFields} onChange={setRequiredFields} />
+          </div>
+        )}
+
+        {showSync && (
+          <div className="max-w-7xl mx-auto px-6 pt-6">
+            <SyncPanel
+              settings={syncSettings}
+              onChange={setSyncSettings}
+              outbox={outbox}
+              onSendNow={() => setSyncTick((n) => n + 1)}
+              onRetry={onRetrySync}
+              onRemove={onRemoveFromOutbox}
+            />
+          </div>
+        )}
+
+        {showBatch && (
+          <div className="max-w-7xl mx-auto px-6 pt-6">
+            <BatchPanel reports={reports} onExport={onBatchExport} />
+          </div>
+        )}
+
+        {showLibrary && (
+          <div className="max-w-7xl mx-auto px-6 pt-6">
+            <ReportLibrary
+              reports={reports}
+              currentId={currentId}
+              onOpen={openReport}
+              templates={templates}
+              onCreate={onCreateReport}
+              onDuplicate={onDuplicateReport}
+              onRename={onRenameReport}
+              onDelete={onDeleteReport}
+            />
+          </div>
+        )}
+
+        <main className="max-w-7xl mx-auto grid md:grid-cols-2 gap-6 p-6">
+          {/* LEFT: FORM (a disabled fieldset makes a finalized report read-only) */}
+          <fieldset ref={formRef} disabled={locked} className="bg-white border rounded-2xl p-4 shadow-sm min-w-0">
+            {locked && (
+              <div className="mb-4 rounded-lg border border-blue-300 bg-blue-50 px-3 py-2 text-sm text-blue-800">
+                {t("finalize.locked", { revision: form.revision, at: dayjs(form.finalized.at).locale(uiLang).format("ll LT") })}
+                <div className="font-mono text-xs break-all mt-1">SHA-256 {form.finalized.hash}</div>
               </div>
             )}
+            {sectionLayout(form.template).map((s, i) =>
+              typeof s === "string" ? (
+                <Fragment key={s}>{formSections[s]}</Fragment>
+              ) : (
+                <TemplateFields key={s.id || i} template={form.template} section={s} values={form.custom} onChange={(key, v) => set(`custom.${key}`, v)} />
+              )
+            )}
+          </fieldset>
 
-            {/* Signatures */}
-            <div className="mt-10 grid grid-cols-2 gap-10 text-center">
-              <div>
-                <div className="h-20 flex items-center justify-center">{form.fseSign && <img src={form.fseSign} className="max-h-16 object-contain" />}</div>
-                <div className="border-t pt-2">{form.fseName || "Field Service Engineer"}</div>
-              </div>
-              <div>
-                <div className="h-20 flex items-center justify-center">{form.trainerSign && <img src={form.trainerSign} className="max-h-16 object-contain" />}</div>
-                <div className="border-t pt-2">{form.trainerName || "Trainer / L2"}</div>
-              </div>
-            </div>
+          {/* RIGHT: PREVIEW */}
+          <div className="bg-white border rounded-2xl p-4 shadow-sm min-w-0">
+            <PreviewPages previewRef={previewRef} branding={branding}>
+              <ReportPreview ref={previewRef} form={form} timesheet={timesheet} branding={branding} />
+            </PreviewPages>
           </div>
-        </div>
-      </main>
-    </div>
+        </main>
+      </div>
+    </I18nContext>
   );
 }
 
-function labelJobType(k) {
-  return { siteSurvey: "Site Survey", training: "Training", corrective: "Corrective Maintenance", installation: "Installation", update: "Update", preventive: "Preventive Maintenance" }[k] || k;
-}
-function labelServiceType(k) {
-  return { chargeable: "Chargeable", contract: "Contract Service", warranty: "Warranty" }[k] || k;
-}
-function Box({ title, children }) {
-  return (
-    <div className="border rounded p-2 my-3 min-h-[120px]">
-      <div className="font-semibold mb-2">{title}</div>
-      <div className="whitespace-pre-wrap">{children}</div>
-    </div>
-  );
+// Folds the live form into its library record if it changed
+function commitForm(reports, id, form) {
+  return reports.map((r) => (r.id === id && r.form !== form ? touchReport(r, { form }) : r));
 }
 
 function triggerDownload(url, filename) {
@@ -0,0 +1,85 @@
+import { useState } from "react";
+import { EMPTY_BATCH_FILTERS, distinctValues, filterReports, reportDate } from "../lib/batch";
+import { useT } from "../lib/i18n";
+import { reportTitle } from "../lib/reports";
+import { Input, Select } from "./fields";
+
+const EXPORTS = ["zip", "pdf", "csv", "xlsx"];
+
+// Filter saved reports, pick some and export them together (ZIP, combined PDF, summary sheet)
+export default function BatchPanel({ reports, onExport }) {
+  const t = useT();
+  const [filters, setFilters] = useState(EMPTY_BATCH_FILTERS);
+  const [excluded, setExcluded] = useState(() => new Set()); // ids unticked by hand
+  const [status, setStatus] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const shown = filterReports(reports, filters).sort((a, b) => reportDate(a).localeCompare(reportDate(b)));
+  const selected = shown.filter((r) => !excluded.has(r.id));
+  const filter = (patch) => setFilters((f) => ({ ...f, ...patch }));
+  const toggle = (id, on) =>
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (on) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  const choices = (key) => [{ value: "", label: t("batch.any") }, ...distinctValues(reports, key).map((v) => ({ value: v, label: v }))];
+
+  const run = async (kind) => {
+    setBusy(true);
+    setStatus("");
+    try {
+      await onExport(kind, selected, (i, n) => setStatus(t("batch.progress", { i, n })));
+      setStatus(t("batch.done", { n: selected.length }));
+    } catch (e) {
+      console.error(e);
+      setStatus(t("batch.failed", { message: e.message }));
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="bg-white border rounded-2xl p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{t("batch.title")}</h3>
+        <button onClick={() => setFilters(EMPTY_BATCH_FILTERS)} className="px-3 py-2 text-sm border rounded-lg">{t("common.clear")}</button>
+      </div>
+      <div className="grid md:grid-cols-3 gap-3">
+        <Input type="date" label={t("batch.from")} value={filters.from} onChange={(e) => filter({ from: e.target.value })} />
+        <Input type="date" label={t("batch.to")} value={filters.to} onChange={(e) => filter({ to: e.target.value })} />
+        <Input label={t("field.fseName")} list="batch-engineers" value={filters.fseName} onChange={(e) => filter({ fseName: e.target.value })} />
+        <Input label={t("field.customerName")} list="batch-customers" value={filters.customer} onChange={(e) => filter({ customer: e.target.value })} />
+        <Select label={t("field.jobStatus")} value={filters.jobStatus} options={choices("jobStatus")} onChange={(e) => filter({ jobStatus: e.target.value })} />
+        <Select label={t("field.statusChargeable")} value={filters.statusChargeable} options={choices("statusChargeable")} onChange={(e) => filter({ statusChargeable: e.target.value })} />
+      </div>
+      <datalist id="batch-engineers">
+        {distinctValues(reports, "fseName").map((v) => <option key={v} value={v} />)}
+      </datalist>
+      <datalist id="batch-customers">
+        {distinctValues(reports, "customerName").map((v) => <option key={v} value={v} />)}
+      </datalist>
+
+      <div className="mt-3 max-h-64 overflow-auto divide-y border rounded-lg">
+        {shown.map((r) => (
+          <label key={r.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+            <input type="checkbox" checked={!excluded.has(r.id)} onChange={(e) => toggle(r.id, e.target.checked)} />
+            <span className="w-24 shrink-0 text-xs text-gray-500">{reportDate(r)}</span>
+            <span className="font-medium truncate">{reportTitle(r)}</span>
+            <span className="text-xs text-gray-500 truncate">{[r.form.customerName, r.form.fseName, r.form.jobStatus].filter(Boolean).join(" • ")}</span>
+          </label>
+        ))}
+        {shown.length === 0 && <div className="px-3 py-2 text-sm text-gray-500">{t("library.noMatch")}</div>}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-3">
+        <span className="text-sm text-gray-600 mr-auto">{status || t("batch.selected", { n: selected.length, total: shown.length })}</span>
+        {EXPORTS.map((kind) => (
+          <button key={kind} onClick={() => run(kind)} disabled={busy || !selected.length} className="px-3 py-2 text-sm border rounded-lg disabled:opacity-40">
+            {t(`batch.export.${kind}`)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { DEFAULT_BRANDING, PAGE_SIZES } from "../lib/branding";
+import { useT } from "../lib/i18n";
+import { PAGE_BREAK_SECTIONS } from "../lib/pagination";
+import { Checkbox, Input, Select, TextArea } from "./fields";
+
+const SIDES = ["top", "right", "bottom", "left"];
+const PLACEMENTS = ["left", "center", "right"];
+
+// Page size, margins, letterhead/footer, logo, chip accent, watermark and section page breaks for the
+// preview and all exports
+export default function BrandingPanel({ settings, onChange }) {
+  const t = useT();
+  const setting = (patch) => onChange({ ...settings, ...patch });
+  const mm = (value, max) => Math.min(max, Math.max(0, Number(value) || 0));
+
+  return (
+    <div className="bg-white border rounded-2xl p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{t("branding.title")}</h3>
+        <button onClick={() => onChange(DEFAULT_BRANDING)} className="px-3 py-2 text-sm border rounded-lg">{t("rules.reset")}</button>
+      </div>
+      <div className="grid md:grid-cols-3 gap-3">
+        <Select
+          label={t("branding.pageSize")}
+          value={settings.pageSize}
+          options={Object.entries(PAGE_SIZES).map(([value, size]) => ({ value, label: `${size.label} (${size.width} × ${size.height} mm)` }))}
+          onChange={(e) => setting({ pageSize: e.target.value })}
+        />
+        <div className="md:col-span-2 grid grid-cols-4 gap-3">
+          {SIDES.map((side) => (
+            <Input
+              key={side}
+              type="number"
+              min={0}
+              max={40}
+              label={t(`branding.margin.${side}`)}
+              value={settings.margins[side]}
+              onChange={(e) => setting({ margins: { ...settings.margins, [side]: mm(e.target.value, 40) } })}
+            />
+          ))}
+        </div>
+        <Input label={t("branding.companyName")} value={settings.companyName} onChange={(e) => setting({ companyName: e.target.value })} />
+        <TextArea label={t("branding.companyAddress")} value={settings.companyAddress} onChange={(e) => setting({ companyAddress: e.target.value })} />
+        <TextArea label={t("branding.footerText")} value={settings.footerText} onChange={(e) => setting({ footerText: e.target.value })} />
+        <Select
+          label={t("branding.logoPlacement")}
+          value={settings.logoPlacement}
+          options={PLACEMENTS.map((value) => ({ value, label: t(`branding.placement.${value}`) }))}
+          onChange={(e) => setting({ logoPlacement: e.target.value })}
+        />
+        <Input type="number" min={5} max={40} label={t("branding.logoSize")} value={settings.logoSize} onChange={(e) => setting({ logoSize: mm(e.target.value, 40) || 5 })} />
+        <label className="text-sm">
+          <div className="mb-1 text-gray-600">{t("branding.accent")}</div>
+          <input type="color" value={settings.accent} onChange={(e) => setting({ accent: e.target.value })} className="h-10 w-20 border rounded-lg" />
+        </label>
+      </div>
+      <div className="mt-3">
+        <Checkbox label={t("branding.watermark")} checked={settings.watermark} onChange={(watermark) => setting({ watermark })} />
+      </div>
+      <div className="mt-3 text-sm">
+        <div className="mb-1 text-gray-600">{t("branding.pageBreaks")}</div>
+        <div className="flex flex-wrap gap-3">
+          {Object.entries(PAGE_BREAK_SECTIONS).map(([key, label]) => (
+            <Checkbox
+              key={key}
+              label={t(label)}
+              checked={settings.pageBreaks.includes(key)}
+              onChange={(on) => setting({ pageBreaks: on ? [...settings.pageBreaks, key] : settings.pageBreaks.filter((k) => k !== key) })}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import clsx from "clsx";
+import { findContact, findCustomer, findSystem } from "../lib/customers";
+import { useT } from "../lib/i18n";
+import { FileButton, Select } from "./fields";
+
+// Customer registry: CSV import/export, contacts & installed systems per customer
+export default function CustomersPanel({ customers, onImport, onExport, onDelete, onRemoveItem }) {
+  const t = useT();
+  return (
+    <div className="bg-white border rounded-2xl p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{t("customers.title")}</h3>
+        <div className="flex gap-2">
+          <FileButton label={t("customers.import")} accept=".csv,text/csv" onFile={onImport} />
+          <button onClick={onExport} disabled={!customers.length} className="px-3 py-2 text-sm border rounded-lg disabled:opacity-40">{t("customers.export")}</button>
+        </div>
+      </div>
+      <div className="divide-y border rounded-lg">
+        {customers.map((c) => (
+          <div key={c.id} className="px-3 py-2 text-sm">
+            <div className="flex items-center gap-3">
+              <div className="mr-auto">
+                <div className="font-medium">{c.name}</div>
+                {c.address && <div className="text-xs text-gray-500">{c.address}</div>}
+              </div>
+              <button onClick={() => onDelete(c)} className="text-xs px-2 py-1 border rounded text-red-600">{t("common.delete")}</button>
+            </div>
+            <div className="mt-1 flex flex-wrap gap-1 text-xs">
+              {c.contacts.map((ct, i) => (
+                <Item key={`c${i}`} onRemove={() => onRemoveItem(c, "contacts", i)}>
+                  {ct.name}{ct.phone && ` (${ct.phone})`}
+                </Item>
+              ))}
+              {c.systems.map((s, i) => (
+                <Item key={`s${i}`} onRemove={() => onRemoveItem(c, "systems", i)} system>
+                  {[s.modality, s.model].filter(Boolean).join(" ")} • {t("customers.sn", { serialNo: s.serialNo })}
+                </Item>
+              ))}
+            </div>
+          </div>
+        ))}
+        {customers.length === 0 && <div className="px-3 py-2 text-sm text-gray-500">{t("customers.empty")}</div>}
+      </div>
+    </div>
+  );
+}
+
+function Item({ children, onRemove, system }) {
+  const t = useT();
+  return (
+    <span className={clsx("inline-flex items-center gap-1 px-2 py-0.5 rounded border", system ? "bg-blue-50" : "bg-gray-50")}>
+      {children}
+      <button onClick={onRemove} className="text-gray-400 hover:text-red-600" title={t("common.remove")}>×</button>
+    </span>
+  );
+}
+
+// Pickers above the Customer & System fields; the selection is derived from the typed values
+export function CustomerPicker({ customers, form, onPick, onSave }) {
+  const t = useT();
+  const customer = findCustomer(customers, form.customerName);
+  const none = { value: "", label: "—" };
+
+  return (
+    <div className="grid md:grid-cols-4 gap-3 items-end">
+      <Select
+        label={t("customers.customer")}
+        value={customer?.id ?? ""}
+        options={[none, ...customers.map((c) => ({ value: c.id, label: c.name }))]}
+        onChange={(e) => e.target.value && onPick("customer", customers.find((c) => c.id === e.target.value))}
+      />
+      <Select
+        label={t("customers.contact")}
+        disabled={!customer?.contacts.length}
+        value={findContact(customer, form.contactPerson)?.name ?? ""}
+        options={[none, ...(customer?.contacts ?? []).map((ct) => ({ value: ct.name, label: ct.name }))]}
+        onChange={(e) => e.target.value && onPick("contact", findContact(customer, e.target.value))}
+      />
+      <Select
+        label={t("customers.system")}
+        disabled={!customer?.systems.length}
+        value={findSystem(customer, form.serialNo)?.serialNo ?? ""}
+        options={[none, ...(customer?.systems ?? []).map((s) => ({ value: s.serialNo, label: `${[s.modality, s.model].filter(Boolean).join(" ")} • ${s.serialNo}` }))]}
+        onChange={(e) => e.target.value && onPick("system", findSystem(customer, e.target.value))}
+      />
+      <button onClick={onSave} disabled={!form.customerName.trim()} className="h-10 px-3 border rounded-lg text-sm disabled:opacity-40">
+        {customer ? t("customers.update") : t("customers.save")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import { useState } from "react";
+import clsx from "clsx";
+import { isAnnotated, useFlattenedPhotos } from "../lib/annotate";
+import { useT } from "../lib/i18n";
+import { dataUrlBytes, formatBytes } from "../lib/image";
+import { FileButton, Section } from "./fields";
+
+// Evidence photo upload, processing settings, drag-and-drop ordering (preview follows this order)
+// and the entry to each photo's annotation editor (cards show the annotated result)
+export default function EvidencePhotos({ photos, settings, onSettingsChange, onUpload, status, onUpdate, onDelete, onMove, onAnnotate }) {
+  const t = useT();
+  const srcOf = useFlattenedPhotos(photos);
+  const [dragId, setDragId] = useState(null);
+  const [overId, setOverId] = useState(null);
+  const total = photos.reduce((s, ph) => s + dataUrlBytes(ph.src), 0);
+  const setting = (patch) => onSettingsChange({ ...settings, ...patch });
+
+  const drop = (targetId) => {
+    if (dragId && dragId !== targetId) onMove(dragId, photos.findIndex((ph) => ph.id === targetId));
+    setDragId(null);
+    setOverId(null);
+  };
+
+  return (
+    <Section title={t("section.photos")} right={<small className="text-gray-500">{photos.length ? t("photos.count", { n: photos.length, size: formatBytes(total) }) : t("photos.dragHint")}</small>}>
+      <div className="flex items-center gap-3 flex-wrap mb-2">
+        <FileButton label={t("photos.add")} accept="image/*" multiple onFile={onUpload} />
+        {status && <span className="text-xs text-gray-500">{status}</span>}
+      </div>
+
+      <details className="text-sm border rounded-lg px-3 py-2">
+        <summary className="cursor-pointer text-gray-600">{t("photos.settings")}</summary>
+        <div className="flex flex-wrap items-end gap-4 mt-2">
+          <label>
+            <div className="mb-1 text-gray-600">{t("photos.maxDim")}</div>
+            <input type="number" min={320} max={6000} step={80} className="w-28 border rounded-lg px-3 py-2" value={settings.maxDim} onChange={(e) => setting({ maxDim: Math.max(320, +e.target.value || 0) })} />
+          </label>
+          <label>
+            <div className="mb-1 text-gray-600">{t("photos.format")}</div>
+            <select className="border rounded-lg px-3 py-2 bg-white" value={settings.format} onChange={(e) => setting({ format: e.target.value })}>
+              <option value="image/jpeg">JPEG</option>
+              <option value="image/webp">WebP</option>
+            </select>
+          </label>
+          <label>
+            <div className="mb-1 text-gray-600">{t("photos.quality", { q: Math.round(settings.quality * 100) })}</div>
+            <input type="range" min={0.4} max={0.95} step={0.05} value={settings.quality} onChange={(e) => setting({ quality: +e.target.value })} />
+          </label>
+          <label className="inline-flex items-center gap-2 pb-2">
+            <input type="checkbox" checked={settings.stripGps} onChange={(e) => setting({ stripGps: e.target.checked })} />
+            <span>{t("photos.stripGps")}</span>
+          </label>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">{t("photos.settingsNote")}</p>
+      </details>
+
+      <div className="grid sm:grid-cols-2 gap-3">
+        {photos.map((ph, i) => (
+          <div
+            key={ph.id}
+            draggable
+            onDragStart={(e) => {
+              setDragId(ph.id);
+              e.dataTransfer.effectAllowed = "move";
+            }}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setOverId(ph.id);
+            }}
+            onDragLeave={() => setOverId((id) => (id === ph.id ? null : id))}
+            onDrop={(e) => {
+              e.preventDefault();
+              drop(ph.id);
+            }}
+            onDragEnd={() => {
+              setDragId(null);
+              setOverId(null);
+            }}
+            className={clsx("border rounded-lg overflow-hidden cursor-move", dragId === ph.id && "opacity-50", overId === ph.id && dragId !== ph.id && "ring-2 ring-blue-500")}
+          >
+            <img src={srcOf(ph) ?? undefined} alt={ph.caption || t("photos.alt", { n: i + 1 })} className="w-full aspect-video object-contain bg-gray-50" />
+            <div className="p-2">
+              <input className="w-full text-sm border rounded px-2 py-1" placeholder={t("photos.caption")} aria-label={t("photos.captionOf", { n: i + 1 })} value={ph.caption} onChange={(e) => onUpdate(ph.id, { caption: e.target.value })} />
+              <div className="flex items-center gap-1 mt-2 text-xs">
+                <span className="text-gray-500 mr-auto">
+                  #{i + 1} • {formatBytes(dataUrlBytes(ph.src))}
+                  {ph.location && ` • GPS ${ph.location}`}
+                  {isAnnotated(ph) && ` • ${t("photos.annotated", { n: ph.annotations.shapes.length })}`}
+                </span>
+                <button onClick={() => onAnnotate(ph.id)} className="px-2 py-1 border rounded">{t("photos.annotate")}</button>
+                <button onClick={() => onMove(ph.id, i - 1)} disabled={i === 0} className="px-2 py-1 border rounded disabled:opacity-40" title={t("photos.moveEarlier")}>◀</button>
+                <button onClick={() => onMove(ph.id, i + 1)} disabled={i === photos.length - 1} className="px-2 py-1 border rounded disabled:opacity-40" title={t("photos.moveLater")}>▶</button>
+                <button onClick={() => onDelete(ph.id)} className="px-2 py-1 border rounded">{t("common.remove")}</button>
+              </div>
+            </div>
+          </div>
+        ))}
+        {photos.length === 0 && <div className="text-sm text-gray-500">{t("photos.none")}</div>}
+      </div>
+    </Section>
+  );
+}
@@ -0,0 +1,81 @@
+import { useState } from "react";
+import { FAULT_CATEGORIES, faultOption, faultTree } from "../lib/faultCodes";
+import { useT } from "../lib/i18n";
+import { FileButton, Input, Select } from "./fields";
+
+const EMPTY_DRAFT = { category: "symptom", parent: "", code: "", label: "" };
+
+// Editable hierarchical fault code list: JSON/CSV import, CSV export, add / rename / delete entries
+export default function FaultCodesPanel({ codes, onImport, onExport, onClear, onAddStarter, onSave, onDelete }) {
+  const t = useT();
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const edit = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const code = draft.code.trim();
+  const taken = codes.some((e) => e.category === draft.category && e.code === code);
+
+  const add = () => {
+    onSave({ id: `${draft.category}:${code}`, category: draft.category, code, label: draft.label.trim() || code, parent: draft.parent });
+    edit({ code: "", label: "" });
+  };
+
+  return (
+    <div className="bg-white border rounded-2xl p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{t("faultCodes.title")}</h3>
+        <div className="flex gap-2">
+          <FileButton label={t("faultCodes.import")} accept=".json,.csv,application/json,text/csv" onFile={onImport} />
+          <button onClick={onExport} disabled={!codes.length} className="px-3 py-2 text-sm border rounded-lg disabled:opacity-40">{t("faultCodes.export")}</button>
+          <button onClick={onClear} disabled={!codes.length} className="px-3 py-2 text-sm border rounded-lg disabled:opacity-40">{t("common.clear")}</button>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-5 gap-3 items-end mb-3">
+        <Select
+          label={t("faultCodes.category")}
+          value={draft.category}
+          options={FAULT_CATEGORIES.map((c) => ({ value: c, label: t(`fault.${c}`) }))}
+          onChange={(e) => edit({ category: e.target.value, parent: "" })}
+        />
+        <Select
+          label={t("faultCodes.parent")}
+          value={draft.parent}
+          options={[{ value: "", label: "—" }, ...faultTree(codes, draft.category).map(faultOption)]}
+          onChange={(e) => edit({ parent: e.target.value })}
+        />
+        <Input label={t("faultCodes.code")} value={draft.code} onChange={(e) => edit({ code: e.target.value })} error={taken ? t("faultCodes.taken") : undefined} />
+        <Input label={t("faultCodes.label")} value={draft.label} onChange={(e) => edit({ label: e.target.value })} />
+        <button onClick={add} disabled={!code || taken} className="h-10 px-3 border rounded-lg text-sm disabled:opacity-40">{t("faultCodes.add")}</button>
+      </div>
+
+      {codes.length === 0 ? (
+        <div className="flex items-center gap-3 text-sm text-gray-500">
+          {t("faultCodes.empty")}
+          <button onClick={onAddStarter} className="px-3 py-2 border rounded-lg text-gray-700">{t("faultCodes.starter")}</button>
+        </div>
+      ) : (
+        <div className="grid md:grid-cols-4 gap-3">
+          {FAULT_CATEGORIES.map((category) => (
+            <div key={category} className="border rounded-lg">
+              <div className="px-3 py-2 text-sm font-medium border-b bg-gray-50">{t(`fault.${category}`)}</div>
+              <div className="max-h-72 overflow-auto py-1">
+                {faultTree(codes, category).map(({ entry, depth }) => (
+                  <div key={entry.id} className="flex items-center gap-2 px-3 py-0.5 text-sm" style={{ paddingLeft: 12 + depth * 16 }}>
+                    <span className="font-mono text-xs shrink-0">{entry.code}</span>
+                    <input
+                      key={entry.label}
+                      defaultValue={entry.label}
+                      aria-label={`${entry.code} – ${t("faultCodes.label")}`}
+                      onBlur={(e) => e.target.value.trim() && e.target.value.trim() !== entry.label && onSave({ ...entry, label: e.target.value.trim() })}
+                      className="min-w-0 flex-1 px-1 border border-transparent rounded hover:border-gray-300 focus:border-blue-500 outline-none"
+                    />
+                    <button onClick={() => onDelete(entry)} className="text-gray-400 hover:text-red-600" title={t("common.delete")} aria-label={`${t("common.delete")} ${entry.code}`}>×</button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
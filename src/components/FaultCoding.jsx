@@ -0,0 +1,62 @@
+import { reportDate } from "../lib/batch";
+import { FAULT_CATEGORIES, faultChoice, faultOption, faultText, faultTree } from "../lib/faultCodes";
+import { formatDate, useT } from "../lib/i18n";
+import { Select } from "./fields";
+
+// Structured fault codes under Problem & Action, plus saved reports on the same model that share one
+export default function FaultCoding({ codes, value, onChange, similar, onOpen }) {
+  const t = useT();
+
+  return (
+    <div className="border rounded-lg p-3 grid gap-3">
+      <div className="font-medium text-sm">{t("fault.title")}</div>
+      <div className="grid md:grid-cols-4 gap-3">
+        {FAULT_CATEGORIES.map((category) => {
+          const tree = faultTree(codes, category);
+          const picked = value[category];
+          // a code that is not in this device's list (report made elsewhere) stays selectable
+          const unknown = picked && !tree.some(({ entry }) => entry.code === picked.code);
+          return (
+            <Select
+              key={category}
+              label={t(`fault.${category}`)}
+              value={picked?.code ?? ""}
+              options={[
+                { value: "", label: "—" },
+                ...(unknown ? [{ value: picked.code, label: faultText(picked) }] : []),
+                ...tree.map(faultOption),
+              ]}
+              onChange={(e) => {
+                const entry = tree.find(({ entry }) => entry.code === e.target.value)?.entry;
+                onChange(category, entry ? faultChoice(codes, entry) : e.target.value ? picked : null);
+              }}
+            />
+          );
+        })}
+      </div>
+      {codes.length === 0 && <p className="text-xs text-gray-500">{t("fault.noList")}</p>}
+
+      {similar.length > 0 && (
+        <div>
+          <div className="text-sm font-medium mb-1">{t("fault.similar", { n: similar.length })}</div>
+          <div className="divide-y border rounded-lg max-h-56 overflow-auto">
+            {similar.map(({ report, matches }) => (
+              <div key={report.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                <div className="mr-auto min-w-0">
+                  <div className="font-medium truncate">
+                    {report.form.fsrNo || report.name} • {formatDate(reportDate(report), t.lang)} • {report.form.customerName}
+                  </div>
+                  <div className="text-xs text-gray-500 truncate">
+                    {matches.map((c) => `${t(`fault.${c}`)}: ${report.form.faultCodes[c].code}`).join(" • ")}
+                    {report.form.action && ` — ${report.form.action}`}
+                  </div>
+                </div>
+                <button onClick={() => onOpen(report.id)} className="text-xs px-2 py-1 border rounded">{t("fault.open")}</button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
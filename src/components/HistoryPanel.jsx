@@ -0,0 +1,59 @@
+import dayjs from "dayjs";
+import { localize, useT } from "../lib/i18n";
+import { fieldLabel, typeLabel } from "../lib/templates";
+
+// List fields and settings that have no field.* label
+const LIST_LABELS = {
+  parts: "section.parts",
+  photos: "section.photos",
+  pmChecklist: "section.pmChecklist",
+  breaks: "timesheet.breaks",
+  sessions: "sessions.title",
+  faultCodes: "fault.title",
+  template: "header.templates",
+  reportLang: "lang.report",
+  finalized: "finalize.finalize",
+};
+
+// Readable name of a changed field path ("jobTypes.preventive", "custom.kvp", "parts", ...)
+function changeLabel(form, path, t) {
+  const [key, sub] = path.split(".");
+  if (sub && (key === "jobTypes" || key === "serviceTypes")) return typeLabel(form, key, sub, t);
+  if (sub && key === "faultCodes") return `${t("fault.title")}: ${t(`fault.${sub}`)}`;
+  if (sub && key === "custom") {
+    const field = form.template?.sections.flatMap((s) => s.fields).find((f) => f.key === sub);
+    return field ? localize(field.label, t.lang) : sub;
+  }
+  if (LIST_LABELS[key]) return t(LIST_LABELS[key]);
+  return t.has(`field.${key}`) ? fieldLabel(form, key, t) : path;
+}
+
+// Change log of the open report, newest first; restoring an entry brings the report back to its state
+// right after that change
+export default function HistoryPanel({ form, log, locked, canRestore, onRestore }) {
+  const t = useT();
+  const entries = [...log].reverse();
+  return (
+    <div className="bg-white border rounded-2xl p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{t("history.title")}</h3>
+        <small className="text-gray-500">{t("history.shortcuts")}</small>
+      </div>
+      <div className="divide-y border rounded-lg max-h-80 overflow-auto">
+        {entries.map((e, i) => (
+          <div key={log.length - 1 - i} className="flex items-center gap-3 px-3 py-2 text-sm">
+            <div className="w-36 shrink-0 text-xs text-gray-500">{dayjs(e.at).locale(t.lang).format("ll LTS")}</div>
+            <div className="mr-auto min-w-0">
+              <span className="font-medium">{t(`history.action.${e.action}`)}</span>
+              {e.fields.length > 0 && <span className="text-gray-600"> — {e.fields.map((f) => changeLabel(form, f, t)).join(", ")}</span>}
+            </div>
+            {!locked && canRestore(log.length - 1 - i) && (
+              <button onClick={() => onRestore(log.length - 1 - i)} className="text-xs px-2 py-1 border rounded">{t("history.restore")}</button>
+            )}
+          </div>
+        ))}
+        {entries.length === 0 && <div className="px-3 py-2 text-sm text-gray-500">{t("history.empty")}</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import { useT } from "../lib/i18n";
+
+// Lists field-level schema errors of an imported FSR file before it is accepted
+export default function ImportDialog({ fileName, errors, onConfirm, onCancel }) {
+  const t = useT();
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-lg w-full max-w-lg p-4">
+        <h3 className="font-semibold mb-1">{t("import.title", { file: fileName })}</h3>
+        <p className="text-sm text-gray-600 mb-3">{t("import.body", { n: errors.length })}</p>
+        <ul className="max-h-64 overflow-auto text-sm border rounded-lg divide-y mb-4">
+          {errors.map((e, i) => (
+            <li key={i} className="px-3 py-1.5">
+              <code className="text-red-700">{e.path}</code> <span className="text-gray-600">— {e.message}</span>
+            </li>
+          ))}
+        </ul>
+        <div className="flex justify-end gap-2">
+          <button onClick={onCancel} className="px-3 py-2 rounded-lg border hover:bg-gray-100">{t("common.cancel")}</button>
+          <button onClick={onConfirm} className="px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700">{t("import.confirm")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { useT } from "../lib/i18n";
+import { DEFAULT_NUMBERING, patternErrors, sharesSequence } from "../lib/numbering";
+import { Input } from "./fields";
+
+// FSR number pattern, its inputs and the SWO number mask
+export default function NumberingPanel({ settings, onChange, nextNumber, onRenumber }) {
+  const t = useT();
+  const setting = (patch) => onChange({ ...settings, ...patch });
+  const unknown = patternErrors(settings.pattern);
+
+  return (
+    <div className="bg-white border rounded-2xl p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{t("numbering.title")}</h3>
+        <button onClick={() => onChange(DEFAULT_NUMBERING)} className="px-3 py-2 text-sm border rounded-lg">{t("rules.reset")}</button>
+      </div>
+      <div className="grid md:grid-cols-3 gap-3">
+        <Input
+          label={t("numbering.pattern")}
+          value={settings.pattern}
+          onChange={(e) => setting({ pattern: e.target.value })}
+          error={unknown.length ? t("numbering.unknownTokens", { tokens: unknown.map((tok) => `{${tok}}`).join(" ") }) : undefined}
+          warning={sharesSequence(settings) ? t("numbering.sharedSequence") : undefined}
+        />
+        <Input label={t("numbering.prefix")} value={settings.prefix} onChange={(e) => setting({ prefix: e.target.value })} />
+        <Input label={t("numbering.swoFormat")} placeholder="SWO-########" value={settings.swoFormat} onChange={(e) => setting({ swoFormat: e.target.value })} />
+        <Input label={t("numbering.initials")} value={settings.initials} onChange={(e) => setting({ initials: e.target.value })} />
+        <Input label={t("numbering.region")} value={settings.region} onChange={(e) => setting({ region: e.target.value })} />
+      </div>
+      <p className="text-xs text-gray-500 mt-3">{t("numbering.help")}</p>
+      <div className="flex flex-wrap items-center gap-3 mt-3 text-sm">
+        <span className="mr-auto">
+          {t("numbering.next")} <span className="font-mono font-semibold">{nextNumber}</span>
+        </span>
+        <button onClick={onRenumber} disabled={unknown.length > 0} className="px-3 py-2 border rounded-lg disabled:opacity-40">{t("numbering.renumber")}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import { useSyncExternalStore } from "react";
+import clsx from "clsx";
+import { useT } from "../lib/i18n";
+
+const subscribe = (cb) => {
+  window.addEventListener("online", cb);
+  window.addEventListener("offline", cb);
+  return () => {
+    window.removeEventListener("online", cb);
+    window.removeEventListener("offline", cb);
+  };
+};
+
+// Header badge; everything (PDF export included) keeps working offline once the app is cached
+export default function OnlineStatus() {
+  const t = useT();
+  const online = useSyncExternalStore(subscribe, () => navigator.onLine);
+  return (
+    <span
+      className={clsx("inline-flex items-center gap-1.5 text-xs px-2 py-1 rounded-full border", online ? "bg-green-50 text-green-700 border-green-300" : "bg-amber-50 text-amber-800 border-amber-400")}
+      title={online ? undefined : t("network.offlineHint")}
+    >
+      <span className={clsx("w-2 h-2 rounded-full", online ? "bg-green-500" : "bg-amber-500")} />
+      {online ? t("network.online") : t("network.offline")}
+    </span>
+  );
+}
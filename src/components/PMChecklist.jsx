@@ -0,0 +1,64 @@
+import clsx from "clsx";
+import { useT } from "../lib/i18n";
+import { PM_RESULTS, groupChecklist, isOutOfTolerance, resultLabel, summarizeChecklist, toleranceText } from "../lib/pmChecklist";
+import { Section } from "./fields";
+
+const cell = "border rounded px-2 py-1 text-sm w-full";
+
+// Structured PM checklist (shown while the Preventive job type is ticked)
+export default function PMChecklist({ items, onUpdate, onAdd, onRemove, onLoadTemplate, canLoadTemplate }) {
+  const t = useT();
+  const summary = summarizeChecklist(items);
+
+  return (
+    <Section title={t("section.pmChecklist")} right={<ChecklistSummary summary={summary} />}>
+      {groupChecklist(items, t).map(([group, rows]) => (
+        <div key={group} className="border rounded-lg p-2">
+          <div className="font-medium text-sm mb-2">{group}</div>
+          <div className="grid gap-2">
+            {rows.map((it) => {
+              const out = isOutOfTolerance(it);
+              // placeholders vanish once typed in, so each control is also named with its check item
+              const name = (key) => [t(key), it.item].filter(Boolean).join(": ");
+              return (
+                <div key={it.id} className={clsx("grid grid-cols-12 gap-2 items-center", out && "bg-red-50 rounded")}>
+                  <input className={clsx(cell, "col-span-12 md:col-span-4")} placeholder={t("pm.item")} aria-label={name("pm.item")} value={it.item} onChange={(e) => onUpdate(it.id, { item: e.target.value })} />
+                  <select className={clsx(cell, "col-span-4 md:col-span-2 bg-white")} aria-label={name("report.result")} value={it.result} onChange={(e) => onUpdate(it.id, { result: e.target.value })}>
+                    <option value="">—</option>
+                    {PM_RESULTS.map((r) => <option key={r} value={r}>{resultLabel(r, t)}</option>)}
+                  </select>
+                  <input className={clsx(cell, "col-span-4 md:col-span-2", out && "border-red-500 text-red-700 font-semibold")} placeholder={t("pm.value")} aria-label={name("pm.value")} aria-invalid={out || undefined} aria-describedby={out ? `pm-${it.id}-out` : undefined} inputMode="decimal" value={it.value} onChange={(e) => onUpdate(it.id, { value: e.target.value })} />
+                  <input className={clsx(cell, "col-span-4 md:col-span-1")} placeholder={t("pm.unit")} aria-label={name("pm.unit")} value={it.unit} onChange={(e) => onUpdate(it.id, { unit: e.target.value })} />
+                  <input className={clsx(cell, "col-span-3 md:col-span-1")} placeholder={t("pm.min")} aria-label={name("pm.min")} inputMode="decimal" value={it.min} onChange={(e) => onUpdate(it.id, { min: e.target.value })} />
+                  <input className={clsx(cell, "col-span-3 md:col-span-1")} placeholder={t("pm.max")} aria-label={name("pm.max")} inputMode="decimal" value={it.max} onChange={(e) => onUpdate(it.id, { max: e.target.value })} />
+                  <button onClick={() => onRemove(it.id)} aria-label={name("common.remove")} className="col-span-6 md:col-span-1 text-xs px-2 py-1 border rounded">{t("common.remove")}</button>
+                  <input className={clsx(cell, "col-span-8")} placeholder={t("pm.remark")} aria-label={name("pm.remark")} value={it.remark} onChange={(e) => onUpdate(it.id, { remark: e.target.value })} />
+                  <input className={clsx(cell, "col-span-4")} placeholder={t("pm.group")} aria-label={name("pm.group")} value={it.group} onChange={(e) => onUpdate(it.id, { group: e.target.value })} />
+                  {out && <div id={`pm-${it.id}-out`} className="col-span-12 text-xs text-red-600">{t("pm.outOfTolerance", { range: toleranceText(it) })}</div>}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+      {items.length === 0 && <div className="text-sm text-gray-500">{t("pm.none")}</div>}
+      <div className="flex flex-wrap gap-2">
+        <button onClick={onAdd} className="px-3 py-2 border rounded-lg">{t("pm.add")}</button>
+        {canLoadTemplate && <button onClick={onLoadTemplate} className="px-3 py-2 border rounded-lg">{t("pm.loadTemplate")}</button>}
+      </div>
+    </Section>
+  );
+}
+
+// `t` defaults to the UI language; the report preview passes the report translator
+export function ChecklistSummary({ summary, t }) {
+  const ui = useT();
+  t ||= ui;
+  return (
+    <small className="text-gray-600">
+      {t("pm.countPass", { n: summary.pass })} • <span className={clsx(summary.fail && "text-red-600 font-semibold")}>{t("pm.countFail", { n: summary.fail })}</span> • {t("pm.countNa", { n: summary.na })}
+      {summary.open > 0 && ` • ${t("pm.open", { n: summary.open })}`}
+      {summary.outOfTolerance > 0 && <span className="text-red-600 font-semibold"> • {t("pm.outCount", { n: summary.outOfTolerance })}</span>}
+    </small>
+  );
+}
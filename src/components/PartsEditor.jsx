@@ -0,0 +1,56 @@
+import { PART_STATUSES, partStatusLabel, partsTotal } from "../lib/catalog";
+import { useT } from "../lib/i18n";
+import { FileButton, Input, Select } from "./fields";
+
+// Parts rows with catalog autocomplete (picking a name fills the number and vice versa)
+export default function PartsEditor({ parts, catalog, onChange, onAdd, onRemove, fieldError, onImportCatalog, onClearCatalog }) {
+  const t = useT();
+  const byName = new Map(catalog.map((c) => [c.partName.toLowerCase(), c]));
+  const byNo = new Map(catalog.map((c) => [c.partNo.toLowerCase(), c]));
+
+  const onName = (i, partName) => {
+    const hit = byName.get(partName.trim().toLowerCase());
+    onChange(i, hit ? { partName: hit.partName, partNo: hit.partNo } : { partName });
+  };
+  const onNo = (i, partNo) => {
+    const hit = byNo.get(partNo.trim().toLowerCase());
+    onChange(i, hit ? { partName: hit.partName, partNo: hit.partNo } : { partNo });
+  };
+  // Keep legacy free-text statuses selectable so old reports don't lose them
+  const statusOptions = (status) => [
+    { value: "", label: "—" },
+    ...(status && !PART_STATUSES.includes(status) ? [{ value: status, label: status }] : []),
+    ...PART_STATUSES.map((s) => ({ value: s, label: partStatusLabel(s, t) })),
+  ];
+
+  return (
+    <>
+      <datalist id="catalog-names">
+        {catalog.map((c) => <option key={c.id} value={c.partName}>{c.partNo}</option>)}
+      </datalist>
+      <datalist id="catalog-numbers">
+        {catalog.map((c) => <option key={c.id} value={c.partNo}>{c.partName}</option>)}
+      </datalist>
+
+      {parts.map((p, i) => (
+        <div key={i} className="grid md:grid-cols-4 gap-3 items-end">
+          <Input id={`part-${i}-name`} label={t("field.partName")} list="catalog-names" value={p.partName} onChange={(e) => onName(i, e.target.value)} />
+          <Input label={t("field.partNo")} list="catalog-numbers" value={p.partNo} onChange={(e) => onNo(i, e.target.value)} />
+          <Input label={t("field.qty")} inputMode="decimal" autoComplete="off" value={p.qty} onChange={(e) => onChange(i, { qty: e.target.value })} error={fieldError(`parts.${i}.qty`)} />
+          <div className="flex gap-2">
+            <Select label={t("field.status")} value={p.status} options={statusOptions(p.status)} onChange={(e) => onChange(i, { status: e.target.value })} />
+            <button onClick={() => onRemove(i)} aria-label={t("parts.remove", { n: i + 1 })} className="h-10 mt-6 px-3 border rounded-lg">{t("common.remove")}</button>
+          </div>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={onAdd} title={t("parts.addShortcut")} aria-keyshortcuts="Alt+P" className="px-3 py-2 border rounded-lg">{t("parts.add")}</button>
+        <span className="text-sm text-gray-600 mr-auto">{t("parts.totalQty", { n: partsTotal(parts) })}</span>
+        <span className="text-xs text-gray-500">{t("parts.catalog", { n: catalog.length })}</span>
+        <FileButton label={t("parts.importCatalog")} accept=".csv,.json,text/csv,application/json" onFile={onImportCatalog} className="text-xs px-2 py-1 rounded border hover:bg-gray-100" />
+        {catalog.length > 0 && <button onClick={onClearCatalog} className="text-xs px-2 py-1 border rounded">{t("parts.clearCatalog")}</button>}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,200 @@
+import { useEffect, useRef, useState } from "react";
+import clsx from "clsx";
+import { ANNOTATION_COLORS, box, drawShapes, loadImage } from "../lib/annotate";
+import { useT } from "../lib/i18n";
+
+const TOOLS = ["select", "arrow", "rect", "circle", "pen", "callout", "text", "blur", "crop"];
+const DRAG_TOOLS = ["arrow", "rect", "circle", "blur", "crop"];
+const VIEW_W = 880;
+const VIEW_H = 560;
+
+const shapeId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Bounding box of a shape in image fractions (selection / hit testing)
+function bounds(s, aspect) {
+  if (s.x1 !== undefined) return box(s);
+  if (s.type === "pen") {
+    const xs = s.points.map(([x]) => x);
+    const ys = s.points.map(([, y]) => y);
+    return { x: Math.min(...xs), y: Math.min(...ys), w: Math.max(...xs) - Math.min(...xs), h: Math.max(...ys) - Math.min(...ys) };
+  }
+  const r = (s.size * 3.5) / 1000;
+  if (s.type === "callout") return { x: s.x - r, y: s.y - r * aspect, w: r * 2, h: r * 2 * aspect };
+  const lineH = (s.size * 6) / 1000;
+  return { x: s.x, y: s.y, w: s.text.length * lineH * 0.6, h: lineH * aspect };
+}
+
+// Mark-up editor for one evidence photo: shapes, callouts, text and crop are kept as vector data
+// (photo.annotations); blur areas are burnt into the original when saved (see burnRedactions)
+export default function PhotoAnnotator({ photo, onSave, onCancel }) {
+  const t = useT();
+  const canvasRef = useRef(null);
+  const drag = useRef(null); // shape or crop being drawn
+  const [img, setImg] = useState(null);
+  const [shapes, setShapes] = useState(photo.annotations?.shapes || []);
+  const [crop, setCrop] = useState(photo.annotations?.crop || null);
+  const [draft, setDraft] = useState(null);
+  const [tool, setTool] = useState("arrow");
+  const [color, setColor] = useState(ANNOTATION_COLORS[0]);
+  const [size, setSize] = useState(5);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    loadImage(photo.src).then(setImg, (e) => alert(e.message));
+  }, [photo.src]);
+
+  const scale = img ? Math.min(VIEW_W / img.naturalWidth, VIEW_H / img.naturalHeight, 1) : 1;
+  const vw = img ? Math.round(img.naturalWidth * scale) : VIEW_W;
+  const vh = img ? Math.round(img.naturalHeight * scale) : VIEW_H;
+  const aspect = vw / vh;
+  const selectedShape = shapes.find((s) => s.id === selected);
+
+  // Whole image + mark-up; the area outside the crop is dimmed (cropping only applies when rendered)
+  useEffect(() => {
+    if (!img) return;
+    const canvas = canvasRef.current;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = vw * dpr;
+    canvas.height = vh * dpr;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(dpr, dpr);
+    ctx.drawImage(img, 0, 0, vw, vh);
+    drawShapes(ctx, draft && draft.type !== "crop" ? [...shapes, draft] : shapes, vw, vh, img);
+
+    const c = draft?.type === "crop" ? box(draft) : crop;
+    if (c) {
+      ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+      ctx.beginPath();
+      ctx.rect(0, 0, vw, vh);
+      ctx.rect(c.x * vw, c.y * vh, c.w * vw, c.h * vh);
+      ctx.fill("evenodd");
+    }
+    const sel = shapes.find((s) => s.id === selected);
+    for (const [b, stroke] of [c && [c, "#ffffff"], sel && [bounds(sel, aspect), "#3b82f6"]].filter(Boolean)) {
+      ctx.save();
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([6, 4]);
+      ctx.strokeRect(b.x * vw - 3, b.y * vh - 3, b.w * vw + 6, b.h * vh + 6);
+      ctx.restore();
+    }
+  }, [img, shapes, crop, draft, selected, vw, vh, aspect]);
+
+  const point = (e) => {
+    const r = canvasRef.current.getBoundingClientRect();
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    return [clamp((e.clientX - r.left) / r.width), clamp((e.clientY - r.top) / r.height)];
+  };
+  const add = (shape) => setShapes((prev) => [...prev, { id: shapeId(), color, size, ...shape }]);
+
+  const onPointerDown = (e) => {
+    const [x, y] = point(e);
+    if (tool === "select") {
+      const pad = 0.01;
+      const hit = shapes.findLast((s) => {
+        const b = bounds(s, aspect);
+        return x >= b.x - pad && x <= b.x + b.w + pad && y >= b.y - pad && y <= b.y + b.h + pad;
+      });
+      setSelected(hit?.id ?? null);
+    } else if (tool === "callout") {
+      add({ type: "callout", x, y });
+    } else if (tool === "text") {
+      const text = prompt(t("annotate.textPrompt"));
+      if (text?.trim()) add({ type: "text", x, y, text: text.trim() });
+    } else {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      drag.current = tool === "pen" ? { type: "pen", points: [[x, y]], color, size } : { type: tool, x1: x, y1: y, x2: x, y2: y, color, size };
+      setDraft(drag.current);
+    }
+  };
+  const onPointerMove = (e) => {
+    const d = drag.current;
+    if (!d) return;
+    const [x, y] = point(e);
+    drag.current = d.type === "pen" ? { ...d, points: [...d.points, [x, y]] } : { ...d, x2: x, y2: y };
+    setDraft(drag.current);
+  };
+  const onPointerUp = () => {
+    const d = drag.current;
+    drag.current = null;
+    setDraft(null);
+    if (!d) return;
+    if (d.type === "pen") {
+      if (d.points.length > 1) add(d);
+      return;
+    }
+    const b = box(d);
+    if (d.type === "crop") {
+      if (b.w > 0.02 && b.h > 0.02) setCrop(b);
+    } else if (Math.max(b.w, b.h) > 0.005) add(d);
+  };
+
+  const recolor = (c) => {
+    setColor(c);
+    if (selectedShape) setShapes((prev) => prev.map((s) => (s.id === selected ? { ...s, color: c } : s)));
+  };
+  const editText = () => {
+    const text = prompt(t("annotate.textPrompt"), selectedShape.text);
+    if (text?.trim()) setShapes((prev) => prev.map((s) => (s.id === selected ? { ...s, text: text.trim() } : s)));
+  };
+  const removeSelected = () => {
+    setShapes((prev) => prev.filter((s) => s.id !== selected));
+    setSelected(null);
+  };
+  const result = () => (shapes.length || crop ? { crop, shapes } : null);
+  const hasBlur = shapes.some((s) => s.type === "blur");
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/60 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-lg w-full max-w-5xl p-4 max-h-full overflow-auto">
+        <h3 className="font-semibold mb-2">{t("annotate.title")}</h3>
+        <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+          {TOOLS.map((name) => (
+            <button key={name} onClick={() => setTool(name)} className={clsx("px-2 py-1 border rounded", tool === name && "bg-gray-900 text-white border-gray-900")}>
+              {t(`annotate.tool.${name}`)}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+          {ANNOTATION_COLORS.map((c) => (
+            <button
+              key={c}
+              onClick={() => recolor(c)}
+              title={c}
+              className={clsx("w-6 h-6 rounded-full border", c === color && "ring-2 ring-offset-1 ring-blue-500")}
+              style={{ background: c }}
+            />
+          ))}
+          <label className="inline-flex items-center gap-2 ml-2">
+            {t("annotate.size")}
+            <input type="range" min={2} max={14} value={size} onChange={(e) => setSize(+e.target.value)} />
+          </label>
+          <span className="ml-auto" />
+          <button onClick={() => setShapes((prev) => prev.slice(0, -1))} disabled={!shapes.length} className="px-2 py-1 border rounded disabled:opacity-40">{t("signature.undo")}</button>
+          {selectedShape?.type === "text" && <button onClick={editText} className="px-2 py-1 border rounded">{t("annotate.editText")}</button>}
+          <button onClick={removeSelected} disabled={!selectedShape} className="px-2 py-1 border rounded disabled:opacity-40">{t("common.delete")}</button>
+          <button onClick={() => setCrop(null)} disabled={!crop} className="px-2 py-1 border rounded disabled:opacity-40">{t("annotate.resetCrop")}</button>
+        </div>
+
+        <div className="flex justify-center bg-gray-100 rounded-lg p-2">
+          <canvas
+            ref={canvasRef}
+            className={clsx("max-w-full touch-none", tool === "select" ? "cursor-pointer" : "cursor-crosshair")}
+            style={{ width: vw, aspectRatio: `${vw} / ${vh}` }}
+            onPointerDown={onPointerDown}
+            onPointerMove={onPointerMove}
+            onPointerUp={onPointerUp}
+            onPointerCancel={onPointerUp}
+          />
+        </div>
+        <p className="text-xs text-gray-500 mt-2">{t("annotate.help")}</p>
+
+        <div className="flex flex-wrap justify-end gap-2 mt-3">
+          {hasBlur && <p className="text-xs text-amber-700 mr-auto self-center">{t("annotate.burnNote")}</p>}
+          <button onClick={onCancel} className="px-3 py-2 rounded-lg border hover:bg-gray-100">{t("common.cancel")}</button>
+          <button onClick={() => (!hasBlur || confirm(t("annotate.burnConfirm"))) && onSave(result())} className="px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700">{t("annotate.save")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { useT } from "../lib/i18n";
+import { pageRanges } from "../lib/pagination";
+
+const ZOOMS = ["fit", 0.5, 0.75, 1, 1.25, 1.5];
+
+const sameRanges = (a, b) => a.length === b.length && a.every(([from, to], i) => Math.abs(from - b[i][0]) < 0.5 && Math.abs(to - b[i][1]) < 0.5);
+
+// Preview panel: the report (children, rendered with `previewRef`) at the chosen zoom, with a marker
+// and page number where each page of the snapshot PDF starts. The markers sit outside the report
+// element, so neither the PDF nor the HTML export picks them up.
+export default function PreviewPages({ previewRef, branding, children }) {
+  const t = useT();
+  const panelRef = useRef(null);
+  const [zoom, setZoom] = useState("fit");
+  const [panelWidth, setPanelWidth] = useState(0);
+  const [page, setPage] = useState({ width: 0, height: 0, padTop: 0, ranges: [] });
+
+  // Re-measured after every render (content changes move blocks without resizing the page) and
+  // whenever the report resizes (images loading); state only changes when the pages do
+  const measure = () => {
+    const node = previewRef.current;
+    if (!node) return;
+    const ranges = pageRanges(node, branding);
+    const next = { width: node.offsetWidth, height: node.offsetHeight, padTop: parseFloat(getComputedStyle(node).paddingTop) || 0 };
+    setPage((prev) =>
+      prev.width === next.width && prev.height === next.height && prev.padTop === next.padTop && sameRanges(prev.ranges, ranges) ? prev : { ...next, ranges }
+    );
+  };
+  const measureRef = useRef(measure);
+  useLayoutEffect(() => {
+    measureRef.current = measure;
+    measure();
+  });
+
+  useEffect(() => {
+    const observer = new ResizeObserver(() => {
+      measureRef.current();
+      setPanelWidth(panelRef.current.clientWidth);
+    });
+    observer.observe(previewRef.current);
+    observer.observe(panelRef.current);
+    return () => observer.disconnect();
+  }, [previewRef]);
+
+  const scale = zoom === "fit" ? (panelWidth && page.width ? Math.min(1.5, (panelWidth - 24) / page.width) : 1) : zoom;
+  const total = page.ranges.length;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3 text-sm">
+        <span className="text-gray-500">{t("preview.pageCount", { n: total })}</span>
+        <label className="inline-flex items-center gap-2">
+          {t("preview.zoom")}
+          <select value={zoom} onChange={(e) => setZoom(e.target.value === "fit" ? "fit" : +e.target.value)} className="px-2 py-1 border rounded-lg bg-white">
+            {ZOOMS.map((z) => (
+              <option key={z} value={z}>{z === "fit" ? t("preview.fit") : `${Math.round(z * 100)}%`}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div ref={panelRef} className="overflow-auto bg-gray-100 rounded-lg p-3">
+        {/* footprint of the scaled page, so the panel scrolls over the zoomed size */}
+        <div className="mx-auto" style={{ width: page.width * scale, height: page.height * scale }}>
+          <div data-preview-zoom className="relative w-max origin-top-left shadow" style={{ transform: `scale(${scale})` }}>
+            {children}
+            {page.ranges.map(([from], i) => (
+              <div key={i} className="absolute inset-x-0 pointer-events-none" style={{ top: page.padTop + from }}>
+                {i > 0 && <div className="border-t-2 border-dashed border-blue-400" />}
+                <div className="absolute right-1 top-1 px-1.5 rounded bg-blue-500 text-white text-[10px] leading-4">
+                  {t("preview.page", { page: i + 1, total })}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
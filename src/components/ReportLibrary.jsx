@@ -0,0 +1,60 @@
+import { useState } from "react";
+import dayjs from "dayjs";
+import clsx from "clsx";
+import { useT } from "../lib/i18n";
+import { matchReport, reportTitle } from "../lib/reports";
+import { syncStatus } from "../lib/sync";
+import { SyncBadge } from "./SyncPanel";
+
+export default function ReportLibrary({ reports, templates, currentId, onOpen, onCreate, onDuplicate, onRename, onDelete }) {
+  const t = useT();
+  const [query, setQuery] = useState("");
+  const [templateId, setTemplateId] = useState(templates[0]?.id);
+  const [date, setDate] = useState("");
+  const shown = reports.filter((r) => matchReport(r, query, date));
+
+  return (
+    <div className="bg-white border rounded-2xl p-4 shadow-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide mr-auto">{t("library.title", { n: reports.length })}</h3>
+        <input className="border rounded-lg px-3 py-2 text-sm" placeholder={t("library.search")} aria-label={t("library.search")} value={query} onChange={(e) => setQuery(e.target.value)} />
+        <input type="date" className="border rounded-lg px-3 py-2 text-sm" aria-label={t("library.date")} title={t("library.date")} value={date} onChange={(e) => setDate(e.target.value)} />
+        {(query || date) && (
+          <button onClick={() => { setQuery(""); setDate(""); }} className="px-3 py-2 text-sm border rounded-lg">{t("common.clear")}</button>
+        )}
+        <select value={templateId} onChange={(e) => setTemplateId(e.target.value)} className="border rounded-lg px-3 py-2 text-sm bg-white" title={t("library.templateHint")}>
+          {templates.map((tpl) => <option key={tpl.id} value={tpl.id}>{tpl.name}</option>)}
+        </select>
+        <button onClick={() => onCreate(templateId)} className="px-3 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700">{t("library.newReport")}</button>
+      </div>
+
+      <div className="max-h-72 overflow-auto divide-y border rounded-lg">
+        {shown.map((r) => (
+          <div key={r.id} className={clsx("flex flex-wrap items-center gap-3 px-3 py-2 text-sm", r.id === currentId && "bg-blue-50")}>
+            <button onClick={() => onOpen(r.id)} className="text-left mr-auto min-w-0">
+              <div className="font-medium truncate">{reportTitle(r)}</div>
+              <div className="text-xs text-gray-500 truncate">
+                {[r.form.customerName, r.form.serialNo && `S/N ${r.form.serialNo}`, r.form.workStartDate].filter(Boolean).join(" • ") || "—"}
+              </div>
+            </button>
+            <span className={clsx("text-xs px-2 py-0.5 rounded-full border", {
+                "bg-green-50 text-green-700 border-green-300": r.status === "complete",
+                "bg-blue-50 text-blue-700 border-blue-300": r.status === "final",
+                "bg-gray-50 text-gray-600": r.status === "draft",
+              })}>
+              {t(`status.${r.status}`)}
+            </span>
+            <SyncBadge status={syncStatus(r)} />
+            <span className="text-xs text-gray-500 w-28">{dayjs(r.updatedAt).locale(t.lang).format("ll LT")}</span>
+            <div className="flex gap-1">
+              <button onClick={() => onRename(r.id)} className="text-xs px-2 py-1 border rounded">{t("library.rename")}</button>
+              <button onClick={() => onDuplicate(r.id)} className="text-xs px-2 py-1 border rounded">{t("library.duplicate")}</button>
+              <button onClick={() => onDelete(r.id)} className="text-xs px-2 py-1 border rounded text-red-600">{t("common.delete")}</button>
+            </div>
+          </div>
+        ))}
+        {shown.length === 0 && <div className="px-3 py-2 text-sm text-gray-500">{t("library.noMatch")}</div>}
+      </div>
+    </div>
+  );
+}
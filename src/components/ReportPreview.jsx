@@ -0,0 +1,366 @@
+import { Fragment } from "react";
+import clsx from "clsx";
+import { useFlattenedPhotos } from "../lib/annotate";
+import { DEFAULT_BRANDING, accentText, hasLetterhead, mmToPx, pageSize, watermarkText } from "../lib/branding";
+import { isPartFilled, partStatusLabel, partsTotal } from "../lib/catalog";
+import { FAULT_CATEGORIES, faultText, hasFaultCodes } from "../lib/faultCodes";
+import { numberWithRevision, sealText } from "../lib/finalize";
+import { createTranslator, formatDate, formatDateTime, localize } from "../lib/i18n";
+import { sectionBreak } from "../lib/pagination";
+import { groupChecklist, isOutOfTolerance, resultLabel, summarizeChecklist, toleranceText } from "../lib/pmChecklist";
+import { sessionPeriod, sessionRows } from "../lib/sessions";
+import { fieldLabel, formatCustomValue, reportSections, typeLabel } from "../lib/templates";
+import { formatMinutes } from "../lib/timesheet";
+import { ChecklistSummary } from "./PMChecklist";
+
+// Live report page (also the source of the snapshot PDF and HTML export), rendered in the report's
+// language with the branding's page width, margins, letterhead, footer and watermark.
+// Elements marked data-page-stamp (footer, watermark) are redrawn per page by the snapshot PDF;
+// data-keep / data-break-before blocks steer where its pages break (see pagination.js).
+export default function ReportPreview({ form, timesheet, branding = DEFAULT_BRANDING, ref }) {
+  const t = createTranslator(form.reportLang);
+  const lang = t.lang;
+  const label = (key) => fieldLabel(form, key, t);
+  const minutes = (min) => formatMinutes(min, t);
+  const parts = form.parts.filter(isPartFilled);
+  const size = pageSize(branding);
+  const { top, right, bottom, left } = branding.margins;
+  const logoPx = mmToPx(branding.logoSize);
+  const logo = form.logo && <img src={form.logo} alt="" className="object-contain shrink-0" style={{ width: logoPx, height: logoPx }} />;
+  const placement = branding.logoPlacement;
+  const mark = watermarkText(form, branding, t);
+  const photoSrc = useFlattenedPhotos(form.photos);
+
+  // Report body sections (templates.js reportSections), in the order of the template's layout
+  const sections = {
+    types: (
+      <div data-keep {...sectionBreak(branding, "types")} className="mt-3 grid grid-cols-2 gap-3">
+        <TypeChips title={t("report.jobType")} values={form.jobTypes} labelOf={(k) => typeLabel(form, "jobTypes", k, t)} accent={branding.accent} />
+        <TypeChips title={t("report.serviceType")} values={form.serviceTypes} labelOf={(k) => typeLabel(form, "serviceTypes", k, t)} accent={branding.accent} />
+      </div>
+    ),
+    problemAction: (
+      <>
+        <Box title={`${t("report.problem")} :`} {...sectionBreak(branding, "problem")}>{form.problem}</Box>
+        <Box title={`${t("report.action")} :`} {...sectionBreak(branding, "action")}>{form.action}</Box>
+        {hasFaultCodes(form) && (
+          <div data-keep className="border rounded p-2 my-3">
+            <div className="font-semibold mb-1">{t("report.faultCodes")} :</div>
+            {FAULT_CATEGORIES.filter((c) => form.faultCodes[c]).map((c) => (
+              <div key={c} className="grid grid-cols-4 gap-2">
+                <div className="font-semibold">{t(`fault.${c}`)}</div>
+                <div className="col-span-3">{faultText(form.faultCodes[c])}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </>
+    ),
+    sessions: form.sessions.length > 0 && (
+      <div data-keep {...sectionBreak(branding, "sessions")} className="border rounded p-2 my-3">
+        <div className="font-semibold mb-1">{t("report.sessions")} :</div>
+        <table className="w-full border text-[11px]">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="border px-2 py-1 w-8">{t("report.no")}</th>
+              <th className="border px-2 py-1 w-40">{t("report.period")}</th>
+              <th className="border px-2 py-1 w-24">{t("report.engineer")}</th>
+              <th className="border px-2 py-1 text-left">{t("report.action")}</th>
+              <th className="border px-2 py-1 w-20">{t("report.status")}</th>
+              <th className="border px-2 py-1 w-16">{t("report.travel")}</th>
+              <th className="border px-2 py-1 w-16">{t("report.work")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessionRows(form, timesheet).map(({ session: s, figures }, i) => (
+              <tr key={s.id || i} data-keep>
+                <td className="border px-2 py-1 text-center">{i + 1}</td>
+                <td className="border px-2 py-1">{sessionPeriod(s, lang)}</td>
+                <td className="border px-2 py-1">{s.engineer}</td>
+                <td className="border px-2 py-1 whitespace-pre-wrap">{s.action}</td>
+                <td className="border px-2 py-1">{s.status}</td>
+                <td className="border px-2 py-1 text-center">{minutes(figures?.travelMin)}</td>
+                <td className="border px-2 py-1 text-center">{minutes(figures?.workMin)}</td>
+              </tr>
+            ))}
+            <tr data-keep className="font-semibold bg-gray-50">
+              <td className="border px-2 py-1 text-right" colSpan={5}>{t("report.total")}</td>
+              <td className="border px-2 py-1 text-center">{minutes(timesheet.travelMin)}</td>
+              <td className="border px-2 py-1 text-center">{minutes(timesheet.workMin)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    ),
+    pmChecklist: form.jobTypes.preventive && form.pmChecklist.length > 0 && (
+      <div data-keep {...sectionBreak(branding, "pmChecklist")} className="border rounded p-2 my-3">
+        <div className="flex items-baseline justify-between mb-1">
+          <div className="font-semibold">{t("report.pmChecklist")} :</div>
+          <ChecklistSummary summary={summarizeChecklist(form.pmChecklist)} t={t} />
+        </div>
+        <table className="w-full border text-[11px]">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="border px-2 py-1 text-left">{t("report.item")}</th>
+              <th className="border px-2 py-1 w-12">{t("report.result")}</th>
+              <th className="border px-2 py-1 w-24">{t("report.measured")}</th>
+              <th className="border px-2 py-1 w-24">{t("report.tolerance")}</th>
+              <th className="border px-2 py-1 text-left">{t("report.remark")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groupChecklist(form.pmChecklist, t).map(([group, rows]) => [
+              <tr key={group} data-keep className="bg-gray-50">
+                <td className="border px-2 py-1 font-semibold" colSpan={5}>{group}</td>
+              </tr>,
+              ...rows.map((it) => (
+                <tr key={it.id} data-keep>
+                  <td className="border px-2 py-1">{it.item}</td>
+                  <td className={clsx("border px-2 py-1 text-center", it.result === "fail" && "font-semibold text-red-700")}>{resultLabel(it.result, t)}</td>
+                  <td className={clsx("border px-2 py-1 text-center", isOutOfTolerance(it) && "bg-red-100 font-semibold text-red-700")}>
+                    {it.value && `${it.value} ${it.unit}`}
+                  </td>
+                  <td className="border px-2 py-1 text-center">{toleranceText(it)}</td>
+                  <td className="border px-2 py-1">{it.remark}</td>
+                </tr>
+              )),
+            ])}
+          </tbody>
+        </table>
+      </div>
+    ),
+    parts: (
+      <div data-keep {...sectionBreak(branding, "parts")} className="grid grid-cols-2 gap-3">
+        <div className="border rounded p-2 min-h-[120px]">
+          <div className="font-semibold mb-1">{t("report.jobStatus")} :</div>
+          <div>{form.jobStatus}</div>
+
+          <div className="mt-2 font-semibold">{t("report.partsUsed")}:</div>
+          <table className="w-full border mt-1 text-[11px]">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="border px-2 py-1 w-10">{t("report.no")}</th>
+                <th className="border px-2 py-1">{t("field.partName")}</th>
+                <th className="border px-2 py-1">{t("field.partNo")}</th>
+                <th className="border px-2 py-1 w-10">{t("field.qty")}</th>
+                <th className="border px-2 py-1">{t("field.status")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {parts.map((p, i) => (
+                <tr key={i} data-keep>
+                  <td className="border px-2 py-1 text-center">{i + 1}</td>
+                  <td className="border px-2 py-1">{p.partName}</td>
+                  <td className="border px-2 py-1">{p.partNo}</td>
+                  <td className="border px-2 py-1 text-center">{p.qty}</td>
+                  <td className="border px-2 py-1">{partStatusLabel(p.status, t)}</td>
+                </tr>
+              ))}
+              {parts.length === 0 && (
+                <tr><td className="border px-2 py-1 text-center" colSpan={5}>-</td></tr>
+              )}
+            </tbody>
+            {parts.length > 0 && (
+              <tfoot>
+                <tr className="bg-gray-50 font-semibold">
+                  <td className="border px-2 py-1 text-right" colSpan={3}>{t("report.total")}</td>
+                  <td className="border px-2 py-1 text-center">{partsTotal(form.parts)}</td>
+                  <td className="border px-2 py-1" />
+                </tr>
+              </tfoot>
+            )}
+          </table>
+
+          <div className="mt-2">{t("report.status")} : <span className="font-semibold">{form.statusChargeable}</span></div>
+        </div>
+
+        <div className="border rounded p-2 min-h-[120px]">
+          <div className="font-semibold mb-1">{t("report.conditionWhenLeave")} :</div>
+          <div className="whitespace-pre-wrap">{form.conditionWhenLeave}</div>
+        </div>
+      </div>
+    ),
+    photos: form.photos.length > 0 && (
+      <div data-keep {...sectionBreak(branding, "photos")} className="border rounded p-2 my-3">
+        <div className="font-semibold mb-2">{t("report.photos")}</div>
+        <div className="grid grid-cols-2 gap-3">
+          {form.photos.map((ph, i) => (
+            <div key={ph.id} data-keep className="border rounded overflow-hidden">
+              <img src={photoSrc(ph) ?? undefined} alt={ph.caption || t("photos.alt", { n: i + 1 })} className="w-full aspect-video object-contain bg-gray-50" />
+              {ph.caption && <div className="px-2 py-1 text-[11px]">{i + 1}. {ph.caption}</div>}
+            </div>
+          ))}
+        </div>
+      </div>
+    ),
+  };
+  // A template's own section: label/value pairs, long text across the row
+  const templateSection = (sec, i) => (
+    <div key={sec.id || i} data-keep className="border rounded p-2 mt-3">
+      <div className="font-semibold mb-1">{localize(sec.title, lang)} :</div>
+      <div className="grid grid-cols-2 gap-x-6 gap-y-1">
+        {sec.fields.map((f) => (
+          <div key={f.key} className={clsx("grid grid-cols-2 gap-2", f.type === "textarea" && "col-span-2 grid-cols-4")}>
+            <div className="font-semibold">{localize(f.label, lang)}</div>
+            <div className={clsx("whitespace-pre-wrap", f.type === "textarea" && "col-span-3")}>{formatCustomValue(f, form.custom[f.key], t)}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div
+      ref={ref}
+      className="relative mx-auto bg-white text-[12px] leading-snug"
+      style={{ width: mmToPx(size.width), padding: [top, right, bottom, left].map((mm) => `${mmToPx(mm)}px`).join(" ") }}
+    >
+      {mark && (
+        <div
+          data-page-stamp
+          className="absolute inset-0 pointer-events-none"
+          style={{ backgroundImage: watermarkSVG(mark, mmToPx(size.width), mmToPx(size.height)), backgroundRepeat: "repeat-y" }}
+        />
+      )}
+
+      {/* Letterhead */}
+      {(hasLetterhead(branding) || (logo && placement !== "left")) && (
+        <div className={clsx("flex gap-3 pb-2 mb-3 border-b", placement === "center" ? "flex-col items-center text-center" : "items-center justify-between")}>
+          {placement === "center" && logo}
+          <div>
+            {branding.companyName && <div className="text-sm font-bold">{branding.companyName}</div>}
+            {branding.companyAddress && <div className="text-[11px] text-gray-600 whitespace-pre-wrap">{branding.companyAddress}</div>}
+          </div>
+          {placement === "right" && logo}
+        </div>
+      )}
+
+      {/* Header block */}
+      <div className="flex items-start justify-between">
+        <div className="flex items-center gap-3">
+          {placement === "left" && logo}
+          <div>
+            <h2 className="text-lg font-bold">{t("report.title")}</h2>
+            <div className="text-xs text-gray-600">{numberWithRevision(form, t)}</div>
+          </div>
+        </div>
+        <div className="w-[240px] border p-2 rounded">
+          <div className="grid grid-cols-3 gap-y-1">
+            <div className="col-span-2 font-semibold">{t("report.swoNo")}</div><div>{form.swoNo}</div>
+            <div className="col-span-3 h-[1px] bg-gray-200 my-1" />
+
+            {["startTravel", "arrived", "workStart", "workFinish"].map((step) => (
+              <TimingRow key={step} label={t(`report.${step}`)} date={form[`${step}Date`] && formatDate(form[`${step}Date`], lang)} time={form[`${step}Time`]} />
+            ))}
+            <div className="font-semibold">{t("report.breakdown")}</div><div className="col-span-2">{form.breakdown}</div>
+            <div className="col-span-3 h-[1px] bg-gray-200 my-1" />
+
+            <div className="font-semibold">{t("report.travel")}</div><div className="col-span-2">{minutes(timesheet.travelMin)}</div>
+            <div className="font-semibold">{t("report.waiting")}</div><div className="col-span-2">{minutes(timesheet.waitingMin)}</div>
+            <div className="font-semibold">{t("report.work")}</div>
+            <div className="col-span-2">
+              {minutes(timesheet.workMin)}
+              {timesheet.breakMin > 0 && <span className="text-gray-500"> ({t("report.breaks", { time: minutes(timesheet.breakMin) })})</span>}
+            </div>
+            {timesheet.overtime && (
+              <>
+                <div className="font-semibold">{t("report.overtime")}</div><div className="col-span-2 font-semibold">{minutes(timesheet.overtimeMin)}</div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div data-keep {...sectionBreak(branding, "customer")} className="mt-2 grid grid-cols-2 gap-x-6 gap-y-1 w-[540px]">
+        <div className="font-semibold">{label("customerName")}</div><div>{form.customerName}</div>
+        <div className="font-semibold">{label("address")}</div><div>{form.address}</div>
+        <div className="font-semibold">{label("contactPerson")}</div><div>{form.contactPerson} {form.phone && `(${t("report.tel")}: ${form.phone})`}</div>
+        <div className="font-semibold">{label("modality")}</div><div>{form.modality}</div>
+        <div className="font-semibold">{label("model")}</div><div>{form.model}</div>
+        <div className="font-semibold">{label("serialNo")}</div><div>{form.serialNo}</div>
+        <div className="font-semibold">{label("productNo")}</div><div>{form.productNo}</div>
+      </div>
+
+      {reportSections(form.template).map((s, i) => (typeof s === "string" ? <Fragment key={s}>{sections[s]}</Fragment> : templateSection(s, i)))}
+
+      {/* Signatures */}
+      <div data-keep {...sectionBreak(branding, "signatures")} className="mt-10 grid grid-cols-3 gap-8 text-center">
+        <div>
+          <div className="h-20 flex items-center justify-center">{form.fseSign && <img src={form.fseSign} alt={t("field.fseSign")} className="max-h-16 object-contain" />}</div>
+          <div className="border-t pt-2">{form.fseName || t("field.fseName")}</div>
+        </div>
+        <div>
+          <div className="h-20 flex items-center justify-center">{form.trainerSign && <img src={form.trainerSign} alt={t("field.trainerSign")} className="max-h-16 object-contain" />}</div>
+          <div className="border-t pt-2">{form.trainerName || t("field.trainerName")}</div>
+        </div>
+        <div>
+          <div className="h-20 flex items-center justify-center">{form.customerSign && <img src={form.customerSign} alt={t("field.customerSign")} className="max-h-16 object-contain" />}</div>
+          <div className="border-t pt-2">{form.customerSignName || t("report.customer")}</div>
+          {form.customerSignTitle && <div className="text-[11px] text-gray-600">{form.customerSignTitle}</div>}
+          {form.customerSignedAt && <div className="text-[11px] text-gray-600">{formatDateTime(...form.customerSignedAt.split("T"), lang)}</div>}
+        </div>
+      </div>
+
+      {form.finalized && <div data-keep className="mt-6 pt-1 border-t text-[9px] text-gray-500 break-all">{sealText(form, t)}</div>}
+      {branding.footerText && (
+        <div data-page-stamp className="mt-4 pt-1 border-t text-[10px] text-gray-500 text-center whitespace-pre-wrap">
+          {branding.footerText}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Diagonal watermark tile, one per page height
+function watermarkSVG(text, width, height) {
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" transform="rotate(-45 ${width / 2} ${height / 2})" ` +
+    `font-family="Helvetica, Arial, sans-serif" font-weight="bold" font-size="${width / 4.5}" fill="rgb(200,0,0)" fill-opacity="0.12">${text}</text></svg>`;
+  return `url("data:image/svg+xml,${encodeURIComponent(svg)}")`;
+}
+
+function TimingRow({ label, date, time }) {
+  return (
+    <>
+      <div className="font-semibold">{label}</div><div>{date}</div><div>{time}</div>
+    </>
+  );
+}
+
+// Ticked/unticked job or service type chips
+function TypeChips({ title, values, labelOf, accent }) {
+  return (
+    <div className="border rounded p-2">
+      <div className="font-semibold mb-1">{title} :</div>
+      <div className="flex flex-wrap gap-2 text-[11px]">
+        {Object.entries(values).map(([k, v]) => (
+          <span
+            key={k}
+            className={clsx(
+              // fixed size & layout so chips line up in the export
+              "inline-flex items-center h-6 leading-6 px-2 rounded-md border whitespace-nowrap",
+              "font-medium tracking-wide select-none",
+              // solid colours (no opacity/hover) so they render cleanly in the PDF
+              !v && "bg-gray-100 text-gray-600 border-gray-400"
+            )}
+            style={v ? { background: accent, borderColor: accent, color: accentText(accent) } : undefined}
+          >
+            {/* ticked state also as a mark, not by colour alone */}
+            <span className="mr-1">{v ? "☑" : "☐"}</span>
+            {labelOf(k)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function Box({ title, children, ...props }) {
+  return (
+    <div data-keep {...props} className="border rounded p-2 my-3 min-h-[120px]">
+      <div className="font-semibold mb-2">{title}</div>
+      <div className="whitespace-pre-wrap">{children}</div>
+    </div>
+  );
+}
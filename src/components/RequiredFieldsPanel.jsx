@@ -0,0 +1,24 @@
+import { useT } from "../lib/i18n";
+import { DEFAULT_REQUIRED, REQUIRABLE_FIELDS } from "../lib/validation";
+
+export default function RequiredFieldsPanel({ required, onChange }) {
+  const t = useT();
+  const toggle = (field, on) => onChange(on ? [...required, field] : required.filter((f) => f !== field));
+  return (
+    <div className="bg-white border rounded-2xl p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{t("rules.title")}</h3>
+        <button onClick={() => onChange(DEFAULT_REQUIRED)} className="px-3 py-2 text-sm border rounded-lg">{t("rules.reset")}</button>
+      </div>
+      <div className="grid sm:grid-cols-3 md:grid-cols-4 gap-2">
+        {REQUIRABLE_FIELDS.map((field) => (
+          <label key={field} className="inline-flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={required.includes(field)} onChange={(e) => toggle(field, e.target.checked)} />
+            <span>{t(`field.${field}`)}</span>
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-3">{t("rules.note")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import { useState } from "react";
+import { useT } from "../lib/i18n";
+import { FileButton } from "./fields";
+import SignaturePad from "./SignaturePad";
+
+// Signature slot: draw on the pad or upload an image file
+export default function SignatureField({ label, value, onChange, onUpload }) {
+  const t = useT();
+  const [drawing, setDrawing] = useState(false);
+
+  return (
+    <div className="text-sm">
+      <div className="mb-1 text-gray-600">{label}</div>
+      {drawing ? (
+        <SignaturePad
+          onCancel={() => setDrawing(false)}
+          onDone={(png) => {
+            onChange(png);
+            setDrawing(false);
+          }}
+        />
+      ) : (
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="h-16 w-40 border rounded bg-white flex items-center justify-center">
+            {value ? <img src={value} alt={`${label} preview`} className="max-h-14 object-contain" /> : <span className="text-xs text-gray-400">{t("signature.none")}</span>}
+          </div>
+          <button onClick={() => setDrawing(true)} aria-label={t("signature.drawFor", { label })} className="px-3 py-1 border rounded">{t("signature.draw")}</button>
+          <FileButton label={t("signature.upload")} name={t("signature.uploadFor", { label })} accept="image/*" onFile={onUpload} className="px-3 py-1 border rounded" />
+          {value && <button onClick={() => onChange(null)} className="px-3 py-1 border rounded">{t("common.remove")}</button>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { useEffect, useRef, useState } from "react";
+import { useT } from "../lib/i18n";
+
+const PAD_W = 480;
+const PAD_H = 180;
+
+// Touch/mouse/stylus signature capture (Pointer Events). Produces a trimmed, transparent PNG.
+export default function SignaturePad({ onDone, onCancel }) {
+  const t = useT();
+  const canvasRef = useRef(null);
+  const current = useRef(null); // stroke being drawn
+  const [strokes, setStrokes] = useState([]); // [[{x, y, p}]]
+
+  // Full redraw after undo/clear; live strokes are drawn incrementally in onPointerMove
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = PAD_W * dpr;
+    canvas.height = PAD_H * dpr;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(dpr, dpr);
+    strokes.forEach((s) => s.forEach((pt, i) => i && segment(ctx, s[i - 1], pt)));
+  }, [strokes]);
+
+  const point = (e) => {
+    const r = canvasRef.current.getBoundingClientRect();
+    const k = PAD_W / r.width; // canvas may be shrunk by CSS on narrow screens
+    return { x: (e.clientX - r.left) * k, y: (e.clientY - r.top) * k, p: e.pressure || 0.5 };
+  };
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    current.current = [point(e)];
+  };
+  const onPointerMove = (e) => {
+    const stroke = current.current;
+    if (!stroke) return;
+    const pt = point(e);
+    segment(canvasRef.current.getContext("2d"), stroke.at(-1), pt);
+    stroke.push(pt);
+  };
+  const onPointerUp = () => {
+    const stroke = current.current;
+    current.current = null;
+    if (stroke) setStrokes((s) => [...s, stroke.length > 1 ? stroke : [stroke[0], { ...stroke[0], x: stroke[0].x + 0.5 }]]);
+  };
+
+  return (
+    <div className="border rounded-lg p-2 bg-gray-50">
+      <canvas
+        ref={canvasRef}
+        className="bg-white border rounded w-full touch-none cursor-crosshair"
+        style={{ maxWidth: PAD_W, aspectRatio: `${PAD_W} / ${PAD_H}` }}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      />
+      <div className="flex flex-wrap gap-2 mt-2 text-sm">
+        <button onClick={() => setStrokes((s) => s.slice(0, -1))} disabled={!strokes.length} className="px-3 py-1 border rounded disabled:opacity-40">{t("signature.undo")}</button>
+        <button onClick={() => setStrokes([])} disabled={!strokes.length} className="px-3 py-1 border rounded disabled:opacity-40">{t("common.clear")}</button>
+        <span className="ml-auto" />
+        <button onClick={onCancel} className="px-3 py-1 border rounded">{t("common.cancel")}</button>
+        <button onClick={() => onDone(trimmedPNG(canvasRef.current))} disabled={!strokes.length} className="px-3 py-1 rounded bg-blue-600 text-white disabled:opacity-40">
+          {t("signature.use")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function segment(ctx, a, b) {
+  ctx.strokeStyle = "#111827";
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.lineWidth = 1.2 + b.p * 2.4; // stylus pressure thickens the line
+  ctx.beginPath();
+  ctx.moveTo(a.x, a.y);
+  ctx.lineTo(b.x, b.y);
+  ctx.stroke();
+}
+
+// Crops the canvas to the inked area (+ small margin) so the PNG sits tight in the signature box
+function trimmedPNG(canvas, pad = 8) {
+  const { width, height } = canvas;
+  const data = canvas.getContext("2d").getImageData(0, 0, width, height).data;
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  if (maxX < 0) return null;
+  minX = Math.max(0, minX - pad);
+  minY = Math.max(0, minY - pad);
+  const w = Math.min(width, maxX + pad + 1) - minX;
+  const h = Math.min(height, maxY + pad + 1) - minY;
+  const out = document.createElement("canvas");
+  out.width = w;
+  out.height = h;
+  out.getContext("2d").drawImage(canvas, minX, minY, w, h, 0, 0, w, h);
+  return out.toDataURL("image/png");
+}
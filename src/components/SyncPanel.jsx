@@ -0,0 +1,59 @@
+import dayjs from "dayjs";
+import clsx from "clsx";
+import { useT } from "../lib/i18n";
+import { Input } from "./fields";
+
+// Backend connection settings + the outbox of submissions waiting to be sent
+export default function SyncPanel({ settings, onChange, outbox, onSendNow, onRetry, onRemove }) {
+  const t = useT();
+  const setting = (patch) => onChange({ ...settings, ...patch });
+
+  return (
+    <div className="bg-white border rounded-2xl p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{t("sync.title")}</h3>
+        <button onClick={onSendNow} disabled={!outbox.length} className="px-3 py-2 text-sm border rounded-lg disabled:opacity-40">{t("sync.sendNow")}</button>
+      </div>
+      <div className="grid md:grid-cols-3 gap-3 items-end">
+        <Input type="url" label={t("sync.endpoint")} placeholder="http://localhost:8787/fsr" value={settings.endpoint} onChange={(e) => setting({ endpoint: e.target.value })} />
+        <Input type="password" label={t("sync.token")} autoComplete="off" value={settings.token} onChange={(e) => setting({ token: e.target.value })} />
+        <label className="inline-flex items-center gap-2 text-sm pb-2">
+          <input type="checkbox" checked={settings.includePdf} onChange={(e) => setting({ includePdf: e.target.checked })} />
+          <span>{t("sync.includePdf")}</span>
+        </label>
+      </div>
+
+      <div className="mt-3 divide-y border rounded-lg">
+        {outbox.map((e) => (
+          <div key={e.id} className="flex flex-wrap items-center gap-3 px-3 py-2 text-sm">
+            <div className="mr-auto min-w-0">
+              <div className="font-medium">{e.fsrNo}</div>
+              <div className="text-xs text-gray-500 truncate">
+                {e.nextAttemptAt === null
+                  ? t("sync.rejected", { error: e.lastError })
+                  : e.attempts
+                    ? t("sync.retryAt", { n: e.attempts, time: dayjs(e.nextAttemptAt).locale(t.lang).format("LT"), error: e.lastError })
+                    : t("sync.waiting")}
+              </div>
+            </div>
+            <button onClick={() => onRetry(e)} className="text-xs px-2 py-1 border rounded">{t("sync.retry")}</button>
+            <button onClick={() => onRemove(e.id)} className="text-xs px-2 py-1 border rounded text-red-600">{t("common.remove")}</button>
+          </div>
+        ))}
+        {outbox.length === 0 && <div className="px-3 py-2 text-sm text-gray-500">{t("sync.empty")}</div>}
+      </div>
+    </div>
+  );
+}
+
+// Colour-coded sync status pill (draft/queued/sent/failed)
+export function SyncBadge({ status }) {
+  const t = useT();
+  const tone = {
+    draft: "bg-gray-50 text-gray-600",
+    queued: "bg-amber-50 text-amber-800 border-amber-300",
+    sent: "bg-green-50 text-green-700 border-green-300",
+    failed: "bg-red-50 text-red-700 border-red-300",
+  }[status];
+  return <span className={clsx("text-xs px-2 py-0.5 rounded-full border", tone)}>{t(`sync.status.${status}`)}</span>;
+}
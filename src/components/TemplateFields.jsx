@@ -0,0 +1,34 @@
+import { localize, useT } from "../lib/i18n";
+import { Checkbox, Input, Section, Select, TextArea } from "./fields";
+
+// Form-panel section defined by the report's template (values live in form.custom); placed by sectionLayout
+export default function TemplateFields({ template, section, values, onChange }) {
+  const t = useT();
+  return (
+    <Section title={localize(section.title, t.lang)} right={<small className="text-gray-500">{template.name}</small>}>
+      <div className="grid md:grid-cols-2 gap-3">
+        {section.fields.map((f) => (
+          <TemplateField key={f.key} field={f} value={values[f.key]} onChange={(v) => onChange(f.key, v)} />
+        ))}
+      </div>
+    </Section>
+  );
+}
+
+function TemplateField({ field, value, onChange }) {
+  const label = localize(field.label, useT().lang);
+  switch (field.type) {
+    case "checkbox":
+      return <Checkbox label={label} checked={!!value} onChange={onChange} />;
+    case "textarea":
+      return (
+        <div className="md:col-span-2">
+          <TextArea label={label} value={value ?? ""} onChange={(e) => onChange(e.target.value)} />
+        </div>
+      );
+    case "select":
+      return <Select label={label} value={value ?? ""} options={field.options.map((o) => ({ value: o, label: o }))} onChange={(e) => onChange(e.target.value)} />;
+    default:
+      return <Input type={field.type} label={label} value={value ?? ""} onChange={(e) => onChange(e.target.value)} />;
+  }
+}
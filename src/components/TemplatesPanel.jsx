@@ -0,0 +1,33 @@
+import { useT } from "../lib/i18n";
+import { isBuiltinTemplate } from "../lib/templates";
+import { FileButton } from "./fields";
+
+// Lists built-in + imported templates; import/export as JSON, delete imported ones
+export default function TemplatesPanel({ templates, currentTemplateId, onImport, onExport, onDelete, onApply }) {
+  const t = useT();
+  return (
+    <div className="bg-white border rounded-2xl p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{t("templates.title")}</h3>
+        <FileButton label={t("templates.import")} accept="application/json" onFile={onImport} />
+      </div>
+      <div className="divide-y border rounded-lg">
+        {templates.map((tpl) => (
+          <div key={tpl.id} className="flex flex-wrap items-center gap-3 px-3 py-2 text-sm">
+            <div className="mr-auto">
+              <div className="font-medium">
+                {tpl.name} {tpl.id === currentTemplateId && <span className="text-xs text-blue-600">{t("templates.thisReport")}</span>}
+              </div>
+              <div className="text-xs text-gray-500">
+                {tpl.id} • {t("templates.fields", { n: tpl.sections.reduce((n, s) => n + s.fields.length, 0) })} • {isBuiltinTemplate(tpl.id) ? t("templates.builtin") : t("templates.imported")}
+              </div>
+            </div>
+            <button onClick={() => onApply(tpl.id)} className="text-xs px-2 py-1 border rounded">{t("templates.apply")}</button>
+            <button onClick={() => onExport(tpl)} className="text-xs px-2 py-1 border rounded">{t("common.export")}</button>
+            {!isBuiltinTemplate(tpl.id) && <button onClick={() => onDelete(tpl.id)} className="text-xs px-2 py-1 border rounded text-red-600">{t("common.delete")}</button>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
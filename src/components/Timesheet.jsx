@@ -0,0 +1,67 @@
+import dayjs from "dayjs";
+import clsx from "clsx";
+import { useT } from "../lib/i18n";
+import { formatMinutes } from "../lib/timesheet";
+import { Input } from "./fields";
+
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Computed totals + break list + working-hours settings for the Timing section
+export default function Timesheet({ timesheet, breaks, onAddBreak, onUpdateBreak, onRemoveBreak, hours, onHoursChange }) {
+  const t = useT();
+  const toggleDay = (d, on) => onHoursChange({ ...hours, days: on ? [...hours.days, d].sort() : hours.days.filter((x) => x !== d) });
+
+  return (
+    <div className="border rounded-lg p-3 grid gap-3">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-sm">
+        <Stat label={t("timesheet.travel")} value={timesheet.travelMin} />
+        <Stat label={t("timesheet.waiting")} value={timesheet.waitingMin} />
+        <Stat label={t("timesheet.breaks")} value={timesheet.breakMin} />
+        <Stat label={t("timesheet.work")} value={timesheet.workMin} />
+        <Stat label={t("timesheet.overtime")} value={timesheet.overtimeMin} warn={timesheet.overtime} />
+      </div>
+
+      <div>
+        <div className="font-medium text-sm mb-2">{t("timesheet.breaks")}</div>
+        {breaks.map((b, i) => (
+          <div key={i} className="grid md:grid-cols-4 gap-3 items-end mb-2">
+            <Input type="date" label={t("timesheet.date")} value={b.date} onChange={(e) => onUpdateBreak(i, { date: e.target.value })} />
+            <Input type="time" label={t("timesheet.from")} value={b.start} onChange={(e) => onUpdateBreak(i, { start: e.target.value })} />
+            <Input type="time" label={t("timesheet.to")} value={b.end} onChange={(e) => onUpdateBreak(i, { end: e.target.value })} />
+            <div className="flex gap-2">
+              <Input label={t("timesheet.note")} value={b.note} onChange={(e) => onUpdateBreak(i, { note: e.target.value })} />
+              <button onClick={() => onRemoveBreak(i)} className="h-10 mt-6 px-3 border rounded-lg">{t("common.remove")}</button>
+            </div>
+          </div>
+        ))}
+        <button onClick={onAddBreak} className="px-3 py-2 border rounded-lg text-sm">{t("timesheet.addBreak")}</button>
+      </div>
+
+      <details className="text-sm">
+        <summary className="cursor-pointer text-gray-600">{t("timesheet.workingHours")}</summary>
+        <div className="flex flex-wrap items-end gap-3 mt-2">
+          <Input type="time" label={t("timesheet.from")} value={hours.start} onChange={(e) => onHoursChange({ ...hours, start: e.target.value })} />
+          <Input type="time" label={t("timesheet.to")} value={hours.end} onChange={(e) => onHoursChange({ ...hours, end: e.target.value })} />
+          <div className="flex flex-wrap gap-2 pb-2">
+            {WEEKDAYS.map((d) => (
+              <label key={d} className="inline-flex items-center gap-1">
+                <input type="checkbox" checked={hours.days.includes(d)} onChange={(e) => toggleDay(d, e.target.checked)} />
+                <span>{dayjs().day(d).locale(t.lang).format("ddd")}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+function Stat({ label, value, warn }) {
+  const t = useT();
+  return (
+    <div className={clsx("border rounded-lg px-2 py-1", warn && "border-amber-400 bg-amber-50")}>
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className={clsx("font-semibold", warn && "text-amber-700")}>{formatMinutes(value, t)}</div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import { useT } from "../lib/i18n";
+
+// Blocks an export while the report has validation issues; "draft" override (when given) exports anyway.
+// Opens with focus on "Go back" (Escape does the same), so the caller can move focus to the first invalid field.
+export default function ValidationDialog({ what, issues, onCancel, onExportDraft }) {
+  const t = useT();
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4" onKeyDown={(e) => e.key === "Escape" && onCancel()}>
+      <div role="alertdialog" aria-modal="true" aria-labelledby="validation-title" aria-describedby="validation-intro" className="bg-white rounded-2xl shadow-lg w-full max-w-lg p-4">
+        <h3 id="validation-title" className="font-semibold mb-1">{t("validation.title", { what })}</h3>
+        <p id="validation-intro" className="text-sm text-gray-600 mb-3">{t("validation.intro")}</p>
+        <ul className="max-h-64 overflow-auto text-sm border rounded-lg divide-y mb-4">
+          {issues.map(([field, issue]) => (
+            <li key={field} className="px-3 py-1.5 text-red-700">{issue.message}</li>
+          ))}
+        </ul>
+        <div className="flex justify-end gap-2">
+          {onExportDraft && <button onClick={onExportDraft} className="px-3 py-2 rounded-lg border hover:bg-gray-100">{t("validation.exportDraft")}</button>}
+          <button onClick={onCancel} autoFocus className="px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700">{t("validation.goBack")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
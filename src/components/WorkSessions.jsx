@@ -0,0 +1,50 @@
+import { useT } from "../lib/i18n";
+import { TIMELINE } from "../lib/validation";
+import { Input, TextArea } from "./fields";
+
+// Work-session log of the Timing section: one card per visit, in entry order (the report sorts them)
+export default function WorkSessions({ sessions, onAdd, onUpdate, onRemove, fieldError }) {
+  const t = useT();
+
+  return (
+    <div className="border rounded-lg p-3 grid gap-3">
+      <div>
+        <div className="font-medium text-sm">{t("sessions.title")}</div>
+        <p className="text-xs text-gray-500 mt-1">{t("sessions.help")}</p>
+      </div>
+      {sessions.map((s, i) => (
+        <div key={s.id} className="border rounded-lg p-3 grid gap-3 bg-gray-50">
+          <div className="flex items-center justify-between">
+            <div className="font-medium text-sm">{t("sessions.session", { n: i + 1 })}</div>
+            <button onClick={() => onRemove(s.id)} className="px-3 py-1 border rounded-lg text-sm bg-white">{t("common.remove")}</button>
+          </div>
+          <div className="grid md:grid-cols-4 gap-3">
+            {TIMELINE.flatMap((step) =>
+              ["Date", "Time"].map((part) => {
+                const key = `${step}${part}`;
+                return (
+                  <Input
+                    key={key}
+                    type={part.toLowerCase()}
+                    label={t(`field.${key}`)}
+                    value={s[key]}
+                    onChange={(e) => onUpdate(s.id, { [key]: e.target.value })}
+                    error={fieldError(`sessions.${i}.${key}`)}
+                  />
+                );
+              })
+            )}
+          </div>
+          <div className="grid md:grid-cols-2 gap-3">
+            <Input label={t("sessions.engineer")} value={s.engineer} onChange={(e) => onUpdate(s.id, { engineer: e.target.value })} />
+            <Input label={t("sessions.status")} value={s.status} onChange={(e) => onUpdate(s.id, { status: e.target.value })} />
+          </div>
+          <TextArea label={t("sessions.action")} value={s.action} onChange={(e) => onUpdate(s.id, { action: e.target.value })} />
+        </div>
+      ))}
+      <div>
+        <button onClick={onAdd} className="px-3 py-2 border rounded-lg text-sm">{t(sessions.length ? "sessions.add" : "sessions.start")}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import axe from "axe-core";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_BRANDING } from "../lib/branding";
+import { defaultForm } from "../lib/form";
+import { DEFAULT_PHOTO_SETTINGS } from "../lib/image";
+import { createReport } from "../lib/reports";
+import { BUILTIN_TEMPLATES } from "../lib/templates";
+import { computeTimesheet } from "../lib/timesheet";
+import { focusFirstInvalid } from "../lib/validation";
+import EvidencePhotos from "./EvidencePhotos";
+import PartsEditor from "./PartsEditor";
+import PMChecklist from "./PMChecklist";
+import ReportLibrary from "./ReportLibrary";
+import ReportPreview from "./ReportPreview";
+import SignatureField from "./SignatureField";
+import ValidationDialog from "./ValidationDialog";
+import { Checkbox, FileButton, Input, Select, TextArea } from "./fields";
+
+// Accessibility checks of the form building blocks and panels: axe (WCAG 2 A/AA rules) over each
+// rendered component, plus the label/hint/error wiring and focus handling axe cannot see.
+// jsdom does no layout, so the colour-contrast rule is left to manual checks.
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const PIXEL = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=";
+const noop = () => {};
+
+let root = null;
+let container = null;
+function render(element) {
+  container = document.body.appendChild(document.createElement("div"));
+  root = createRoot(container);
+  act(() => root.render(element));
+  return container;
+}
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+});
+
+async function violations(node) {
+  const results = await axe.run(node, { runOnly: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa"], rules: { "color-contrast": { enabled: false } } });
+  return results.violations.map((v) => `${v.id}: ${v.nodes.map((n) => n.target.join(" ")).join(", ")}`);
+}
+
+const form = {
+  ...structuredClone(defaultForm),
+  fsrNo: "FSR-001",
+  customerName: "RS Harapan",
+  logo: PIXEL,
+  photos: [
+    { id: "p1", src: PIXEL, caption: "Tube housing", location: null, annotations: null },
+    { id: "p2", src: PIXEL, caption: "", location: null, annotations: null },
+  ],
+  fseSign: PIXEL,
+  trainerSign: PIXEL,
+  customerSign: PIXEL,
+};
+
+describe("form fields", () => {
+  it("label, hint and error are wired to the control", async () => {
+    const node = render(
+      <form>
+        <Input label="Customer" hint="As on the purchase order" error="Customer is required" required value="" onChange={noop} />
+        <TextArea label="Problem" value="" onChange={noop} />
+        <Select label="Status" value="a" options={[{ value: "a", label: "A" }]} onChange={noop} />
+        <Checkbox label="Preventive" checked={false} onChange={noop} />
+        <FileButton label="Upload" name="Upload signature image" accept="image/*" onFile={noop} />
+      </form>
+    );
+    expect(await violations(node)).toEqual([]);
+
+    const input = node.querySelector("input[type=text]");
+    expect(node.querySelector(`label[for="${input.id}"]`).textContent).toContain("Customer");
+    expect(input.getAttribute("aria-invalid")).toBe("true");
+    expect(input.required).toBe(true);
+    const described = input.getAttribute("aria-describedby").split(" ").map((id) => document.getElementById(id).textContent);
+    expect(described).toEqual(["As on the purchase order", "⚠ Customer is required"]);
+  });
+
+  it("fields without an error are not marked invalid", () => {
+    const node = render(<Input label="Model" value="" onChange={noop} />);
+    const input = node.querySelector("input");
+    expect(input.hasAttribute("aria-invalid")).toBe(false);
+    expect(input.hasAttribute("aria-describedby")).toBe(false);
+  });
+
+  it("focusFirstInvalid moves focus to the first invalid control", () => {
+    const node = render(
+      <form>
+        <Input label="Customer" value="x" onChange={noop} />
+        <Input label="Serial" error="Serial is required" value="" onChange={noop} />
+        <Input label="FSE" error="FSE is required" value="" onChange={noop} />
+      </form>
+    );
+    Element.prototype.scrollIntoView = vi.fn();
+    expect(focusFirstInvalid(node)).toBe(true);
+    expect(document.activeElement).toBe(node.querySelectorAll("input")[1]);
+  });
+});
+
+describe("panels", () => {
+  it("parts editor", async () => {
+    const parts = [{ partName: "Fuse", partNo: "", qty: "x", status: "" }];
+    const fieldError = (key) => (key === "parts.0.qty" ? "Quantity must be a number" : undefined);
+    const node = render(<PartsEditor parts={parts} catalog={[]} onChange={noop} onAdd={noop} onRemove={noop} fieldError={fieldError} onImportCatalog={noop} onClearCatalog={noop} />);
+    expect(await violations(node)).toEqual([]);
+  });
+
+  it("PM checklist", async () => {
+    const items = [{ id: "i1", group: "Safety", item: "Ground leakage", unit: "µA", min: 0, max: 100, value: "140", result: "fail", remark: "" }];
+    const node = render(<PMChecklist items={items} onUpdate={noop} onAdd={noop} onRemove={noop} onLoadTemplate={noop} canLoadTemplate />);
+    expect(await violations(node)).toEqual([]);
+  });
+
+  it("evidence photos", async () => {
+    const node = render(
+      <EvidencePhotos photos={form.photos} settings={DEFAULT_PHOTO_SETTINGS} onSettingsChange={noop} onUpload={noop} status="" onUpdate={noop} onDelete={noop} onMove={noop} onAnnotate={noop} />
+    );
+    expect(await violations(node)).toEqual([]);
+  });
+
+  it("signature field", async () => {
+    const node = render(<SignatureField label="FSE Signature" value={PIXEL} onChange={noop} onUpload={noop} />);
+    expect(await violations(node)).toEqual([]);
+  });
+
+  it("report library", async () => {
+    const reports = [createReport(form, "Harapan")];
+    const node = render(<ReportLibrary reports={reports} templates={BUILTIN_TEMPLATES} currentId={reports[0].id} onOpen={noop} onCreate={noop} onDuplicate={noop} onRename={noop} onDelete={noop} />);
+    expect(await violations(node)).toEqual([]);
+  });
+
+  it("validation dialog", async () => {
+    const issues = Object.entries({ customerName: { message: "Customer is required", kind: "required" } });
+    const node = render(<ValidationDialog what="PDF" issues={issues} onCancel={noop} onExportDraft={noop} />);
+    expect(await violations(node)).toEqual([]);
+    expect(node.querySelector("[role=alertdialog]").contains(document.activeElement)).toBe(true);
+  });
+
+  it("report preview", async () => {
+    const node = render(<ReportPreview form={form} timesheet={computeTimesheet(form)} branding={DEFAULT_BRANDING} />);
+    expect(await violations(node)).toEqual([]);
+    expect([...node.querySelectorAll("img")].map((img) => img.getAttribute("alt"))).toEqual(["", "Tube housing", "Evidence photo 2", "FSE Signature", "Trainer Signature", "Customer Signature"]);
+  });
+});
@@ -0,0 +1,106 @@
+import { useId } from "react";
+import clsx from "clsx";
+
+// Form building blocks shared by the form panel and its sub-panels
+export function Section({ title, children, right }) {
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{title}</h3>
+        {right}
+      </div>
+      <div className="grid gap-3">{children}</div>
+    </div>
+  );
+}
+export function Row({ children, cols = 2 }) {
+  return <div className={clsx("grid gap-3", cols === 1 ? "grid-cols-1" : `md:grid-cols-${cols}`)}>{children}</div>;
+}
+
+// Label, hint and message around one control: the label points at the control's id, the hint and the
+// error (or the non-blocking `warning` when there is no error) are read out with it through
+// aria-describedby, and an error marks it aria-invalid (see focusFirstInvalid in validation.js).
+function Field({ id, label, hint, error, warning, required, children }) {
+  const auto = useId();
+  const controlId = id ?? auto;
+  const message = error || warning;
+  const describedBy = clsx(hint && `${controlId}-hint`, message && `${controlId}-message`) || undefined;
+  return (
+    <div className="text-sm">
+      <label htmlFor={controlId} className="block mb-1 text-gray-600">
+        {label}
+        {required && <span className="text-red-600" aria-hidden="true"> *</span>}
+      </label>
+      {children({ id: controlId, required, "aria-invalid": error ? true : undefined, "aria-describedby": describedBy })}
+      {hint && <div id={`${controlId}-hint`} className="mt-1 text-xs text-gray-500">{hint}</div>}
+      {message && (
+        <div id={`${controlId}-message`} className={clsx("mt-1 text-xs", error ? "text-red-600" : "text-amber-700")}>
+          {error && <span aria-hidden="true">⚠ </span>}
+          {message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const CONTROL = "w-full border rounded-lg px-3 py-2 outline-none focus:ring-2 focus:ring-blue-500";
+
+export function Input({ id, label, hint, error, warning, required, type = "text", ...props }) {
+  return (
+    <Field id={id} label={label} hint={hint} error={error} warning={warning} required={required}>
+      {(field) => <input type={type} className={clsx(CONTROL, error ? "border-red-500" : warning && "border-amber-500")} {...field} {...props} />}
+    </Field>
+  );
+}
+export function TextArea({ id, label, hint, error, required, ...props }) {
+  return (
+    <Field id={id} label={label} hint={hint} error={error} required={required}>
+      {(field) => <textarea className={clsx(CONTROL, "min-h-[96px]", error && "border-red-500")} {...field} {...props} />}
+    </Field>
+  );
+}
+export function Checkbox({ id, label, checked, onChange, ...props }) {
+  const auto = useId();
+  return (
+    <span className="inline-flex items-center gap-2 text-sm">
+      <input type="checkbox" id={id ?? auto} checked={checked} onChange={(e) => onChange(e.target.checked)} {...props} />
+      <label htmlFor={id ?? auto}>{label}</label>
+    </span>
+  );
+}
+export function Select({ id, label, hint, options, error, required, ...props }) {
+  return (
+    <Field id={id} label={label} hint={hint} error={error} required={required}>
+      {(field) => (
+        <select className={clsx(CONTROL, "bg-white", error && "border-red-500")} {...field} {...props}>
+          {options.map((o) => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+      )}
+    </Field>
+  );
+}
+
+// File picker shown as a button. The input is visually hidden rather than display:none, so it stays in
+// the tab order; `name` is its accessible name when the button text alone is ambiguous ("Upload").
+// Gets the picked File (an array with `multiple`); the input is reset so the same file can be picked again.
+export function FileButton({ label, name, accept, multiple, onFile, className = "text-sm px-3 py-2 rounded-lg border hover:bg-gray-100" }) {
+  return (
+    <label className={clsx("relative cursor-pointer focus-within:ring-2 focus-within:ring-blue-500", className)}>
+      {label}
+      <input
+        type="file"
+        accept={accept}
+        multiple={multiple}
+        aria-label={name}
+        className="sr-only"
+        onChange={(e) => {
+          const files = [...e.target.files];
+          e.target.value = "";
+          onFile(multiple ? files : files[0]);
+        }}
+      />
+    </label>
+  );
+}
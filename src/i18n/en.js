@@ -0,0 +1,428 @@
+// English strings (also the fallback for keys missing in other languages).
+// Placeholders: {name} is replaced by t(key, { name }).
+export default {
+  "app.title": "FSR Generator",
+  "app.loading": "Loading reports…",
+  "preview.zoom": "Zoom",
+  "preview.fit": "Fit",
+  "preview.pageCount": "Pages: {n}",
+  "preview.page": "Page {page} of {total}",
+  "lang.ui": "UI",
+  "lang.report": "Report language",
+  "network.online": "Online",
+  "network.offline": "Offline",
+  "network.offlineHint": "No connection. Reports are saved on this device and PDF export still works.",
+
+  "header.templates": "Templates",
+  "header.history": "History",
+  "header.rules": "Rules",
+  "header.numbering": "Numbering",
+  "header.branding": "Branding",
+  "header.reports": "Reports ({n})",
+  "header.batch": "Batch export",
+  "header.importJson": "Import JSON",
+  "header.downloadJson": "Download JSON",
+  "header.exportDocx": "Export DOCX",
+  "header.exportHtml": "Export HTML",
+  "header.pdfSnapshot": "PDF: Snapshot",
+  "header.pdfText": "PDF: Text",
+  "header.pdfQuality": "PDF quality",
+  "header.pdfMode": "PDF type",
+  "header.exportPdf": "Export PDF",
+  "header.exportPdfShortcut": "Export PDF (Ctrl+P)",
+  "header.saved": "Saved",
+  "header.customers": "Customers ({n})",
+  "header.faultCodes": "Fault codes ({n})",
+  "header.sync": "Sync ({n})",
+  "header.submit": "Submit",
+
+  "section.brand": "Brand & Header",
+  "section.brandHint": "Logo & identifiers",
+  "section.customer": "Customer & System",
+  "section.timing": "Timing",
+  "section.types": "Types",
+  "section.problemAction": "Problem & Action",
+  "section.parts": "Parts Used",
+  "section.photos": "Evidence Photos",
+  "section.signatures": "Signatures",
+  "section.pmChecklist": "PM Checklist",
+
+  "field.swoNo": "SWO No.",
+  "field.fsrNo": "FSR No.",
+  "field.revision": "Revision",
+  "field.logo": "Logo (PNG/JPG)",
+  "field.customerName": "Customer Name",
+  "field.address": "Address",
+  "field.contactPerson": "Contact Person",
+  "field.phone": "Phone",
+  "field.modality": "Modality",
+  "field.model": "Model",
+  "field.serialNo": "Serial No.",
+  "field.productNo": "Product No.",
+  "field.startTravelDate": "Start Travel - Date",
+  "field.startTravelTime": "Start Travel - Time",
+  "field.arrivedDate": "Arrived - Date",
+  "field.arrivedTime": "Arrived - Time",
+  "field.workStartDate": "Work Start - Date",
+  "field.workStartTime": "Work Start - Time",
+  "field.workFinishDate": "Work Finish - Date",
+  "field.workFinishTime": "Work Finish - Time",
+  "field.breakdown": "Breakdown",
+  "field.jobType": "Job Type",
+  "field.serviceType": "Service Type",
+  "field.problem": "Problem",
+  "field.action": "Action",
+  "field.jobStatus": "Job Status",
+  "field.jobStatusInput": "Job Status (Complete/Incomplete)",
+  "field.statusChargeable": "Status",
+  "field.statusChargeableInput": "Status (Chargeable/FOC/Borrow)",
+  "field.conditionWhenLeave": "Condition When Leave",
+  "field.fseName": "Field Service Engineer",
+  "field.trainerName": "Trainer / L2",
+  "field.fseSign": "FSE Signature",
+  "field.trainerSign": "Trainer Signature",
+  "field.customerAck": "Customer acknowledgement",
+  "field.customerSignName": "Customer Signatory",
+  "field.customerSignTitle": "Title / Position",
+  "field.customerSignedAt": "Signed At",
+  "field.customerSign": "Customer Signature",
+  "field.partName": "Part Name",
+  "field.partNo": "Part No",
+  "field.qty": "Qty",
+  "field.status": "Status",
+
+  "jobTypes.siteSurvey": "Site Survey",
+  "jobTypes.training": "Training",
+  "jobTypes.corrective": "Corrective Maintenance",
+  "jobTypes.installation": "Installation",
+  "jobTypes.update": "Update",
+  "jobTypes.preventive": "Preventive Maintenance",
+  "serviceTypes.chargeable": "Chargeable",
+  "serviceTypes.contract": "Contract Service",
+  "serviceTypes.warranty": "Warranty",
+
+  "partStatus.New": "New",
+  "partStatus.Replaced": "Replaced",
+  "partStatus.Returned (DOA)": "Returned (DOA)",
+  "partStatus.Ordered": "Ordered",
+
+  "common.yes": "Yes",
+  "common.no": "No",
+  "common.remove": "Remove",
+  "common.cancel": "Cancel",
+  "common.clear": "Clear",
+  "common.export": "Export",
+  "common.delete": "Delete",
+
+  "validation.required": "{field} is required",
+  "validation.timeline": "{step} is earlier than {prev}",
+  "validation.qty": "Part {n}: quantity must be a positive number, e.g. 2 or 1.5",
+  "validation.sessionTimeline": "Session {n}: {step} is earlier than {prev}",
+  "validation.fsrDuplicate": "FSR number {fsrNo} is already used by another report",
+  "validation.swoFormat": "SWO No. does not match the format {format}",
+  "validation.title": "Cannot export {what} yet",
+  "validation.intro": "Fix the following before exporting a final report:",
+  "validation.exportDraft": "Export as draft anyway",
+  "validation.goBack": "Go back and fix",
+  "timeline.startTravel": "Start Travel",
+  "timeline.arrived": "Arrived",
+  "timeline.workStart": "Work Start",
+  "timeline.workFinish": "Work Finish",
+
+  "rules.title": "Required before export",
+  "rules.reset": "Reset to defaults",
+  "rules.note": "Timing is always checked in order: Start Travel → Arrived → Work Start → Work Finish.",
+  "numbering.title": "FSR numbering",
+  "numbering.pattern": "Pattern",
+  "numbering.prefix": "Prefix",
+  "numbering.initials": "Engineer initials",
+  "numbering.region": "Region code",
+  "numbering.swoFormat": "SWO No. format",
+  "numbering.unknownTokens": "Unknown token(s): {tokens}",
+  "numbering.sharedSequence": "Other devices count the same sequence: add {DEVICE}, or {INITIALS} with your initials filled in, so two engineers cannot issue the same number.",
+  "numbering.help": "Tokens: {PREFIX} {INITIALS} {REGION} {DEVICE} (a code of this device), dates {YYYY} {YY} {MM} {DD} {YYMMDD} {HH} {mm}, sequence {SEQ:3} (zero-padded, restarts whenever the rest of the number changes). SWO format: # digit, A letter, * letter or digit; empty = not checked.",
+  "numbering.next": "Next number:",
+  "numbering.renumber": "Give this report the next number",
+  "history.title": "Change log",
+  "history.shortcuts": "Undo Ctrl+Z • Redo Ctrl+Y / Ctrl+Shift+Z",
+  "history.undo": "Undo (Ctrl+Z)",
+  "history.redo": "Redo (Ctrl+Y)",
+  "history.restore": "Restore",
+  "history.empty": "No changes recorded for this report yet.",
+  "history.action.start": "Opened",
+  "history.action.edit": "Edited",
+  "history.action.undo": "Undo",
+  "history.action.redo": "Redo",
+  "history.action.restore": "Restored earlier version",
+  "finalize.finalize": "Finalize",
+  "finalize.what": "the final report",
+  "finalize.confirm": "Finalize this report? It becomes read-only and is sealed with a SHA-256 hash.",
+  "finalize.reopen": "Reopen",
+  "finalize.reopenConfirm": "Reopen this finalized report for editing as revision {revision}?",
+  "finalize.locked": "Finalized (revision {revision}) on {at}. Read-only — reopen to edit as a new revision.",
+  "finalize.verify": "Verify JSON",
+  "finalize.verify.valid": "✓ Hash matches: {fsrNo} revision {revision}, finalized {at}, has not been changed.",
+  "finalize.verify.modified": "✗ Hash does NOT match: {fsrNo} revision {revision} was changed after it was finalized on {at}.",
+  "finalize.verify.unsealed": "{fsrNo} is not a finalized report (no hash to check).",
+  "batch.title": "Batch export & summary",
+  "batch.from": "From (date)",
+  "batch.to": "To (date)",
+  "batch.any": "Any",
+  "batch.selected": "{n} of {total} report(s) selected",
+  "batch.progress": "Rendering {i}/{n}…",
+  "batch.done": "Exported {n} report(s)",
+  "batch.failed": "Batch export failed: {message}",
+  "batch.export.zip": "ZIP (PDF + JSON)",
+  "batch.export.pdf": "Combined PDF",
+  "batch.export.csv": "Summary CSV",
+  "batch.export.xlsx": "Summary XLSX",
+  "batch.sheet": "Summary",
+  "batch.travelH": "Travel (h)",
+  "batch.workH": "Work (h)",
+  "batch.overtimeH": "Overtime (h)",
+  "branding.title": "Branding & print layout",
+  "branding.pageSize": "Page size",
+  "branding.margin.top": "Top margin (mm)",
+  "branding.margin.right": "Right margin (mm)",
+  "branding.margin.bottom": "Bottom margin (mm)",
+  "branding.margin.left": "Left margin (mm)",
+  "branding.companyName": "Company name",
+  "branding.companyAddress": "Company address",
+  "branding.footerText": "Footer text (every page)",
+  "branding.logoPlacement": "Logo placement",
+  "branding.placement.left": "Left, beside the title",
+  "branding.placement.center": "Centered above",
+  "branding.placement.right": "Right, in the letterhead",
+  "branding.logoSize": "Logo size (mm)",
+  "branding.accent": "Accent colour (ticked chips)",
+  "branding.watermark": "\"DRAFT\" watermark while the job status is Incomplete",
+  "branding.pageBreaks": "Start on a new page",
+
+  "import.title": "Import {file}",
+  "import.body": "{n} field(s) did not match the FSR schema. If you continue, they are reset to their default values.",
+  "import.confirm": "Import with fixes",
+  "import.invalid": "Invalid FSR file: {message}",
+
+  "library.title": "Reports ({n})",
+  "library.search": "Search customer / serial / FSR no.",
+  "library.date": "Filter by date (travel, work or last saved)",
+  "library.newReport": "+ New report",
+  "library.templateHint": "Template for new reports",
+  "library.rename": "Rename",
+  "library.duplicate": "Duplicate",
+  "library.noMatch": "No reports match.",
+  "library.renamePrompt": "Report name",
+  "library.deleteConfirm": "Delete \"{name}\"? This cannot be undone.",
+  "status.draft": "draft",
+  "status.complete": "complete",
+  "status.final": "final",
+
+  "time.h": "h",
+  "time.m": "m",
+  "timesheet.travel": "Travel",
+  "timesheet.waiting": "Waiting on site",
+  "timesheet.breaks": "Breaks",
+  "timesheet.work": "Work",
+  "timesheet.overtime": "Overtime",
+  "timesheet.date": "Date",
+  "timesheet.from": "From",
+  "timesheet.to": "To",
+  "timesheet.note": "Note",
+  "timesheet.addBreak": "+ Add break",
+  "timesheet.workingHours": "Working hours (for overtime)",
+  "sessions.title": "Work sessions",
+  "sessions.help": "For jobs that take several visits, log each visit with its own timing. The totals then add up all sessions and the Timing fields above show the overall job window.",
+  "sessions.session": "Session {n}",
+  "sessions.engineer": "Engineer",
+  "sessions.action": "Action performed",
+  "sessions.status": "Status after this session",
+  "sessions.add": "+ Add session",
+  "sessions.start": "Log as work sessions",
+  "sessions.fromSessions": "Set from the work sessions below",
+
+  "sync.title": "Backend sync",
+  "sync.sendNow": "Send now",
+  "sync.endpoint": "Endpoint URL",
+  "sync.token": "Bearer token",
+  "sync.includePdf": "Include PDF",
+  "sync.rejected": "Rejected: {error}",
+  "sync.retryAt": "Attempt {n} failed, retrying at {time}: {error}",
+  "sync.waiting": "Waiting to be sent",
+  "sync.retry": "Retry",
+  "sync.empty": "Outbox is empty.",
+  "sync.notConfigured": "Set the sync endpoint first.",
+  "sync.what": "report",
+  "sync.status.draft": "not sent",
+  "sync.status.queued": "queued",
+  "sync.status.sent": "sent",
+  "sync.status.failed": "failed",
+
+  "signature.none": "No signature",
+  "signature.draw": "Draw",
+  "signature.upload": "Upload",
+  "signature.drawFor": "Draw signature: {label}",
+  "signature.uploadFor": "Upload signature image: {label}",
+  "signature.undo": "Undo",
+  "signature.use": "Use signature",
+
+  "photos.add": "Add Photos",
+  "photos.count": "{n} photos • {size}",
+  "photos.dragHint": "Drag to reorder",
+  "photos.processing": "Processing {i}/{n}…",
+  "photos.added": "Added {n} photo(s): {before} → {after}",
+  "photos.settings": "Photo processing",
+  "photos.maxDim": "Max dimension (px)",
+  "photos.format": "Format",
+  "photos.quality": "Quality ({q}%)",
+  "photos.stripGps": "Strip GPS location",
+  "photos.settingsNote": "Applies to new uploads. Photos are rotated upright from their EXIF orientation; other metadata is always removed.",
+  "photos.caption": "Caption / description",
+  "photos.captionOf": "Caption of photo {n}",
+  "photos.alt": "Evidence photo {n}",
+  "photos.moveEarlier": "Move earlier",
+  "photos.moveLater": "Move later",
+  "photos.none": "No photos uploaded yet.",
+  "photos.annotate": "Annotate",
+  "photos.annotated": "{n} mark(s)",
+  "annotate.title": "Annotate photo",
+  "annotate.tool.select": "Select",
+  "annotate.tool.arrow": "Arrow",
+  "annotate.tool.rect": "Rectangle",
+  "annotate.tool.circle": "Circle",
+  "annotate.tool.pen": "Freehand",
+  "annotate.tool.callout": "Numbered callout",
+  "annotate.tool.text": "Text",
+  "annotate.tool.blur": "Blur / redact",
+  "annotate.tool.crop": "Crop",
+  "annotate.size": "Size",
+  "annotate.editText": "Edit text",
+  "annotate.resetCrop": "Reset crop",
+  "annotate.textPrompt": "Label text",
+  "annotate.help": "Drag to draw; click to place callouts and text. Mark-up stays editable — the original photo is kept and the annotated version is used in the preview and exports.",
+  "annotate.burnNote": "Blurred areas are applied to the original photo when saved.",
+  "annotate.burnConfirm": "Saving blurs the redacted areas into the original photo, including its earlier versions in the change log. This cannot be undone. Continue?",
+  "annotate.save": "Save annotations",
+
+  "parts.add": "+ Add part",
+  "parts.addShortcut": "Add part (Alt+P)",
+  "parts.remove": "Remove part {n}",
+  "parts.totalQty": "Total qty: {n}",
+  "parts.catalog": "Catalog: {n} parts",
+  "parts.importCatalog": "Import catalog (CSV/JSON)",
+  "parts.clearCatalog": "Clear catalog",
+  "parts.clearConfirm": "Remove all parts from the local catalog?",
+  "parts.imported": "Imported {n} catalog part(s)",
+  "parts.importFailed": "Catalog import failed: {message}",
+  "customers.title": "Customers & installed base",
+  "customers.import": "Import CSV",
+  "customers.export": "Export CSV",
+  "customers.empty": "No customers yet. Fill in a report and use \"Save to registry\", or import a CSV.",
+  "customers.sn": "S/N {serialNo}",
+  "customers.customer": "Customer (registry)",
+  "customers.contact": "Contact",
+  "customers.system": "System",
+  "customers.save": "Save to registry",
+  "customers.update": "Update registry",
+  "customers.imported": "Imported {n} customer(s)",
+  "customers.importFailed": "Customer import failed: {message}",
+  "customers.deleteConfirm": "Delete customer \"{name}\" with all its contacts and systems?",
+  "customers.serialElsewhere": "This serial number is registered to {name}",
+  "customers.saveAnyway": "Save it for this customer too?",
+
+  "fault.title": "Fault coding",
+  "fault.symptom": "Symptom",
+  "fault.subsystem": "Subsystem",
+  "fault.rootCause": "Root cause",
+  "fault.resolution": "Resolution",
+  "fault.noList": "No fault code list on this device yet. Open \"Fault codes\" in the header to import one or start from the built-in list.",
+  "fault.similar": "Similar past reports on this model ({n})",
+  "fault.open": "Open",
+  "faultCodes.title": "Fault code list",
+  "faultCodes.import": "Import JSON/CSV",
+  "faultCodes.export": "Export CSV",
+  "faultCodes.category": "Category",
+  "faultCodes.parent": "Under",
+  "faultCodes.code": "Code",
+  "faultCodes.label": "Description",
+  "faultCodes.add": "+ Add code",
+  "faultCodes.taken": "Code already in this category",
+  "faultCodes.empty": "No fault codes yet. Import a JSON or CSV list, or start from the built-in one.",
+  "faultCodes.starter": "Use built-in list",
+  "faultCodes.imported": "Imported {n} fault code(s)",
+  "faultCodes.importFailed": "Fault code import failed: {message}",
+  "faultCodes.clearConfirm": "Delete the whole fault code list? Reports keep the codes already picked.",
+  "faultCodes.deleteConfirm": "Delete {code} and the {n} code(s) under it?",
+
+  "pm.result.pass": "Pass",
+  "pm.result.fail": "Fail",
+  "pm.result.na": "N/A",
+  "pm.item": "Check item",
+  "pm.value": "Value",
+  "pm.unit": "Unit",
+  "pm.min": "Min",
+  "pm.max": "Max",
+  "pm.remark": "Remark",
+  "pm.group": "Subsystem",
+  "pm.general": "General",
+  "pm.outOfTolerance": "Out of tolerance ({range})",
+  "pm.none": "No checklist items yet.",
+  "pm.add": "+ Add item",
+  "pm.loadTemplate": "Load template checklist",
+  "pm.countPass": "{n} pass",
+  "pm.countFail": "{n} fail",
+  "pm.countNa": "{n} N/A",
+  "pm.open": "{n} open",
+  "pm.outCount": "{n} out of tolerance",
+
+  "templates.title": "Form templates",
+  "templates.import": "Import template",
+  "templates.thisReport": "(this report)",
+  "templates.fields": "{n} extra fields",
+  "templates.builtin": "built-in",
+  "templates.imported": "imported",
+  "templates.apply": "Apply to this report",
+  "templates.invalid": "Invalid template:\n{message}",
+  "templates.deleteConfirm": "Delete this template? Reports created from it keep their copy.",
+
+  "report.title": "FIELD SERVICE REPORT",
+  "report.serviceDetails": "Service Details",
+  "report.swoNo": "SWO No.",
+  "report.startTravel": "Start Travel",
+  "report.arrived": "Arrived",
+  "report.workStart": "Work Start",
+  "report.workFinish": "Work Finish",
+  "report.breakdown": "Breakdown",
+  "report.travel": "Travel",
+  "report.waiting": "Waiting",
+  "report.work": "Work",
+  "report.breaks": "breaks {time}",
+  "report.overtime": "Overtime",
+  "report.sessions": "Work Sessions",
+  "report.period": "Period",
+  "report.engineer": "Engineer",
+  "report.jobType": "Job type",
+  "report.serviceType": "Service Type",
+  "report.problem": "Problem",
+  "report.action": "Action",
+  "report.faultCodes": "Fault Codes",
+  "report.pmChecklist": "Preventive Maintenance Checklist",
+  "report.item": "Item",
+  "report.result": "Result",
+  "report.measured": "Measured",
+  "report.tolerance": "Tolerance",
+  "report.remark": "Remark",
+  "report.summary": "Summary",
+  "report.jobStatus": "Job status",
+  "report.partsUsed": "Part Used",
+  "report.no": "No",
+  "report.total": "Total",
+  "report.status": "Status",
+  "report.conditionWhenLeave": "CONDITION WHEN LEAVE",
+  "report.photos": "Evidence Photos",
+  "report.customer": "Customer",
+  "report.tel": "Tel",
+  "report.page": "Page {page} of {total}",
+  "report.revision": "Rev. {n}",
+  "report.sealed": "Finalized {at} • SHA-256 {hash}",
+  "report.draft": "DRAFT",
+};
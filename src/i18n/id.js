@@ -0,0 +1,427 @@
+// Bahasa Indonesia. Missing keys fall back to English (en.js).
+export default {
+  "app.title": "FSR Generator",
+  "app.loading": "Memuat laporan…",
+  "preview.zoom": "Perbesar",
+  "preview.fit": "Sesuaikan",
+  "preview.pageCount": "Halaman: {n}",
+  "preview.page": "Halaman {page} dari {total}",
+  "lang.ui": "UI",
+  "lang.report": "Bahasa laporan",
+  "network.online": "Online",
+  "network.offline": "Offline",
+  "network.offlineHint": "Tidak ada koneksi. Laporan tersimpan di perangkat ini dan ekspor PDF tetap berfungsi.",
+
+  "header.templates": "Template",
+  "header.history": "Riwayat",
+  "header.rules": "Aturan",
+  "header.numbering": "Penomoran",
+  "header.branding": "Branding",
+  "header.reports": "Laporan ({n})",
+  "header.batch": "Ekspor massal",
+  "header.importJson": "Impor JSON",
+  "header.downloadJson": "Unduh JSON",
+  "header.exportDocx": "Ekspor DOCX",
+  "header.exportHtml": "Ekspor HTML",
+  "header.pdfSnapshot": "PDF: Gambar",
+  "header.pdfText": "PDF: Teks",
+  "header.pdfQuality": "Kualitas PDF",
+  "header.pdfMode": "Jenis PDF",
+  "header.exportPdf": "Ekspor PDF",
+  "header.exportPdfShortcut": "Ekspor PDF (Ctrl+P)",
+  "header.saved": "Tersimpan",
+  "header.customers": "Pelanggan ({n})",
+  "header.faultCodes": "Kode gangguan ({n})",
+  "header.sync": "Sinkron ({n})",
+  "header.submit": "Kirim",
+
+  "section.brand": "Merek & Kop",
+  "section.brandHint": "Logo & nomor identitas",
+  "section.customer": "Pelanggan & Sistem",
+  "section.timing": "Waktu",
+  "section.types": "Jenis",
+  "section.problemAction": "Masalah & Tindakan",
+  "section.parts": "Suku Cadang Terpakai",
+  "section.photos": "Foto Bukti",
+  "section.signatures": "Tanda Tangan",
+  "section.pmChecklist": "Daftar Periksa PM",
+
+  "field.swoNo": "No. SWO",
+  "field.fsrNo": "No. FSR",
+  "field.revision": "Revisi",
+  "field.logo": "Logo (PNG/JPG)",
+  "field.customerName": "Nama Pelanggan",
+  "field.address": "Alamat",
+  "field.contactPerson": "Narahubung",
+  "field.phone": "Telepon",
+  "field.modality": "Modalitas",
+  "field.model": "Model",
+  "field.serialNo": "No. Seri",
+  "field.productNo": "No. Produk",
+  "field.startTravelDate": "Mulai Perjalanan - Tanggal",
+  "field.startTravelTime": "Mulai Perjalanan - Jam",
+  "field.arrivedDate": "Tiba - Tanggal",
+  "field.arrivedTime": "Tiba - Jam",
+  "field.workStartDate": "Mulai Kerja - Tanggal",
+  "field.workStartTime": "Mulai Kerja - Jam",
+  "field.workFinishDate": "Selesai Kerja - Tanggal",
+  "field.workFinishTime": "Selesai Kerja - Jam",
+  "field.breakdown": "Kerusakan",
+  "field.jobType": "Jenis Pekerjaan",
+  "field.serviceType": "Jenis Layanan",
+  "field.problem": "Masalah",
+  "field.action": "Tindakan",
+  "field.jobStatus": "Status Pekerjaan",
+  "field.jobStatusInput": "Status Pekerjaan (Complete/Incomplete)",
+  "field.statusChargeable": "Status",
+  "field.statusChargeableInput": "Status (Chargeable/FOC/Borrow)",
+  "field.conditionWhenLeave": "Kondisi Saat Ditinggalkan",
+  "field.fseName": "Field Service Engineer",
+  "field.trainerName": "Trainer / L2",
+  "field.fseSign": "Tanda Tangan FSE",
+  "field.trainerSign": "Tanda Tangan Trainer",
+  "field.customerAck": "Persetujuan pelanggan",
+  "field.customerSignName": "Penanda Tangan Pelanggan",
+  "field.customerSignTitle": "Jabatan",
+  "field.customerSignedAt": "Waktu Tanda Tangan",
+  "field.customerSign": "Tanda Tangan Pelanggan",
+  "field.partName": "Nama Part",
+  "field.partNo": "No. Part",
+  "field.qty": "Jml",
+  "field.status": "Status",
+
+  "jobTypes.siteSurvey": "Survei Lokasi",
+  "jobTypes.training": "Pelatihan",
+  "jobTypes.corrective": "Perbaikan Korektif",
+  "jobTypes.installation": "Instalasi",
+  "jobTypes.update": "Pembaruan",
+  "jobTypes.preventive": "Perawatan Preventif",
+  "serviceTypes.chargeable": "Berbayar",
+  "serviceTypes.contract": "Layanan Kontrak",
+  "serviceTypes.warranty": "Garansi",
+
+  "partStatus.New": "Baru",
+  "partStatus.Replaced": "Diganti",
+  "partStatus.Returned (DOA)": "Dikembalikan (DOA)",
+  "partStatus.Ordered": "Dipesan",
+
+  "common.yes": "Ya",
+  "common.no": "Tidak",
+  "common.remove": "Hapus",
+  "common.cancel": "Batal",
+  "common.clear": "Bersihkan",
+  "common.export": "Ekspor",
+  "common.delete": "Hapus",
+
+  "validation.required": "{field} wajib diisi",
+  "validation.timeline": "{step} lebih awal dari {prev}",
+  "validation.qty": "Suku cadang {n}: jumlah harus berupa angka positif, mis. 2 atau 1,5",
+  "validation.sessionTimeline": "Sesi {n}: {step} lebih awal dari {prev}",
+  "validation.fsrDuplicate": "Nomor FSR {fsrNo} sudah dipakai laporan lain",
+  "validation.swoFormat": "No. SWO tidak sesuai format {format}",
+  "validation.title": "{what} belum bisa diekspor",
+  "validation.intro": "Perbaiki hal berikut sebelum mengekspor laporan final:",
+  "validation.exportDraft": "Tetap ekspor sebagai draf",
+  "validation.goBack": "Kembali dan perbaiki",
+  "timeline.startTravel": "Mulai Perjalanan",
+  "timeline.arrived": "Tiba",
+  "timeline.workStart": "Mulai Kerja",
+  "timeline.workFinish": "Selesai Kerja",
+
+  "rules.title": "Wajib diisi sebelum ekspor",
+  "rules.reset": "Kembalikan ke bawaan",
+  "rules.note": "Urutan waktu selalu diperiksa: Mulai Perjalanan → Tiba → Mulai Kerja → Selesai Kerja.",
+  "numbering.title": "Penomoran FSR",
+  "numbering.pattern": "Pola",
+  "numbering.prefix": "Awalan",
+  "numbering.initials": "Inisial teknisi",
+  "numbering.region": "Kode wilayah",
+  "numbering.swoFormat": "Format No. SWO",
+  "numbering.unknownTokens": "Token tidak dikenal: {tokens}",
+  "numbering.sharedSequence": "Perangkat lain menghitung urutan yang sama: tambahkan {DEVICE}, atau {INITIALS} dengan inisial Anda terisi, agar dua teknisi tidak menerbitkan nomor yang sama.",
+  "numbering.help": "Token: {PREFIX} {INITIALS} {REGION} {DEVICE} (kode perangkat ini), tanggal {YYYY} {YY} {MM} {DD} {YYMMDD} {HH} {mm}, urutan {SEQ:3} (diisi nol, mulai ulang setiap kali bagian lain nomor berubah). Format SWO: # angka, A huruf, * huruf atau angka; kosong = tidak diperiksa.",
+  "numbering.next": "Nomor berikutnya:",
+  "numbering.renumber": "Beri laporan ini nomor berikutnya",
+  "history.title": "Log perubahan",
+  "history.shortcuts": "Urungkan Ctrl+Z • Ulangi Ctrl+Y / Ctrl+Shift+Z",
+  "history.undo": "Urungkan (Ctrl+Z)",
+  "history.redo": "Ulangi (Ctrl+Y)",
+  "history.restore": "Pulihkan",
+  "history.empty": "Belum ada perubahan tercatat untuk laporan ini.",
+  "history.action.start": "Dibuka",
+  "history.action.edit": "Diubah",
+  "history.action.undo": "Urungkan",
+  "history.action.redo": "Ulangi",
+  "history.action.restore": "Versi sebelumnya dipulihkan",
+  "finalize.finalize": "Finalisasi",
+  "finalize.what": "laporan final",
+  "finalize.confirm": "Finalisasi laporan ini? Laporan menjadi hanya-baca dan disegel dengan hash SHA-256.",
+  "finalize.reopen": "Buka kembali",
+  "finalize.reopenConfirm": "Buka kembali laporan final ini untuk diedit sebagai revisi {revision}?",
+  "finalize.locked": "Difinalisasi (revisi {revision}) pada {at}. Hanya-baca — buka kembali untuk mengedit sebagai revisi baru.",
+  "finalize.verify": "Verifikasi JSON",
+  "finalize.verify.valid": "✓ Hash cocok: {fsrNo} revisi {revision}, difinalisasi {at}, tidak diubah.",
+  "finalize.verify.modified": "✗ Hash TIDAK cocok: {fsrNo} revisi {revision} diubah setelah difinalisasi pada {at}.",
+  "finalize.verify.unsealed": "{fsrNo} bukan laporan final (tidak ada hash untuk diperiksa).",
+  "batch.title": "Ekspor massal & ringkasan",
+  "batch.from": "Dari (tanggal)",
+  "batch.to": "Sampai (tanggal)",
+  "batch.any": "Semua",
+  "batch.selected": "{n} dari {total} laporan dipilih",
+  "batch.progress": "Membuat {i}/{n}…",
+  "batch.done": "{n} laporan diekspor",
+  "batch.failed": "Ekspor massal gagal: {message}",
+  "batch.export.zip": "ZIP (PDF + JSON)",
+  "batch.export.pdf": "PDF gabungan",
+  "batch.export.csv": "Ringkasan CSV",
+  "batch.export.xlsx": "Ringkasan XLSX",
+  "batch.sheet": "Ringkasan",
+  "batch.travelH": "Perjalanan (jam)",
+  "batch.workH": "Kerja (jam)",
+  "batch.overtimeH": "Lembur (jam)",
+  "branding.title": "Branding & tata letak cetak",
+  "branding.pageSize": "Ukuran halaman",
+  "branding.margin.top": "Margin atas (mm)",
+  "branding.margin.right": "Margin kanan (mm)",
+  "branding.margin.bottom": "Margin bawah (mm)",
+  "branding.margin.left": "Margin kiri (mm)",
+  "branding.companyName": "Nama perusahaan",
+  "branding.companyAddress": "Alamat perusahaan",
+  "branding.footerText": "Teks footer (setiap halaman)",
+  "branding.logoPlacement": "Posisi logo",
+  "branding.placement.left": "Kiri, di samping judul",
+  "branding.placement.center": "Tengah, di atas",
+  "branding.placement.right": "Kanan, di kop surat",
+  "branding.logoSize": "Ukuran logo (mm)",
+  "branding.accent": "Warna aksen (chip tercentang)",
+  "branding.watermark": "Watermark \"DRAF\" selama status pekerjaan Incomplete",
+  "branding.pageBreaks": "Mulai di halaman baru",
+
+  "import.title": "Impor {file}",
+  "import.body": "{n} isian tidak sesuai skema FSR. Jika dilanjutkan, isian tersebut dikembalikan ke nilai bawaan.",
+  "import.confirm": "Impor dengan perbaikan",
+  "import.invalid": "Berkas FSR tidak valid: {message}",
+
+  "library.title": "Laporan ({n})",
+  "library.search": "Cari pelanggan / no. seri / no. FSR",
+  "library.date": "Saring menurut tanggal (perjalanan, kerja, atau terakhir disimpan)",
+  "library.newReport": "+ Laporan baru",
+  "library.templateHint": "Template untuk laporan baru",
+  "library.rename": "Ganti nama",
+  "library.duplicate": "Duplikat",
+  "library.noMatch": "Tidak ada laporan yang cocok.",
+  "library.renamePrompt": "Nama laporan",
+  "library.deleteConfirm": "Hapus \"{name}\"? Tindakan ini tidak dapat dibatalkan.",
+  "status.draft": "draf",
+  "status.complete": "selesai",
+  "status.final": "final",
+
+  "time.h": "j",
+  "time.m": "m",
+  "timesheet.travel": "Perjalanan",
+  "timesheet.waiting": "Menunggu di lokasi",
+  "timesheet.breaks": "Istirahat",
+  "timesheet.work": "Kerja",
+  "timesheet.overtime": "Lembur",
+  "timesheet.date": "Tanggal",
+  "timesheet.from": "Dari",
+  "timesheet.to": "Sampai",
+  "timesheet.note": "Catatan",
+  "timesheet.addBreak": "+ Tambah istirahat",
+  "timesheet.workingHours": "Jam kerja (untuk lembur)",
+  "sessions.title": "Sesi kerja",
+  "sessions.help": "Untuk pekerjaan dengan beberapa kunjungan, catat setiap kunjungan dengan waktunya sendiri. Total lalu menjumlahkan semua sesi dan kolom Waktu di atas menunjukkan rentang pekerjaan secara keseluruhan.",
+  "sessions.session": "Sesi {n}",
+  "sessions.engineer": "Engineer",
+  "sessions.action": "Tindakan yang dilakukan",
+  "sessions.status": "Status setelah sesi ini",
+  "sessions.add": "+ Tambah sesi",
+  "sessions.start": "Catat sebagai sesi kerja",
+  "sessions.fromSessions": "Diisi dari sesi kerja di bawah",
+
+  "sync.title": "Sinkronisasi backend",
+  "sync.sendNow": "Kirim sekarang",
+  "sync.endpoint": "URL endpoint",
+  "sync.token": "Bearer token",
+  "sync.includePdf": "Sertakan PDF",
+  "sync.rejected": "Ditolak: {error}",
+  "sync.retryAt": "Percobaan {n} gagal, dicoba lagi pukul {time}: {error}",
+  "sync.waiting": "Menunggu dikirim",
+  "sync.retry": "Coba lagi",
+  "sync.empty": "Kotak keluar kosong.",
+  "sync.notConfigured": "Atur endpoint sinkronisasi terlebih dahulu.",
+  "sync.what": "laporan",
+  "sync.status.draft": "belum dikirim",
+  "sync.status.queued": "antre",
+  "sync.status.sent": "terkirim",
+  "sync.status.failed": "gagal",
+
+  "signature.none": "Belum ada tanda tangan",
+  "signature.draw": "Gambar",
+  "signature.upload": "Unggah",
+  "signature.drawFor": "Gambar tanda tangan: {label}",
+  "signature.uploadFor": "Unggah gambar tanda tangan: {label}",
+  "signature.undo": "Urungkan",
+  "signature.use": "Pakai tanda tangan",
+
+  "photos.add": "Tambah Foto",
+  "photos.count": "{n} foto • {size}",
+  "photos.dragHint": "Seret untuk mengurutkan",
+  "photos.processing": "Memproses {i}/{n}…",
+  "photos.added": "{n} foto ditambahkan: {before} → {after}",
+  "photos.settings": "Pemrosesan foto",
+  "photos.maxDim": "Dimensi maks. (px)",
+  "photos.format": "Format",
+  "photos.quality": "Kualitas ({q}%)",
+  "photos.stripGps": "Hapus lokasi GPS",
+  "photos.settingsNote": "Berlaku untuk unggahan baru. Foto diputar tegak sesuai orientasi EXIF; metadata lain selalu dihapus.",
+  "photos.caption": "Keterangan",
+  "photos.captionOf": "Keterangan foto {n}",
+  "photos.alt": "Foto bukti {n}",
+  "photos.moveEarlier": "Pindah ke depan",
+  "photos.moveLater": "Pindah ke belakang",
+  "photos.none": "Belum ada foto.",
+  "photos.annotate": "Anotasi",
+  "photos.annotated": "{n} tanda",
+  "annotate.title": "Anotasi foto",
+  "annotate.tool.select": "Pilih",
+  "annotate.tool.arrow": "Panah",
+  "annotate.tool.rect": "Persegi",
+  "annotate.tool.circle": "Lingkaran",
+  "annotate.tool.pen": "Gambar bebas",
+  "annotate.tool.callout": "Penanda bernomor",
+  "annotate.tool.text": "Teks",
+  "annotate.tool.blur": "Blur / sensor",
+  "annotate.tool.crop": "Potong",
+  "annotate.size": "Ukuran",
+  "annotate.editText": "Ubah teks",
+  "annotate.resetCrop": "Batalkan potong",
+  "annotate.textPrompt": "Teks label",
+  "annotate.help": "Seret untuk menggambar; klik untuk menaruh penanda dan teks. Anotasi tetap dapat diubah — foto asli disimpan dan versi beranotasi dipakai di pratinjau dan ekspor.",
+  "annotate.burnNote": "Area yang diburamkan diterapkan ke foto asli saat disimpan.",
+  "annotate.burnConfirm": "Menyimpan akan memburamkan area sensor langsung pada foto asli, termasuk versi sebelumnya di riwayat perubahan. Tindakan ini tidak dapat dibatalkan. Lanjutkan?",
+  "annotate.save": "Simpan anotasi",
+
+  "parts.add": "+ Tambah part",
+  "parts.addShortcut": "Tambah part (Alt+P)",
+  "parts.remove": "Hapus part {n}",
+  "parts.totalQty": "Total jml: {n}",
+  "parts.catalog": "Katalog: {n} part",
+  "parts.importCatalog": "Impor katalog (CSV/JSON)",
+  "parts.clearCatalog": "Kosongkan katalog",
+  "parts.clearConfirm": "Hapus semua part dari katalog lokal?",
+  "parts.imported": "{n} part katalog diimpor",
+  "parts.importFailed": "Impor katalog gagal: {message}",
+  "customers.title": "Pelanggan & basis terpasang",
+  "customers.import": "Impor CSV",
+  "customers.export": "Ekspor CSV",
+  "customers.empty": "Belum ada pelanggan. Isi laporan lalu gunakan \"Simpan ke registri\", atau impor CSV.",
+  "customers.sn": "S/N {serialNo}",
+  "customers.customer": "Pelanggan (registri)",
+  "customers.contact": "Kontak",
+  "customers.system": "Sistem",
+  "customers.save": "Simpan ke registri",
+  "customers.update": "Perbarui registri",
+  "customers.imported": "{n} pelanggan diimpor",
+  "customers.importFailed": "Impor pelanggan gagal: {message}",
+  "customers.deleteConfirm": "Hapus pelanggan \"{name}\" beserta semua kontak dan sistemnya?",
+  "customers.serialElsewhere": "Nomor seri ini terdaftar atas nama {name}",
+  "customers.saveAnyway": "Tetap simpan untuk pelanggan ini?",
+
+  "fault.title": "Kode gangguan",
+  "fault.symptom": "Gejala",
+  "fault.subsystem": "Subsistem",
+  "fault.rootCause": "Akar masalah",
+  "fault.resolution": "Penyelesaian",
+  "fault.noList": "Belum ada daftar kode gangguan di perangkat ini. Buka \"Kode gangguan\" di header untuk mengimpor daftar atau mulai dari daftar bawaan.",
+  "fault.similar": "Laporan serupa sebelumnya pada model ini ({n})",
+  "fault.open": "Buka",
+  "faultCodes.title": "Daftar kode gangguan",
+  "faultCodes.import": "Impor JSON/CSV",
+  "faultCodes.export": "Ekspor CSV",
+  "faultCodes.category": "Kategori",
+  "faultCodes.parent": "Di bawah",
+  "faultCodes.code": "Kode",
+  "faultCodes.label": "Deskripsi",
+  "faultCodes.add": "+ Tambah kode",
+  "faultCodes.taken": "Kode sudah ada di kategori ini",
+  "faultCodes.empty": "Belum ada kode gangguan. Impor daftar JSON atau CSV, atau mulai dari daftar bawaan.",
+  "faultCodes.starter": "Pakai daftar bawaan",
+  "faultCodes.imported": "{n} kode gangguan diimpor",
+  "faultCodes.importFailed": "Impor kode gangguan gagal: {message}",
+  "faultCodes.clearConfirm": "Hapus seluruh daftar kode gangguan? Laporan tetap menyimpan kode yang sudah dipilih.",
+  "faultCodes.deleteConfirm": "Hapus {code} beserta {n} kode di bawahnya?",
+
+  "pm.result.pass": "Lulus",
+  "pm.result.fail": "Gagal",
+  "pm.result.na": "N/A",
+  "pm.item": "Item pemeriksaan",
+  "pm.value": "Nilai",
+  "pm.unit": "Satuan",
+  "pm.min": "Min",
+  "pm.max": "Maks",
+  "pm.remark": "Keterangan",
+  "pm.group": "Subsistem",
+  "pm.general": "Umum",
+  "pm.outOfTolerance": "Di luar toleransi ({range})",
+  "pm.none": "Belum ada item daftar periksa.",
+  "pm.add": "+ Tambah item",
+  "pm.loadTemplate": "Muat daftar periksa template",
+  "pm.countPass": "{n} lulus",
+  "pm.countFail": "{n} gagal",
+  "pm.countNa": "{n} N/A",
+  "pm.open": "{n} belum diisi",
+  "pm.outCount": "{n} di luar toleransi",
+
+  "templates.title": "Template formulir",
+  "templates.import": "Impor template",
+  "templates.thisReport": "(laporan ini)",
+  "templates.fields": "{n} isian tambahan",
+  "templates.builtin": "bawaan",
+  "templates.imported": "diimpor",
+  "templates.apply": "Terapkan ke laporan ini",
+  "templates.invalid": "Template tidak valid:\n{message}",
+  "templates.deleteConfirm": "Hapus template ini? Laporan yang dibuat darinya tetap menyimpan salinannya.",
+
+  "report.title": "LAPORAN LAYANAN LAPANGAN",
+  "report.serviceDetails": "Rincian Layanan",
+  "report.swoNo": "No. SWO",
+  "report.startTravel": "Mulai Perjalanan",
+  "report.arrived": "Tiba",
+  "report.workStart": "Mulai Kerja",
+  "report.workFinish": "Selesai Kerja",
+  "report.breakdown": "Kerusakan",
+  "report.travel": "Perjalanan",
+  "report.waiting": "Menunggu",
+  "report.work": "Kerja",
+  "report.breaks": "istirahat {time}",
+  "report.overtime": "Lembur",
+  "report.sessions": "Sesi Kerja",
+  "report.period": "Periode",
+  "report.engineer": "Engineer",
+  "report.jobType": "Jenis pekerjaan",
+  "report.serviceType": "Jenis layanan",
+  "report.problem": "Masalah",
+  "report.action": "Tindakan",
+  "report.faultCodes": "Kode Gangguan",
+  "report.pmChecklist": "Daftar Periksa Perawatan Preventif",
+  "report.item": "Item",
+  "report.result": "Hasil",
+  "report.measured": "Terukur",
+  "report.tolerance": "Toleransi",
+  "report.remark": "Keterangan",
+  "report.summary": "Ringkasan",
+  "report.jobStatus": "Status pekerjaan",
+  "report.partsUsed": "Suku Cadang Terpakai",
+  "report.no": "No",
+  "report.total": "Total",
+  "report.status": "Status",
+  "report.conditionWhenLeave": "KONDISI SAAT DITINGGALKAN",
+  "report.photos": "Foto Bukti",
+  "report.customer": "Pelanggan",
+  "report.tel": "Telp",
+  "report.page": "Halaman {page} dari {total}",
+  "report.revision": "Rev. {n}",
+  "report.sealed": "Difinalisasi {at} • SHA-256 {hash}",
+  "report.draft": "DRAF",
+};
@@ -0,0 +1,193 @@
+import { useEffect, useState } from "react";
+
+// Photo annotations: editable vector mark-up kept next to the original photo (photo.annotations),
+// flattened into a bitmap whenever the photo is rendered (preview, PDFs, DOCX, HTML).
+//   { crop: { x, y, w, h } | null, shapes: [shape, ...] }
+// Coordinates are fractions (0..1) of the original image; `size` (stroke width, text and callout
+// scale) is in 1/1000 of the image width, so mark-up survives re-encoding at another resolution.
+//   arrow | rect | circle | blur: { x1, y1, x2, y2 }   (blur = pixelated redaction, drawn first; burnt into
+//                                                    the original on save, see burnRedactions)
+//   pen:     { points: [[x, y], ...] }
+//   callout: { x, y }        numbered 1, 2, ... in drawing order
+//   text:    { x, y, text }
+// Every shape also has id, type, color and size.
+export const SHAPE_TYPES = ["arrow", "rect", "circle", "pen", "callout", "text", "blur"];
+export const ANNOTATION_COLORS = ["#ef4444", "#f59e0b", "#22c55e", "#3b82f6", "#111827", "#ffffff"];
+export const EMPTY_ANNOTATIONS = { crop: null, shapes: [] };
+
+export const isAnnotated = (photo) => !!(photo.annotations && (photo.annotations.crop || photo.annotations.shapes.length));
+
+// Shape check used by the document schema
+export function isAnnotations(value) {
+  if (value === null) return true;
+  if (!value || typeof value !== "object" || !Array.isArray(value.shapes)) return false;
+  const crop = value.crop;
+  const cropOk = crop === null || crop === undefined || ["x", "y", "w", "h"].every((k) => typeof crop[k] === "number");
+  return cropOk && value.shapes.every((s) => s && typeof s === "object" && SHAPE_TYPES.includes(s.type));
+}
+
+// Corner-independent box of a two-point shape
+export const box = (s) => ({ x: Math.min(s.x1, s.x2), y: Math.min(s.y1, s.y2), w: Math.abs(s.x2 - s.x1), h: Math.abs(s.y2 - s.y1) });
+
+// Draws the shapes onto a context where (0, 0)-(w, h) is the whole original image; `source`
+// (the image) is needed for blur areas
+export function drawShapes(ctx, shapes, w, h, source) {
+  const unit = w / 1000;
+  for (const s of shapes.filter((s) => s.type === "blur")) pixelate(ctx, source, box(s), w, h);
+  let callout = 0;
+  for (const s of shapes) {
+    const lw = Math.max(1, s.size * unit);
+    ctx.save();
+    ctx.strokeStyle = ctx.fillStyle = s.color;
+    ctx.lineWidth = lw;
+    ctx.lineCap = ctx.lineJoin = "round";
+    if (s.type === "rect") {
+      const b = box(s);
+      ctx.strokeRect(b.x * w, b.y * h, b.w * w, b.h * h);
+    } else if (s.type === "circle") {
+      const b = box(s);
+      ctx.beginPath();
+      ctx.ellipse((b.x + b.w / 2) * w, (b.y + b.h / 2) * h, (b.w / 2) * w, (b.h / 2) * h, 0, 0, Math.PI * 2);
+      ctx.stroke();
+    } else if (s.type === "arrow") {
+      arrow(ctx, s.x1 * w, s.y1 * h, s.x2 * w, s.y2 * h, lw);
+    } else if (s.type === "pen" && s.points.length) {
+      ctx.beginPath();
+      s.points.forEach(([x, y], i) => (i ? ctx.lineTo(x * w, y * h) : ctx.moveTo(x * w, y * h)));
+      ctx.stroke();
+    } else if (s.type === "callout") {
+      callout += 1;
+      const r = lw * 3.5;
+      ctx.beginPath();
+      ctx.arc(s.x * w, s.y * h, r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = contrast(s.color);
+      ctx.font = `bold ${r * 1.2}px Helvetica, Arial, sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(String(callout), s.x * w, s.y * h + r * 0.05);
+    } else if (s.type === "text") {
+      ctx.font = `bold ${lw * 6}px Helvetica, Arial, sans-serif`;
+      ctx.textBaseline = "top";
+      ctx.lineWidth = lw * 1.2;
+      ctx.strokeStyle = contrast(s.color); // halo keeps the label readable on any background
+      ctx.strokeText(s.text, s.x * w, s.y * h);
+      ctx.fillText(s.text, s.x * w, s.y * h);
+    }
+    ctx.restore();
+  }
+}
+
+function arrow(ctx, x1, y1, x2, y2, lw) {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const head = lw * 4;
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2 - Math.cos(angle) * head * 0.8, y2 - Math.sin(angle) * head * 0.8);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(x2, y2);
+  ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 7), y2 - head * Math.sin(angle - Math.PI / 7));
+  ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 7), y2 - head * Math.sin(angle + Math.PI / 7));
+  ctx.closePath();
+  ctx.fill();
+}
+
+const contrast = (hex) => {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) || 0);
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? "#111827" : "#ffffff";
+};
+
+// Coarse mosaic: the area is sampled down to a few blocks and scaled back up without smoothing
+function pixelate(ctx, source, b, w, h) {
+  const sw = source.naturalWidth || source.width;
+  const sh = source.naturalHeight || source.height;
+  const block = Math.max(8, w / 50);
+  const tiny = document.createElement("canvas");
+  tiny.width = Math.max(1, Math.round((b.w * w) / block));
+  tiny.height = Math.max(1, Math.round((b.h * h) / block));
+  tiny.getContext("2d").drawImage(source, b.x * sw, b.y * sh, b.w * sw, b.h * sh, 0, 0, tiny.width, tiny.height);
+  ctx.save();
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(tiny, 0, 0, tiny.width, tiny.height, b.x * w, b.y * h, b.w * w, b.h * h);
+  ctx.restore();
+}
+
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Could not load the image"));
+    img.src = src;
+  });
+}
+
+// Renders `shapes` over the image (cropped to `crop`) at its full resolution; same format as the source
+async function render(src, { crop, shapes }) {
+  const img = await loadImage(src);
+  const nw = img.naturalWidth;
+  const nh = img.naturalHeight;
+  const c = crop || { x: 0, y: 0, w: 1, h: 1 };
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(c.w * nw));
+  canvas.height = Math.max(1, Math.round(c.h * nh));
+  const ctx = canvas.getContext("2d");
+  ctx.translate(-c.x * nw, -c.y * nh);
+  ctx.drawImage(img, 0, 0);
+  drawShapes(ctx, shapes, nw, nh, img);
+  return src.startsWith("data:image/png") ? canvas.toDataURL("image/png") : canvas.toDataURL("image/jpeg", 0.9);
+}
+
+// Photo objects are replaced on every edit, so a flattened bitmap stays valid for its object
+const flattened = new WeakMap();
+
+// The photo as rendered in reports: its src with the annotations burnt in
+export function flattenPhoto(photo) {
+  if (!isAnnotated(photo)) return Promise.resolve(photo.src);
+  if (!flattened.has(photo)) flattened.set(photo, render(photo.src, photo.annotations));
+  return flattened.get(photo);
+}
+
+export const flattenPhotos = (photos) => Promise.all(photos.map(async (ph) => ({ ...ph, src: await flattenPhoto(ph) })));
+
+export const hasRedactions = (photo) => !!photo.annotations?.shapes.some((s) => s.type === "blur");
+
+// Applies the blur areas to the original itself (so the saved/exported photo no longer holds what
+// they hide); the other mark-up stays editable. Returns the photo patch { src, annotations }.
+export async function burnRedactions(photo) {
+  const blurs = photo.annotations.shapes.filter((s) => s.type === "blur");
+  const src = await render(photo.src, { crop: null, shapes: blurs });
+  const shapes = photo.annotations.shapes.filter((s) => s.type !== "blur");
+  return { src, annotations: shapes.length || photo.annotations.crop ? { ...photo.annotations, shapes } : null };
+}
+
+// Photos with any blur areas still kept as shapes burnt in. The editor burns them on save; this runs
+// before a report is sealed (finalizeForm) and when one is imported or loaded, never at export,
+// where re-encoding the photos of a finalized report would break its seal.
+export const redactPhotos = (photos) => Promise.all(photos.map(async (ph) => (hasRedactions(ph) ? { ...ph, ...(await burnRedactions(ph)) } : ph)));
+
+// The form with its blur areas burnt in, or the same form when there are none. A sealed report is
+// left as it is (its hash covers the photos).
+export async function redactForm(form) {
+  if (form.finalized || !form.photos.some(hasRedactions)) return form;
+  return { ...form, photos: await redactPhotos(form.photos) };
+}
+
+// For rendering: srcOf(photo) is the flattened image, or null while it is being drawn
+// (annotated photos never show unredacted)
+export function useFlattenedPhotos(photos) {
+  const [flat, setFlat] = useState([]); // [[photo, src]]
+  useEffect(() => {
+    let live = true;
+    const flatten = (ph) =>
+      flattenPhoto(ph).catch((e) => {
+        console.warn("Could not flatten photo annotations", e);
+        return null;
+      });
+    Promise.all(photos.map(async (ph) => [ph, await flatten(ph)])).then((pairs) => live && setFlat(pairs));
+    return () => {
+      live = false;
+    };
+  }, [photos]);
+  return (photo) => (isAnnotated(photo) ? (flat.find(([ph]) => ph === photo)?.[1] ?? null) : photo.src);
+}
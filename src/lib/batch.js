@@ -0,0 +1,144 @@
+import dayjs from "dayjs";
+import { isPartFilled } from "./catalog";
+import { toCSV } from "./csv";
+import { FAULT_CATEGORIES } from "./faultCodes";
+import { createTranslator } from "./i18n";
+import { serializeFSR } from "./schema";
+import { typeLabel } from "./templates";
+import { computeTimesheet } from "./timesheet";
+import { createZip } from "./zip";
+
+// Batch export over saved reports: filtering, one-row-per-FSR summary (CSV / XLSX),
+// a ZIP of PDFs + JSONs and a single combined PDF.
+export const EMPTY_BATCH_FILTERS = { from: "", to: "", fseName: "", customer: "", jobStatus: "", statusChargeable: "" };
+
+// Date a report counts under (YYYY-MM-DD): work start, else travel start, else last edit
+export const reportDate = (report) => report.form.workStartDate || report.form.startTravelDate || dayjs(report.updatedAt).format("YYYY-MM-DD");
+
+const has = (value, query) => !query.trim() || String(value).toLowerCase().includes(query.trim().toLowerCase());
+
+export function filterReports(reports, f) {
+  return reports.filter((r) => {
+    const date = reportDate(r);
+    if ((f.from && date < f.from) || (f.to && date > f.to)) return false;
+    if (f.jobStatus && r.form.jobStatus !== f.jobStatus) return false;
+    if (f.statusChargeable && r.form.statusChargeable !== f.statusChargeable) return false;
+    return has(r.form.fseName, f.fseName) && has(r.form.customerName, f.customer);
+  });
+}
+
+// Distinct non-empty values of a form field (filter dropdowns)
+export const distinctValues = (reports, key) => [...new Set(reports.map((r) => r.form[key].trim()).filter(Boolean))].sort();
+
+const hours = (min) => (min == null ? "" : Math.round((min / 60) * 100) / 100);
+const ticked = (form, group, t) =>
+  Object.entries(form[group])
+    .filter(([, on]) => on)
+    .map(([k]) => typeLabel(form, group, k, t))
+    .join(", ");
+
+// [header, ...rows]; hours as decimal numbers so spreadsheets can total them
+export function summaryRows(reports, workingHours, t = createTranslator()) {
+  const header = [
+    t("field.fsrNo"), t("field.revision"), t("timesheet.date"), t("field.fseName"), t("field.customerName"), t("field.serialNo"), t("field.model"),
+    t("field.jobType"), t("field.serviceType"), t("field.jobStatus"), t("field.statusChargeable"),
+    t("batch.travelH"), t("batch.workH"), t("batch.overtimeH"), t("section.parts"),
+    ...FAULT_CATEGORIES.map((c) => t(`fault.${c}`)),
+  ];
+  const rows = reports.map((r) => {
+    const { form } = r;
+    const ts = computeTimesheet(form, workingHours);
+    const parts = form.parts.filter(isPartFilled).map((p) => `${p.partName}${p.partNo ? ` (${p.partNo})` : ""}${p.qty ? ` x${p.qty}` : ""}`);
+    return [
+      form.fsrNo, form.revision, reportDate(r), form.fseName, form.customerName, form.serialNo, form.model,
+      ticked(form, "jobTypes", t), ticked(form, "serviceTypes", t), form.jobStatus, form.statusChargeable,
+      hours(ts.travelMin), hours(ts.workMin), hours(ts.overtimeMin), parts.join("; "),
+      ...FAULT_CATEGORIES.map((c) => form.faultCodes?.[c]?.code ?? ""),
+    ];
+  });
+  return [header, ...rows];
+}
+
+export const summaryCSV = (rows) => new Blob(["\uFEFF" + toCSV(rows)], { type: "text/csv" });
+
+// Control characters (pasted from other tools) are not allowed in XML 1.0; Word/Excel reject the file
+// eslint-disable-next-line no-control-regex
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+const xml = (s) => String(s).replace(INVALID_XML, "").replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+const colName = (i) => (i >= 26 ? colName(Math.floor(i / 26) - 1) : "") + String.fromCharCode(65 + (i % 26));
+
+// Single-sheet .xlsx (inline strings; numbers stay numeric)
+export function summaryXLSX(rows, sheetName = "Summary") {
+  const sheetRows = rows
+    .map((row, r) => {
+      const cells = row.map((v, c) => {
+        const ref = `${colName(c)}${r + 1}`;
+        if (typeof v === "number") return `<c r="${ref}"><v>${v}</v></c>`;
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xml(v ?? "")}</t></is></c>`;
+      });
+      return `<row r="${r + 1}">${cells.join("")}</row>`;
+    })
+    .join("");
+  const head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const ns = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+  const rel = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      data: `${head}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data: `${head}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      data: `${head}<workbook ${ns} xmlns:r="${rel}"><sheets><sheet name="${xml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data: `${head}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    },
+    { name: "xl/worksheets/sheet1.xml", data: `${head}<worksheet ${ns}><sheetData>${sheetRows}</sheetData></worksheet>` },
+  ]).then((blob) => new Blob([blob], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }));
+}
+
+// File-name safe, unique per batch ("FSR-1.pdf", "FSR-1 (2).pdf" ...)
+function uniqueNames(reports) {
+  const seen = new Map();
+  return reports.map((r) => {
+    const base = (r.form.fsrNo || r.id).replace(/[\\/:*?"<>|]+/g, "_");
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n > 1 ? `${base} (${n})` : base;
+  });
+}
+
+// ZIP with <fsrNo>.pdf (text PDF) + <fsrNo>.json per report and the summary CSV;
+// onProgress(i, n) after each report; branding as for renderVectorPDF
+export async function exportZip(reports, workingHours, { t = createTranslator(), onProgress, branding } = {}) {
+  const { renderVectorPDF } = await import("./pdfVector");
+  const names = uniqueNames(reports);
+  const files = [];
+  for (const [i, r] of reports.entries()) {
+    const timesheet = computeTimesheet(r.form, workingHours);
+    const pdf = await renderVectorPDF(r.form, { timesheet, branding });
+    files.push({ name: `${names[i]}.pdf`, data: new Uint8Array(pdf.output("arraybuffer")) });
+    const doc = serializeFSR(r.form, timesheet);
+    files.push({ name: `${names[i]}.json`, data: JSON.stringify(doc, null, 2) });
+    onProgress?.(i + 1, reports.length);
+  }
+  files.push({ name: "summary.csv", data: "\uFEFF" + toCSV(summaryRows(reports, workingHours, t)) });
+  return createZip(files);
+}
+
+// One PDF with every report, each starting on a new page with its own header/footer
+export async function exportCombinedPDF(reports, workingHours, { onProgress, branding } = {}) {
+  const { renderVectorPDF } = await import("./pdfVector");
+  let doc;
+  for (const [i, r] of reports.entries()) {
+    doc = await renderVectorPDF(r.form, { timesheet: computeTimesheet(r.form, workingHours), doc, branding });
+    onProgress?.(i + 1, reports.length);
+  }
+  return doc.output("blob");
+}
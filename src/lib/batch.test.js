@@ -0,0 +1,13 @@
+import { describe, expect, it } from "vitest";
+import { readZip, zipText } from "../test/readZip";
+import { summaryXLSX } from "./batch";
+
+describe("summaryXLSX", () => {
+  it("escapes markup and drops characters XML does not allow", async () => {
+    const sheet = zipText(await readZip(await summaryXLSX([["Customer", "Qty"], ["A & B <x>\u0007\u001b\tC", 2]])), "xl/worksheets/sheet1.xml");
+    expect(sheet).toContain("A &amp; B &lt;x&gt;\tC");
+    expect(sheet).toContain("<v>2</v>");
+    expect(sheet).not.toContain("\u0007");
+    expect(sheet).not.toContain("\u001b");
+  });
+});
@@ -0,0 +1,84 @@
+import { createTranslator } from "./i18n";
+
+// Branding & print layout, shared by the preview and every export (raster/text PDF, DOCX, HTML):
+//   pageSize "a4" | "letter", margins in mm, company letterhead + footer text,
+//   logoPlacement "left" (beside the title) | "center" | "right", logoSize in mm,
+//   accent colour of ticked job/service type chips, a DRAFT watermark while the job is Incomplete,
+//   and the report sections that start on a new page.
+const SETTINGS_KEY = "fsr_branding";
+
+export const PAGE_SIZES = {
+  a4: { label: "A4", width: 210, height: 297 },
+  letter: { label: "Letter", width: 215.9, height: 279.4 },
+};
+
+export const DEFAULT_BRANDING = {
+  pageSize: "a4",
+  margins: { top: 14, right: 14, bottom: 14, left: 14 },
+  companyName: "",
+  companyAddress: "",
+  footerText: "",
+  logoPlacement: "left",
+  logoSize: 15,
+  accent: "#000000",
+  watermark: true,
+  pageBreaks: [], // PAGE_BREAK_SECTIONS keys (pagination.js) that start on a new page
+};
+
+export function loadBranding() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    return { ...DEFAULT_BRANDING, ...saved, margins: { ...DEFAULT_BRANDING.margins, ...saved.margins } };
+  } catch {
+    return DEFAULT_BRANDING;
+  }
+}
+
+export function saveBranding(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export const pageSize = (branding) => PAGE_SIZES[branding.pageSize] || PAGE_SIZES.a4;
+
+export const mmToPx = (mm) => (mm * 96) / 25.4; // CSS px
+
+// Black or white, whichever reads better on the accent colour
+export function accentText(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) || 0);
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? "#000000" : "#ffffff";
+}
+
+export const hasLetterhead = (branding) => !!(branding.companyName.trim() || branding.companyAddress.trim());
+
+// Watermark text, or "" when the report gets none
+export function watermarkText(form, branding, t = createTranslator()) {
+  return branding.watermark && form.jobStatus.trim().toLowerCase() === "incomplete" ? t("report.draft") : "";
+}
+
+// jsPDF's built-in Helvetica only has the Windows-1252 characters; a single other character makes it
+// write the whole string as UTF-16, which that font shows as garbage. pdfText() spells out the symbols
+// the reports use, drops accents it cannot show and replaces anything else with "?".
+const CP1252_EXTRA = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
+const PDF_SUBSTITUTES = { "Ω": "Ohm", "≥": ">=", "≤": "<=", "≠": "!=", "≈": "~", "√": "v", "☑": "[x]", "☐": "[ ]", "✓": "v", "✗": "x", "→": "->", "←": "<-" };
+const pdfSafe = (c) => c.charCodeAt(0) <= 0xff || CP1252_EXTRA.includes(c);
+export function pdfText(value) {
+  if (Array.isArray(value)) return value.map(pdfText);
+  const substitute = (c) => PDF_SUBSTITUTES[c] ?? ([...c.normalize("NFKD")].filter((d) => pdfSafe(d) && !/\p{M}/u.test(d)).join("") || "?");
+  return [...String(value ?? "")].map((c) => (pdfSafe(c) ? c : substitute(c))).join("");
+}
+
+// Diagonal, translucent watermark across the current page of a jsPDF document
+export function stampWatermark(doc, text) {
+  const w = doc.internal.pageSize.getWidth();
+  const h = doc.internal.pageSize.getHeight();
+  const size = (w * doc.internal.scaleFactor) / 4.5; // pt; "DRAFT" comes out ~80% of the page width
+  doc.saveGraphicsState();
+  doc.setGState(new doc.GState({ opacity: 0.12 }));
+  doc.setFont("helvetica", "bold").setFontSize(size).setTextColor(200, 0, 0);
+  text = pdfText(text);
+  const half = doc.getTextWidth(text) / 2;
+  const a = Math.PI / 4;
+  doc.text(text, w / 2 - half * Math.cos(a), h / 2 + half * Math.sin(a), { angle: 45 });
+  doc.restoreGraphicsState();
+  doc.setFont("helvetica", "normal").setTextColor(0);
+}
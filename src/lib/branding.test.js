@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { pdfText } from "./branding";
+
+describe("pdfText", () => {
+  it("keeps Windows-1252 text as it is", () => {
+    const text = "Ground leakage 40 µA • 20 °C ± 2 – “ok” … é ü";
+    expect(pdfText(text)).toBe(text);
+  });
+
+  it("spells out symbols the built-in PDF font lacks", () => {
+    expect(pdfText("0.2 Ω")).toBe("0.2 Ohm");
+    expect(pdfText("≥ 5 MΩ")).toBe(">= 5 MOhm");
+    expect(pdfText("≤ 100 µA")).toBe("<= 100 µA");
+  });
+
+  it("drops accents it cannot show and replaces the rest", () => {
+    expect(pdfText("Şişli Ğ")).toBe("Sisli G");
+    expect(pdfText("東京")).toBe("??");
+  });
+
+  it("maps lists and empty values", () => {
+    expect(pdfText(["Ω", null])).toEqual(["Ohm", ""]);
+  });
+});
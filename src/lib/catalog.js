@@ -0,0 +1,63 @@
+import { parseCSVObjects } from "./csv";
+import { clear, getAll, put } from "./db";
+import { createTranslator } from "./i18n";
+
+// Local parts catalog (IndexedDB "catalog" store): { id, partNo, partName }, keyed by part number
+const STORE = "catalog";
+
+export const PART_STATUSES = ["New", "Replaced", "Returned (DOA)", "Ordered"];
+
+// Known statuses are translated; legacy free-text ones are shown as typed
+export const partStatusLabel = (status, t = createTranslator()) => (PART_STATUSES.includes(status) ? t(`partStatus.${status}`) : status);
+
+export async function listCatalog() {
+  const all = await getAll(STORE);
+  return all.sort((a, b) => a.partName.localeCompare(b.partName));
+}
+
+// Upserts entries; returns the number written
+export async function saveCatalogEntries(entries) {
+  for (const e of entries) await put(STORE, e);
+  return entries.length;
+}
+
+export const clearCatalog = () => clear(STORE);
+
+const NAME_KEYS = ["partname", "name", "description", "desc"];
+const NO_KEYS = ["partno", "partnumber", "number", "no", "pn", "sku"];
+const pick = (obj, keys) => String(keys.map((k) => obj[k]).find((v) => v != null && String(v).trim()) ?? "").trim();
+
+// Accepts CSV (header row with part name/number columns) or a JSON array of objects
+export function parseCatalogFile(text, fileName) {
+  let rows;
+  if (fileName.toLowerCase().endsWith(".json")) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error("Expected a JSON array of parts");
+    rows = data.map((o) => Object.fromEntries(Object.entries(o).map(([k, v]) => [k.toLowerCase().replace(/[\s_\-.]+/g, ""), v])));
+  } else {
+    rows = parseCSVObjects(text);
+  }
+  const entries = rows
+    .map((r) => ({ partNo: pick(r, NO_KEYS), partName: pick(r, NAME_KEYS) }))
+    .filter((e) => e.partNo && e.partName)
+    .map((e) => ({ id: e.partNo, ...e }));
+  if (!entries.length) throw new Error("No parts found (need part name and part number columns)");
+  return entries;
+}
+
+// Quantity as typed, with a decimal point or (Indonesian and other locales) a decimal comma:
+// "2", "2.5", "2,5" -> number; anything else (thousands separators, units, "") -> NaN
+export function parseQty(qty) {
+  const s = String(qty ?? "").trim();
+  return /^\d+([.,]\d+)?$/.test(s) ? Number(s.replace(",", ".")) : NaN;
+}
+
+// Positive number; empty counts as not filled in
+export const isValidQty = (qty) => parseQty(qty) > 0;
+
+export function partsTotal(parts) {
+  const total = parts.reduce((s, p) => s + (isValidQty(p.qty) ? parseQty(p.qty) : 0), 0);
+  return Math.round(total * 1000) / 1000; // 0.1 + 0.2 shows as 0.3
+}
+
+export const isPartFilled = (p) => p.partName || p.partNo || p.qty || p.status;
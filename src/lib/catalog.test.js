@@ -0,0 +1,20 @@
+import { describe, expect, it } from "vitest";
+import { isValidQty, parseQty, partsTotal } from "./catalog";
+
+describe("quantities", () => {
+  it("accept a decimal point or a decimal comma", () => {
+    expect(parseQty("2")).toBe(2);
+    expect(parseQty(" 1,5 ")).toBe(1.5);
+    expect(parseQty("0.25")).toBe(0.25);
+  });
+
+  it("reject thousands separators, units and empty input", () => {
+    for (const qty of ["1.000,5", "1,000.5", "2 pcs", "-1", "", null]) expect(parseQty(qty)).toBeNaN();
+    expect(isValidQty("0")).toBe(false);
+    expect(isValidQty("1,5")).toBe(true);
+  });
+
+  it("totals only valid quantities without float noise", () => {
+    expect(partsTotal([{ qty: "0,1" }, { qty: "0.2" }, { qty: "x" }, { qty: "" }])).toBe(0.3);
+  });
+});
@@ -0,0 +1,61 @@
+// Small RFC 4180 CSV reader/writer (quoted fields, "" escapes, CRLF or LF). Files use "," or (from
+// spreadsheets in decimal-comma locales) ";" as the separator; the other character is ordinary text.
+
+// Separator of the header row: whichever of "," and ";" occurs more often outside quotes ("," on a tie)
+export function detectDelimiter(text) {
+  const counts = { ",": 0, ";": 0 };
+  let quoted = false;
+  for (const c of text) {
+    if (c === '"') quoted = !quoted;
+    else if (!quoted && (c === "\n" || c === "\r")) break;
+    else if (!quoted && c in counts) counts[c]++;
+  }
+  return counts[";"] > counts[","] ? ";" : ",";
+}
+
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+// First row = header; returns objects keyed by normalised header (lowercase, no spaces/_/-)
+export function parseCSVObjects(text) {
+  const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  const keys = header.map(normalizeHeader);
+  return rows.map((r) => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? "").trim()])));
+}
+
+export function normalizeHeader(h) {
+  return h.trim().toLowerCase().replace(/[\s_\-.]+/g, "");
+}
+
+export function toCSV(rows) {
+  return rows
+    .map((r) => r.map((v) => (/[",;\n\r]/.test(String(v ?? "")) ? `"${String(v).replace(/"/g, '""')}"` : String(v ?? ""))).join(","))
+    .join("\r\n");
+}
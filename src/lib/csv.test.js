@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { detectDelimiter, parseCSV, parseCSVObjects, toCSV } from "./csv";
+
+describe("parseCSV", () => {
+  it("keeps semicolons as text in a comma-separated file", () => {
+    expect(parseCSV("partNo,partName\n123,Fuse 5A; slow blow\n")).toEqual([
+      ["partNo", "partName"],
+      ["123", "Fuse 5A; slow blow"],
+    ]);
+  });
+
+  it("keeps commas as text in a semicolon-separated file", () => {
+    expect(parseCSV("partNo;partName;qty\r\n123;Fuse, slow blow;1,5\r\n")).toEqual([
+      ["partNo", "partName", "qty"],
+      ["123", "Fuse, slow blow", "1,5"],
+    ]);
+  });
+
+  it("handles quoted fields, escaped quotes and line breaks in quotes", () => {
+    expect(parseCSV('a,b\n"x, ""y""","line 1\nline 2"')).toEqual([
+      ["a", "b"],
+      ['x, "y"', "line 1\nline 2"],
+    ]);
+  });
+
+  it("skips blank rows", () => {
+    expect(parseCSV("a,b\n\n1,2\n,\n")).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+});
+
+describe("detectDelimiter", () => {
+  it("counts only the header row, outside quotes", () => {
+    expect(detectDelimiter('"a;b;c",d\n1;2;3;4')).toBe(",");
+    expect(detectDelimiter("a;b;c\n1,2,3")).toBe(";");
+    expect(detectDelimiter("single\nx")).toBe(",");
+  });
+});
+
+describe("parseCSVObjects", () => {
+  it("normalises headers and drops a BOM", () => {
+    expect(parseCSVObjects("﻿Part No;Part_Name\n 123 ;Fuse")).toEqual([{ partno: "123", partname: "Fuse" }]);
+  });
+});
+
+describe("toCSV", () => {
+  it("quotes values containing separators, quotes or line breaks and round-trips", () => {
+    const rows = [
+      ["a", "b;c", 'say "hi"'],
+      ["1,5", "x\ny", null],
+    ];
+    const text = toCSV(rows);
+    expect(text).toBe('a,"b;c","say ""hi"""\r\n"1,5","x\ny",');
+    expect(parseCSV(text)).toEqual([
+      ["a", "b;c", 'say "hi"'],
+      ["1,5", "x\ny", ""],
+    ]);
+  });
+});
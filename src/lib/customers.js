@@ -0,0 +1,109 @@
+import { parseCSVObjects, toCSV } from "./csv";
+import { del, getAll, put } from "./db";
+
+// Customer / installed-base registry (IndexedDB "customers"):
+//   { id, name, address, contacts: [{ name, phone }], systems: [{ modality, model, serialNo, productNo }] }
+// Customers are matched by name, contacts by name and systems by serial number (all case-insensitive).
+const STORE = "customers";
+
+const norm = (s) => String(s ?? "").trim().toLowerCase();
+
+function newId() {
+  return crypto.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+export async function listCustomers() {
+  const all = await getAll(STORE);
+  return all.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export const saveCustomer = (customer) => put(STORE, customer);
+export const deleteCustomer = (id) => del(STORE, id);
+
+export const findCustomer = (customers, name) => customers.find((c) => norm(c.name) === norm(name) && norm(name));
+export const findContact = (customer, name) => customer?.contacts.find((c) => norm(c.name) === norm(name) && norm(name));
+export const findSystem = (customer, serialNo) => customer?.systems.find((s) => norm(s.serialNo) === norm(serialNo) && norm(serialNo));
+
+// Customer whose installed base has this serial number, if any
+export function findSerialOwner(customers, serialNo) {
+  return customers.find((c) => findSystem(c, serialNo));
+}
+
+// Adds the contact/system when new; known ones get their details updated
+function merge(customer, { address, contacts = [], systems = [] }) {
+  const next = structuredClone(customer);
+  if (address) next.address = address;
+  for (const ct of contacts) {
+    const hit = findContact(next, ct.name);
+    if (hit) Object.assign(hit, { phone: ct.phone || hit.phone });
+    else if (norm(ct.name)) next.contacts.push(ct);
+  }
+  for (const sys of systems) {
+    const hit = findSystem(next, sys.serialNo);
+    if (hit) for (const k of ["modality", "model", "productNo"]) hit[k] = sys[k] || hit[k];
+    else if (norm(sys.serialNo)) next.systems.push(sys);
+  }
+  return next;
+}
+
+// Creates/updates the registry entry for a report's customer, contact and system; returns it
+export function customerFromForm(customers, form) {
+  const existing = findCustomer(customers, form.customerName);
+  return merge(existing || { id: newId(), name: form.customerName.trim(), address: "", contacts: [], systems: [] }, {
+    address: form.address.trim(),
+    contacts: [{ name: form.contactPerson.trim(), phone: form.phone.trim() }],
+    systems: [{ modality: form.modality.trim(), model: form.model.trim(), serialNo: form.serialNo.trim(), productNo: form.productNo.trim() }],
+  });
+}
+
+// Form fields filled by picking a customer (first contact, and the system if it has only one)
+export function customerFields(customer) {
+  const [contact] = customer.contacts;
+  return {
+    customerName: customer.name,
+    address: customer.address,
+    contactPerson: contact?.name ?? "",
+    phone: contact?.phone ?? "",
+    ...(customer.systems.length === 1 ? systemFields(customer.systems[0]) : {}),
+  };
+}
+
+export const contactFields = (contact) => ({ contactPerson: contact.name, phone: contact.phone });
+export const systemFields = (sys) => ({ modality: sys.modality, model: sys.model, serialNo: sys.serialNo, productNo: sys.productNo });
+
+// CSV: one row per contact and/or system, customer columns repeated on each row
+const CSV_HEADER = ["Customer", "Address", "Contact", "Phone", "Modality", "Model", "Serial No", "Product No"];
+
+export function customersToCSV(customers) {
+  const rows = customers.flatMap((c) => {
+    const n = Math.max(1, c.contacts.length, c.systems.length);
+    return Array.from({ length: n }, (_, i) => {
+      const ct = c.contacts[i] || {};
+      const sys = c.systems[i] || {};
+      return [c.name, c.address, ct.name, ct.phone, sys.modality, sys.model, sys.serialNo, sys.productNo];
+    });
+  });
+  return toCSV([CSV_HEADER, ...rows]);
+}
+
+// Merges CSV rows into the registry; returns the changed/new customers (not saved yet)
+export function parseCustomersCSV(text, customers) {
+  const rows = parseCSVObjects(text);
+  const byName = new Map(customers.map((c) => [norm(c.name), c]));
+  const changed = new Set();
+  for (const r of rows) {
+    const name = r.customer || r.customername || r.name || "";
+    if (!norm(name)) continue;
+    const key = norm(name);
+    const cur = byName.get(key) || { id: newId(), name: name.trim(), address: "", contacts: [], systems: [] };
+    const next = merge(cur, {
+      address: r.address,
+      contacts: [{ name: r.contact || r.contactperson || "", phone: r.phone || "" }],
+      systems: [{ modality: r.modality || "", model: r.model || "", serialNo: r.serialno || r.serial || r.sn || "", productNo: r.productno || r.pn || "" }],
+    });
+    byName.set(key, next);
+    changed.add(key);
+  }
+  if (!changed.size) throw new Error("No customers found (need a Customer column)");
+  return [...changed].map((k) => byName.get(k));
+}
@@ -0,0 +1,39 @@
+// Minimal IndexedDB wrapper (no extra deps). Every store uses `id` as key.
+const DB_NAME = "fsr_gen";
+const DB_VERSION = 7;
+const STORES = ["reports", "catalog", "templates", "outbox", "customers", "history", "faultCodes"];
+
+let dbPromise;
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const name of STORES) if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+function tx(store, mode, fn) {
+  return openDB().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const t = db.transaction(store, mode);
+        const req = fn(t.objectStore(store));
+        t.oncomplete = () => resolve(req?.result);
+        t.onerror = () => reject(t.error);
+        t.onabort = () => reject(t.error);
+      })
+  );
+}
+
+export const getAll = (store) => tx(store, "readonly", (s) => s.getAll());
+export const get = (store, id) => tx(store, "readonly", (s) => s.get(id));
+export const put = (store, value) => tx(store, "readwrite", (s) => s.put(value));
+export const del = (store, id) => tx(store, "readwrite", (s) => s.delete(id));
+export const clear = (store) => tx(store, "readwrite", (s) => s.clear());
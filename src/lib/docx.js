@@ -0,0 +1,491 @@
+// Word (.docx) export laid out like the preview: header with the timing box, customer table,
+// job/service types as checkboxes, bordered Problem/Action boxes, parts table, photo grid and
+// signature block. The WordprocessingML is written by hand and packed with createZip; images
+// go to word/media (PNG/JPEG as they are, other formats re-encoded to PNG). Page size, margins,
+// letterhead, footer, logo, accent and the DRAFT watermark follow the branding settings.
+import { flattenPhotos } from "./annotate";
+import { accentText, hasLetterhead, loadBranding, pageSize, watermarkText } from "./branding";
+import { isPartFilled, partStatusLabel, partsTotal } from "./catalog";
+import { FAULT_CATEGORIES, faultText, hasFaultCodes } from "./faultCodes";
+import { numberWithRevision, sealText } from "./finalize";
+import { createTranslator, formatDate, formatDateTime, localize } from "./i18n";
+import { groupChecklist, isOutOfTolerance, resultLabel, summarizeChecklist, toleranceText } from "./pmChecklist";
+import { sessionPeriod, sessionRows } from "./sessions";
+import { fieldLabel, formatCustomValue, reportSections, typeLabel } from "./templates";
+import { formatMinutes } from "./timesheet";
+import { createZip } from "./zip";
+
+// Sizes in twips (1/20 pt)
+const TWIPS_PER_MM = 1440 / 25.4;
+const twips = (mm) => Math.round(mm * TWIPS_PER_MM);
+const CELL_PAD = 80;
+const EMU_PER_TWIP = 635;
+const BORDER = "BFBFBF";
+const MUTED = "6B7280";
+const SMALL = 16; // half-points
+
+// Control characters (pasted from other tools) are not allowed in XML 1.0; Word/Excel reject the file
+// eslint-disable-next-line no-control-regex
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+const xml = (s) => String(s).replace(INVALID_XML, "").replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+
+function run(text, { bold, size, color, fill } = {}) {
+  const props = [
+    bold && "<w:b/>",
+    color && `<w:color w:val="${color}"/>`,
+    size && `<w:sz w:val="${size}"/>`,
+    fill && `<w:shd w:val="clear" w:color="auto" w:fill="${fill}"/>`,
+  ]
+    .filter(Boolean)
+    .join("");
+  const body = String(text ?? "")
+    .split("\n")
+    .map((line) => `<w:t xml:space="preserve">${xml(line)}</w:t>`)
+    .join("<w:br/>");
+  return `<w:r>${props && `<w:rPr>${props}</w:rPr>`}${body}</w:r>`;
+}
+
+function para(runs, { align, before = 0, after = 0, topBorder } = {}) {
+  const props = [
+    topBorder && `<w:pBdr><w:top w:val="single" w:sz="4" w:space="4" w:color="${topBorder}"/></w:pBdr>`,
+    `<w:spacing w:before="${before}" w:after="${after}"/>`,
+    align && `<w:jc w:val="${align}"/>`,
+  ];
+  return `<w:p><w:pPr>${props.filter(Boolean).join("")}</w:pPr>${[runs].flat().join("")}</w:p>`;
+}
+
+const bold = (text) => para(run(text, { bold: true }));
+const GAP = para([], { after: 120 });
+const PAGE_BREAK = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+const BORDERS = `<w:tcBorders>${["top", "left", "bottom", "right"].map((side) => `<w:${side} w:val="single" w:sz="4" w:color="${BORDER}"/>`).join("")}</w:tcBorders>`;
+
+// A table cell must end with a paragraph
+function cell(blocks, width, { border, fill, span } = {}) {
+  const body = [blocks].flat().filter(Boolean);
+  if (!body.length || body.at(-1).startsWith("<w:tbl>")) body.push("<w:p/>");
+  const props = [
+    `<w:tcW w:w="${width}" w:type="dxa"/>`,
+    span > 1 && `<w:gridSpan w:val="${span}"/>`,
+    border && BORDERS,
+    fill && `<w:shd w:val="clear" w:color="auto" w:fill="${fill}"/>`,
+  ];
+  return `<w:tc><w:tcPr>${props.filter(Boolean).join("")}</w:tcPr>${body.join("")}</w:tc>`;
+}
+
+// rows: [[cell, ...]]; a cell is block XML (string / array) or { content, span, fill }
+function table(widths, rows, { border = false, minHeight, header = false, keepRows = false } = {}) {
+  const grid = widths.map((w) => `<w:gridCol w:w="${w}"/>`).join("");
+  const trs = rows.map((cells, r) => {
+    let col = 0;
+    const tcs = cells.map((c) => {
+      const spec = typeof c === "string" || Array.isArray(c) ? { content: c } : c;
+      const span = spec.span || 1;
+      const width = widths.slice(col, col + span).reduce((a, b) => a + b, 0);
+      col += span;
+      return cell(spec.content, width, { border, fill: spec.fill, span });
+    });
+    const props = [keepRows && "<w:cantSplit/>", minHeight && `<w:trHeight w:val="${minHeight}" w:hRule="atLeast"/>`, header && r === 0 && "<w:tblHeader/>"];
+    return `<w:tr><w:trPr>${props.filter(Boolean).join("")}</w:trPr>${tcs.join("")}</w:tr>`;
+  });
+  const pad = ["top", "left", "bottom", "right"].map((side) => `<w:${side} w:w="${side === "top" || side === "bottom" ? 40 : CELL_PAD}" w:type="dxa"/>`).join("");
+  const total = widths.reduce((a, b) => a + b, 0);
+  return `<w:tbl><w:tblPr><w:tblW w:w="${total}" w:type="dxa"/><w:tblLayout w:type="fixed"/><w:tblCellMar>${pad}</w:tblCellMar></w:tblPr><w:tblGrid>${grid}</w:tblGrid>${trs.join("")}</w:tbl>`;
+}
+
+// Bordered single-cell box with a bold title (Problem/Action, checklist, photos ...)
+const box = (title, blocks, { width, minHeight }) => table([width], [[[bold(title), ...[blocks].flat()]]], { border: true, minHeight });
+
+// Splits widths so the columns fill `total` (0 = share of the rest)
+function fill(total, widths) {
+  const fixed = widths.reduce((a, b) => a + b, 0);
+  const flex = widths.filter((w) => !w).length;
+  return widths.map((w) => w || Math.floor((total - fixed) / flex));
+}
+
+// Pixel size from PNG / JPEG headers
+function imageSize(bytes, type) {
+  const v = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (type === "image/png") return { width: v.getUint32(16), height: v.getUint32(20) };
+  for (let i = 2; i + 9 < bytes.length; ) {
+    const marker = v.getUint8(i + 1);
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) return { width: v.getUint16(i + 7), height: v.getUint16(i + 5) };
+    i += 2 + v.getUint16(i + 2);
+  }
+  return null;
+}
+
+async function toPNG(src) {
+  const img = new Image();
+  img.src = src;
+  await img.decode();
+  const canvas = document.createElement("canvas");
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  canvas.getContext("2d").drawImage(img, 0, 0);
+  return canvas.toDataURL("image/png");
+}
+
+// Collects the embedded images; picture(src, maxW, maxH) -> inline drawing run fitted to the box
+function createMedia() {
+  const files = [];
+
+  const picture = async (src, maxW, maxH) => {
+    if (!src) return "";
+    try {
+      let blob = await (await fetch(src)).blob();
+      if (!["image/png", "image/jpeg"].includes(blob.type)) blob = await (await fetch(await toPNG(src))).blob();
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      const size = imageSize(bytes, blob.type);
+      if (!size) return "";
+      const scale = Math.min(maxW / size.width, maxH / size.height);
+      const cx = Math.round(size.width * scale * EMU_PER_TWIP);
+      const cy = Math.round(size.height * scale * EMU_PER_TWIP);
+      const id = files.length + 1;
+      files.push({ name: `media/image${id}.${blob.type === "image/png" ? "png" : "jpeg"}`, data: bytes });
+      const rel = `rImg${id}`;
+      return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${id}" name="Picture ${id}"/><a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic><pic:nvPicPr><pic:cNvPr id="${id}" name="image${id}"/><pic:cNvPicPr/></pic:nvPicPr><pic:blipFill><a:blip r:embed="${rel}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill><pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`;
+    } catch (e) {
+      console.warn("Skipping image the DOCX export cannot embed", e);
+      return "";
+    }
+  };
+
+  return { files, picture };
+}
+
+// opts.timesheet: computeTimesheet() result shown in the timing box; opts.branding: print layout
+// (saved settings by default). Text in the report language. Returns a .docx Blob.
+export async function renderDOCX(form, { timesheet, branding = loadBranding() } = {}) {
+  const t = createTranslator(form.reportLang);
+  const label = (key) => fieldLabel(form, key, t);
+  const minutes = (min) => formatMinutes(min, t);
+  const media = createMedia();
+  const body = [];
+  const contentW = twips(pageSize(branding).width - branding.margins.left - branding.margins.right);
+  const half = Math.floor(contentW / 2);
+  const breakBefore = (section) => branding.pageBreaks.includes(section) && body.push(PAGE_BREAK);
+  const inner = (w) => w - CELL_PAD * 2;
+  const accent = branding.accent.replace("#", "").toUpperCase();
+
+  // Letterhead: company name/address, with the logo when it is not beside the title
+  const logoW = twips(branding.logoSize);
+  const logo = await media.picture(form.logo, logoW, logoW);
+  const placement = branding.logoPlacement;
+  if (hasLetterhead(branding) || (logo && placement !== "left")) {
+    const align = placement === "center" ? "center" : undefined;
+    const company = [
+      branding.companyName && para(run(branding.companyName, { bold: true, size: 22 }), { align }),
+      branding.companyAddress && para(run(branding.companyAddress, { size: SMALL, color: MUTED }), { align }),
+    ].filter(Boolean);
+    if (placement === "center") body.push(...(logo ? [para(logo, { align })] : []), ...company);
+    else if (placement === "right" && logo) body.push(table([contentW - logoW - CELL_PAD * 2, logoW + CELL_PAD * 2], [[company, para(logo, { align: "right" })]]));
+    else body.push(...company);
+    body.push(para([], { after: 120, topBorder: BORDER }));
+  }
+
+  // Header: logo + title + number | timing box
+  const boxW = 3600;
+  const titleW = contentW - boxW;
+  const title = [para(run(t("report.title"), { bold: true, size: 28 })), para(run(numberWithRevision(form, t), { color: MUTED, size: SMALL }))];
+  const timing = [
+    [{ content: bold(t("report.swoNo")), span: 2 }, para(run(form.swoNo))],
+    ...["startTravel", "arrived", "workStart", "workFinish"].map((step) => [
+      bold(t(`report.${step}`)),
+      para(run(form[`${step}Date`] && formatDate(form[`${step}Date`], t.lang))),
+      para(run(form[`${step}Time`])),
+    ]),
+    [bold(t("report.breakdown")), { content: para(run(form.breakdown)), span: 2 }],
+    ...(timesheet
+      ? [
+          [bold(t("report.travel")), { content: para(run(minutes(timesheet.travelMin))), span: 2 }],
+          [bold(t("report.waiting")), { content: para(run(minutes(timesheet.waitingMin))), span: 2 }],
+          [
+            bold(t("report.work")),
+            {
+              content: para([run(minutes(timesheet.workMin)), timesheet.breakMin > 0 && run(` (${t("report.breaks", { time: minutes(timesheet.breakMin) })})`, { color: MUTED })].filter(Boolean)),
+              span: 2,
+            },
+          ],
+          ...(timesheet.overtime ? [[bold(t("report.overtime")), { content: bold(minutes(timesheet.overtimeMin)), span: 2 }]] : []),
+        ]
+      : []),
+  ];
+  body.push(
+    table(
+      [titleW, boxW],
+      [
+        [
+          logo && placement === "left" ? table([logoW + CELL_PAD * 2, titleW - logoW - CELL_PAD * 4], [[para(logo), title]]) : title,
+          { content: table(fill(inner(boxW), [0, 1000, 800]), timing) },
+        ],
+      ]
+    )
+  );
+  breakBefore("customer");
+  body.push(
+    table(
+      [2700, 5400],
+      [
+        [bold(label("customerName")), para(run(form.customerName))],
+        [bold(label("address")), para(run(form.address))],
+        [bold(label("contactPerson")), para(run([form.contactPerson, form.phone && `(${t("report.tel")}: ${form.phone})`].filter(Boolean).join(" ")))],
+        [bold(label("modality")), para(run(form.modality))],
+        [bold(label("model")), para(run(form.model))],
+        [bold(label("serialNo")), para(run(form.serialNo))],
+        [bold(label("productNo")), para(run(form.productNo))],
+      ]
+    ),
+    GAP
+  );
+
+  // Job / service types as checkboxes
+  const checks = (group) =>
+    para(
+      Object.entries(form[group]).flatMap(([k, on]) => [
+        run(` ${on ? "☒" : "☐"} ${typeLabel(form, group, k, t)} `, on ? { bold: true, fill: accent, color: accentText(branding.accent).slice(1) } : { color: MUTED }),
+        run("   "),
+      ]),
+      { before: 40 }
+    );
+
+  // Report body in the order of the template's layout (templates.js reportSections)
+  const sections = {
+    types() {
+      breakBefore("types");
+      body.push(
+        table([half, half], [[[bold(`${t("report.jobType")} :`), checks("jobTypes")], [bold(`${t("report.serviceType")} :`), checks("serviceTypes")]]], { border: true }),
+        GAP
+      );
+    },
+    problemAction() {
+      breakBefore("problem");
+      body.push(box(`${t("report.problem")} :`, para(run(form.problem), { before: 80 }), { width: contentW, minHeight: 1800 }), GAP);
+      breakBefore("action");
+      body.push(box(`${t("report.action")} :`, para(run(form.action), { before: 80 }), { width: contentW, minHeight: 1800 }), GAP);
+
+      if (hasFaultCodes(form)) {
+        const rows = FAULT_CATEGORIES.filter((c) => form.faultCodes[c]).map((c) => [bold(t(`fault.${c}`)), para(run(faultText(form.faultCodes[c])))]);
+        body.push(box(`${t("report.faultCodes")} :`, table(fill(inner(contentW), [2200, 0]), rows), { width: contentW }), GAP);
+      }
+    },
+    sessions() {
+      if (!form.sessions.length) return;
+      breakBefore("sessions");
+      const head = [t("report.no"), t("report.period"), t("report.engineer"), t("report.action"), t("report.status"), t("report.travel"), t("report.work")];
+      const rows = sessionRows(form, timesheet).map(({ session: s, figures }, i) => [
+        para(run(String(i + 1)), { align: "center" }),
+        para(run(sessionPeriod(s, t.lang))),
+        para(run(s.engineer)),
+        para(run(s.action)),
+        para(run(s.status)),
+        para(run(minutes(figures?.travelMin)), { align: "center" }),
+        para(run(minutes(figures?.workMin)), { align: "center" }),
+      ]);
+      if (timesheet) {
+        rows.push([
+          { content: para(run(t("report.total"), { bold: true }), { align: "right" }), span: 5, fill: "F9FAFB" },
+          { content: para(run(minutes(timesheet.travelMin), { bold: true }), { align: "center" }), fill: "F9FAFB" },
+          { content: para(run(minutes(timesheet.workMin), { bold: true }), { align: "center" }), fill: "F9FAFB" },
+        ]);
+      }
+      const widths = fill(inner(contentW), [480, 2200, 1400, 0, 1200, 1000, 1000]);
+      body.push(box(`${t("report.sessions")} :`, table(widths, [head.map((h) => ({ content: bold(h), fill: "F3F4F6" })), ...rows], { border: true, header: true }), { width: contentW }), GAP);
+    },
+    pmChecklist() {
+      if (!(form.jobTypes.preventive && form.pmChecklist.length)) return;
+      breakBefore("pmChecklist");
+      const sum = summarizeChecklist(form.pmChecklist);
+      const counts = [
+        t("pm.countPass", { n: sum.pass }),
+        t("pm.countFail", { n: sum.fail }),
+        t("pm.countNa", { n: sum.na }),
+        sum.open && t("pm.open", { n: sum.open }),
+        sum.outOfTolerance && t("pm.outCount", { n: sum.outOfTolerance }),
+      ];
+      const head = [t("report.item"), t("report.result"), t("report.measured"), t("report.tolerance"), t("report.remark")];
+      const rows = groupChecklist(form.pmChecklist, t).flatMap(([group, items]) => [
+        [{ content: bold(group), span: 5, fill: "F9FAFB" }],
+        ...items.map((it) => [
+          para(run(it.item)),
+          para(run(resultLabel(it.result, t), it.result === "fail" ? { bold: true, color: "B91C1C" } : {}), { align: "center" }),
+          isOutOfTolerance(it)
+            ? { content: para(run(`${it.value} ${it.unit}`, { bold: true, color: "B91C1C" }), { align: "center" }), fill: "FEE2E2" }
+            : para(run(it.value && `${it.value} ${it.unit}`), { align: "center" }),
+          para(run(toleranceText(it)), { align: "center" }),
+          para(run(it.remark)),
+        ]),
+      ]);
+      body.push(
+        box(
+          `${t("report.pmChecklist")} :`,
+          [
+            para(run(counts.filter(Boolean).join(" • "), { size: SMALL, color: MUTED }), { after: 60 }),
+            table(fill(inner(contentW), [0, 720, 1440, 1440, 0]), [head.map((h) => ({ content: bold(h), fill: "F3F4F6" })), ...rows], { border: true, header: true }),
+          ],
+          { width: contentW }
+        ),
+        GAP
+      );
+    },
+    // Job status + parts | condition when leaving
+    parts() {
+      const parts = form.parts.filter(isPartFilled);
+      const partsTable = table(
+        fill(inner(half), [500, 0, 1300, 500, 1100]),
+        [
+          [t("report.no"), t("field.partName"), t("field.partNo"), t("field.qty"), t("field.status")].map((h) => ({ content: bold(h), fill: "F3F4F6" })),
+          ...parts.map((p, i) => [para(run(i + 1), { align: "center" }), para(run(p.partName)), para(run(p.partNo)), para(run(p.qty), { align: "center" }), para(run(partStatusLabel(p.status, t)))]),
+          ...(parts.length
+            ? [[{ content: para(run(t("report.total"), { bold: true }), { align: "right" }), span: 3, fill: "F9FAFB" }, { content: para(run(partsTotal(form.parts), { bold: true }), { align: "center" }), fill: "F9FAFB" }, { content: "", fill: "F9FAFB" }]]
+            : [[{ content: para(run("-"), { align: "center" }), span: 5 }]]),
+        ],
+        { border: true, header: true }
+      );
+      breakBefore("parts");
+      body.push(
+        table(
+          [half, half],
+          [
+            [
+              [
+                bold(`${t("report.jobStatus")} :`),
+                para(run(form.jobStatus)),
+                para(run(`${t("report.partsUsed")}:`, { bold: true }), { before: 120, after: 40 }),
+                partsTable,
+                para([run(`${t("report.status")} : `), run(form.statusChargeable, { bold: true })], { before: 120 }),
+              ],
+              [bold(`${t("report.conditionWhenLeave")} :`), para(run(form.conditionWhenLeave))],
+            ],
+          ],
+          { border: true, minHeight: 1800 }
+        ),
+        GAP
+      );
+    },
+    // Photo grid, two per row (16:9 frames like the preview)
+    async photos() {
+      if (!form.photos.length) return;
+      breakBefore("photos");
+      const cellW = inner(contentW) / 2;
+      const photos = await flattenPhotos(form.photos);
+      const rows = [];
+      for (let i = 0; i < photos.length; i += 2) {
+        const row = [];
+        for (const [j, ph] of photos.slice(i, i + 2).entries()) {
+          const img = await media.picture(ph.src, inner(cellW), inner(cellW) * 0.5625);
+          row.push([para(img, { align: "center" }), ph.caption && para(run(`${i + j + 1}. ${ph.caption}`, { size: SMALL }), { before: 40 })]);
+        }
+        if (row.length < 2) row.push("");
+        rows.push(row);
+      }
+      body.push(box(t("report.photos"), table([cellW, cellW], rows, { border: true, keepRows: true }), { width: contentW }), GAP);
+    },
+  };
+  // Template's own sections: label/value pairs two per row, long text on a row of its own
+  const templateSection = (sec) => {
+    const rows = [];
+    let pending = null;
+    for (const f of sec.fields) {
+      const pair = [bold(localize(f.label, t.lang)), para(run(formatCustomValue(f, form.custom[f.key], t)))];
+      if (f.type === "textarea") {
+        if (pending) rows.push([...pending, "", ""]);
+        pending = null;
+        rows.push([pair[0], { content: pair[1], span: 3 }]);
+      } else if (pending) {
+        rows.push([...pending, ...pair]);
+        pending = null;
+      } else pending = pair;
+    }
+    if (pending) rows.push([...pending, "", ""]);
+    body.push(box(`${localize(sec.title, t.lang)} :`, table(fill(inner(contentW), [0, 0, 0, 0]), rows), { width: contentW }), GAP);
+  };
+  for (const s of reportSections(form.template)) {
+    if (typeof s === "string") await sections[s]();
+    else templateSection(s);
+  }
+
+  // Signatures
+  const signers = [
+    { src: form.fseSign, name: form.fseName || t("field.fseName") },
+    { src: form.trainerSign, name: form.trainerName || t("field.trainerName") },
+    {
+      src: form.customerSign,
+      name: form.customerSignName || t("report.customer"),
+      lines: [form.customerSignTitle, form.customerSignedAt && formatDateTime(...form.customerSignedAt.split("T"), t.lang)].filter(Boolean),
+    },
+  ];
+  breakBefore("signatures");
+  const signW = Math.floor(contentW / 3);
+  const signCells = [];
+  for (const s of signers) {
+    const img = await media.picture(s.src, signW - 800, 960);
+    signCells.push([
+      para(img, { align: "center", before: 600 }),
+      para(run(s.name), { align: "center", before: 120, topBorder: "9CA3AF" }),
+      ...(s.lines || []).map((line) => para(run(line, { size: SMALL, color: MUTED }), { align: "center" })),
+    ]);
+  }
+  body.push(table([signW, signW, signW], [signCells], { keepRows: true }));
+
+  body.push(form.finalized ? para(run(sealText(form, t), { size: 14, color: MUTED }), { before: 360, topBorder: BORDER }) : "<w:p/>");
+
+  return packDocx(body.join(""), media.files, { lang: t.lang, branding, watermark: watermarkText(form, branding, t) });
+}
+
+// Footer part: the branding footer text on every page
+const footerXml = (text) => text.split("\n").map((line) => para(run(line, { size: 14, color: MUTED }), { align: "center" })).join("");
+
+// Header part with a diagonal WordArt-style watermark (the VML shape Word itself writes)
+const watermarkXml = (text) =>
+  `<w:p><w:r><w:pict><v:shapetype id="_x0000_t136" coordsize="21600,21600" o:spt="136" adj="10800" path="m@7,l@8,m@5,21600l@6,21600e"><v:formulas>${[
+    "sum #0 0 10800", "prod #0 2 1", "sum 21600 0 @1", "sum 0 0 @2", "sum 21600 0 @3", "if @0 @3 0", "if @0 21600 @1",
+    "if @0 0 @2", "if @0 @4 21600", "mid @5 @6", "mid @8 @5", "mid @7 @8", "mid @6 @7", "sum @6 0 @5",
+  ].map((eqn) => `<v:f eqn="${eqn}"/>`).join("")}</v:formulas><v:path textpathok="t" o:connecttype="custom" o:connectlocs="@9,0;@10,10800;@11,21600;@12,10800" o:connectangles="270,180,90,0"/><v:textpath on="t" fitshape="t"/><o:lock v:ext="edit" text="t" shapetype="t"/></v:shapetype>` +
+  `<v:shape id="Watermark" o:spid="_x0000_s1025" type="#_x0000_t136" style="position:absolute;margin-left:0;margin-top:0;width:420pt;height:140pt;rotation:315;z-index:-251657216;mso-position-horizontal:center;mso-position-horizontal-relative:margin;mso-position-vertical:center;mso-position-vertical-relative:margin" fillcolor="#C80000" stroked="f"><v:fill opacity=".15"/><v:textpath style="font-family:&quot;Arial&quot;;font-size:1pt;font-weight:bold" string="${xml(text)}"/></v:shape></w:pict></w:r></w:p>`;
+
+function packDocx(bodyXml, mediaFiles, { lang, branding, watermark }) {
+  const head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const rel = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  const pkgRels = "http://schemas.openxmlformats.org/package/2006/relationships";
+  const ns = [
+    'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+    `xmlns:r="${rel}"`,
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+    'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"',
+    'xmlns:v="urn:schemas-microsoft-com:vml"',
+    'xmlns:o="urn:schemas-microsoft-com:office:office"',
+  ].join(" ");
+  const size = pageSize(branding);
+  const m = branding.margins;
+  const parts = [
+    watermark && { id: "rHeader", kind: "header", root: "hdr", body: watermarkXml(watermark) },
+    branding.footerText.trim() && { id: "rFooter", kind: "footer", root: "ftr", body: footerXml(branding.footerText) },
+  ].filter(Boolean);
+  const section =
+    `<w:sectPr>${parts.map((p) => `<w:${p.kind}Reference w:type="default" r:id="${p.id}"/>`).join("")}` +
+    `<w:pgSz w:w="${twips(size.width)}" w:h="${twips(size.height)}"/>` +
+    `<w:pgMar w:top="${twips(m.top)}" w:right="${twips(m.right)}" w:bottom="${twips(m.bottom)}" w:left="${twips(m.left)}" w:header="${twips(m.top / 2)}" w:footer="${twips(m.bottom / 2)}" w:gutter="0"/></w:sectPr>`;
+  const imageRels = mediaFiles.map((f, i) => `<Relationship Id="rImg${i + 1}" Type="${rel}/image" Target="${f.name}"/>`).join("");
+  const partRels = parts.map((p) => `<Relationship Id="${p.id}" Type="${rel}/${p.kind}" Target="${p.kind}1.xml"/>`).join("");
+  const partTypes = parts.map((p) => `<Override PartName="/word/${p.kind}1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.${p.kind}+xml"/>`).join("");
+
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      data: `${head}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Default Extension="png" ContentType="image/png"/><Default Extension="jpeg" ContentType="image/jpeg"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>${partTypes}</Types>`,
+    },
+    { name: "_rels/.rels", data: `${head}<Relationships xmlns="${pkgRels}"><Relationship Id="rId1" Type="${rel}/officeDocument" Target="word/document.xml"/></Relationships>` },
+    {
+      name: "word/_rels/document.xml.rels",
+      data: `${head}<Relationships xmlns="${pkgRels}"><Relationship Id="rStyles" Type="${rel}/styles" Target="styles.xml"/>${imageRels}${partRels}</Relationships>`,
+    },
+    {
+      name: "word/styles.xml",
+      data: `${head}<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:eastAsia="Arial" w:cs="Arial"/><w:sz w:val="18"/><w:szCs w:val="18"/><w:lang w:val="${lang}"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults></w:styles>`,
+    },
+    { name: "word/document.xml", data: `${head}<w:document ${ns}><w:body>${bodyXml}${section}</w:body></w:document>` },
+    ...parts.map((p) => ({ name: `word/${p.kind}1.xml`, data: `${head}<w:${p.root} ${ns}>${p.body}</w:${p.root}>` })),
+    ...mediaFiles.map((f) => ({ name: `word/${f.name}`, data: f.data })),
+  ]).then((blob) => new Blob([blob], { type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" }));
+}
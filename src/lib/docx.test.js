@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { readZip, zipText } from "../test/readZip";
+import { DEFAULT_BRANDING } from "./branding";
+import { renderDOCX } from "./docx";
+import { defaultForm } from "./form";
+import { BUILTIN_TEMPLATES, applyTemplate } from "./templates";
+import { computeTimesheet } from "./timesheet";
+
+describe("renderDOCX", () => {
+  it("writes a well-formed document from pasted text with control characters", async () => {
+    const form = { ...structuredClone(defaultForm), fsrNo: "FSR-001", customerName: "RS \"Harapan\" & Co", problem: "Error\u0002 E-12\u000c <no boot>" };
+    const entries = await readZip(await renderDOCX(form, { timesheet: computeTimesheet(form), branding: DEFAULT_BRANDING }));
+    const document = zipText(entries, "word/document.xml");
+    expect(document).not.toContain("\u0002");
+    expect(document).not.toContain("\u000c");
+    expect(document).toContain("RS &quot;Harapan&quot; &amp; Co");
+    expect(document).toContain("Error E-12 &lt;no boot&gt;");
+    expect(new DOMParser().parseFromString(document, "application/xml").querySelector("parsererror")).toBeNull();
+  });
+
+  it("follows the template layout: section order and hidden sections", async () => {
+    const template = { ...BUILTIN_TEMPLATES.find((t) => t.id === "ultrasound"), layout: ["brand", "customer", "timing", "types", "parts", "usProbes", "signatures"] };
+    const form = { ...applyTemplate(structuredClone(defaultForm), template), problem: "Image noise", action: "Reseated probe" };
+    const document = zipText(await readZip(await renderDOCX(form, { timesheet: computeTimesheet(form), branding: DEFAULT_BRANDING })), "word/document.xml");
+    expect(document).not.toContain("Image noise");
+    expect(document).not.toContain("Reseated probe");
+    expect(document).toContain("Transducers");
+    expect(document.indexOf("Part Used")).toBeLessThan(document.indexOf("Transducers"));
+  });
+});
@@ -0,0 +1,174 @@
+import { parseCSVObjects, toCSV } from "./csv";
+import { clear, del, getAll, put } from "./db";
+
+// Fault code list (IndexedDB "faultCodes"): { id: "<category>:<code>", category, code, label, parent }
+//   category: one of FAULT_CATEGORIES; parent: code of the entry it sits under in the same category
+//   ("" at the top), so every category is a tree ("Image quality › Artefacts").
+// A report keeps what was picked with its label path (form.faultCodes[category] = { code, label } | null),
+// so it renders and exports the same on a device with another code list.
+const STORE = "faultCodes";
+
+export const FAULT_CATEGORIES = ["symptom", "subsystem", "rootCause", "resolution"];
+
+// Starter list offered while the code list is empty: [category, code, label, parent]
+const STARTER = [
+  ["symptom", "IMG", "Image quality", ""],
+  ["symptom", "IMG-ART", "Artefacts", "IMG"],
+  ["symptom", "IMG-NOISE", "Noise / grain", "IMG"],
+  ["symptom", "ERR", "Error / system fault", ""],
+  ["symptom", "ERR-BOOT", "Does not start up", "ERR"],
+  ["symptom", "ERR-HALT", "Halts during examination", "ERR"],
+  ["symptom", "MECH", "Mechanical", ""],
+  ["symptom", "MECH-NOISE", "Abnormal noise", "MECH"],
+  ["symptom", "MECH-MOVE", "Movement blocked", "MECH"],
+  ["subsystem", "GEN", "X-ray generator", ""],
+  ["subsystem", "GEN-HV", "High-voltage tank", "GEN"],
+  ["subsystem", "TUBE", "X-ray tube", ""],
+  ["subsystem", "DET", "Detector", ""],
+  ["subsystem", "GANT", "Gantry / C-arm", ""],
+  ["subsystem", "GANT-DRV", "Drives", "GANT"],
+  ["subsystem", "TBL", "Patient table", ""],
+  ["subsystem", "SW", "Software / workstation", ""],
+  ["subsystem", "PWR", "Power distribution", ""],
+  ["rootCause", "WEAR", "Wear / end of life", ""],
+  ["rootCause", "HW", "Component failure", ""],
+  ["rootCause", "HW-ELEC", "Electronic board", "HW"],
+  ["rootCause", "HW-MECH", "Mechanical part", "HW"],
+  ["rootCause", "SW", "Software fault", ""],
+  ["rootCause", "CAL", "Calibration drift", ""],
+  ["rootCause", "USE", "Operator error", ""],
+  ["rootCause", "ENV", "Environment (power, temperature, humidity)", ""],
+  ["rootCause", "NFF", "No fault found", ""],
+  ["resolution", "REPL", "Part replaced", ""],
+  ["resolution", "ADJ", "Adjusted / calibrated", ""],
+  ["resolution", "SWU", "Software reset / update", ""],
+  ["resolution", "CLEAN", "Cleaned", ""],
+  ["resolution", "TRAIN", "User instructed", ""],
+  ["resolution", "MON", "Monitoring, no action", ""],
+  ["resolution", "ESC", "Escalated", ""],
+];
+
+const entry = (category, code, label, parent = "") => ({ id: `${category}:${code}`, category, code, label, parent });
+
+export const STARTER_FAULT_CODES = STARTER.map((row) => entry(...row));
+
+export async function listFaultCodes() {
+  const all = await getAll(STORE);
+  return all.sort((a, b) => a.code.localeCompare(b.code));
+}
+
+// Upserts entries; returns the number written
+export async function saveFaultCodes(entries) {
+  for (const e of entries) await put(STORE, e);
+  return entries.length;
+}
+
+export const clearFaultCodes = () => clear(STORE);
+
+// Removes an entry and everything under it
+export async function deleteFaultCode(list, target) {
+  const gone = [target, ...descendants(list, target)];
+  for (const e of gone) await del(STORE, e.id);
+  return gone.length;
+}
+
+export const descendants = (list, target) =>
+  list.filter((e) => e.category === target.category && e.parent === target.code).flatMap((child) => [child, ...descendants(list, child)]);
+
+// Entries of one category in tree order with their depth: [{ entry, depth }]
+export function faultTree(list, category) {
+  const inCategory = list.filter((e) => e.category === category);
+  const codes = new Set(inCategory.map((e) => e.code));
+  const walk = (parent, depth, seen) =>
+    inCategory
+      .filter((e) => (parent ? e.parent === parent : !codes.has(e.parent)) && !seen.has(e.code)) // unknown parent = top level
+      .flatMap((e) => [{ entry: e, depth }, ...walk(e.code, depth + 1, new Set(seen).add(e.code))]);
+  return walk("", 0, new Set());
+}
+
+// Option text of a faultTree() item, indented by depth
+export const faultOption = ({ entry, depth }) => ({ value: entry.code, label: `${"\u00a0".repeat(depth * 3)}${entry.code} – ${entry.label}` });
+
+// "Image quality › Artefacts"
+export function faultPath(list, e) {
+  const path = [e.label];
+  const seen = new Set([e.code]);
+  for (let p = e.parent; p && !seen.has(p); ) {
+    const up = list.find((x) => x.category === e.category && x.code === p);
+    if (!up) break;
+    path.unshift(up.label);
+    seen.add(p);
+    p = up.parent;
+  }
+  return path.join(" › ");
+}
+
+// What a report stores for a picked entry
+export const faultChoice = (list, e) => ({ code: e.code, label: faultPath(list, e) });
+
+export const faultText = (choice) => (choice ? [choice.code, choice.label].filter(Boolean).join(" – ") : "");
+
+export const hasFaultCodes = (form) => FAULT_CATEGORIES.some((c) => form.faultCodes?.[c]);
+
+// Shape check used by the document schema
+export function isFaultCodes(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  return Object.values(value).every((v) => v === null || (v && typeof v.code === "string" && typeof v.label === "string"));
+}
+
+const CATEGORY_NAMES = {
+  symptom: "symptom",
+  subsystem: "subsystem",
+  rootcause: "rootCause",
+  cause: "rootCause",
+  resolution: "resolution",
+  fix: "resolution",
+};
+const categoryOf = (name) => CATEGORY_NAMES[String(name ?? "").toLowerCase().replace(/[\s_\-.]+/g, "")];
+const trim = (v) => String(v ?? "").trim();
+
+// CSV (category, code, label, parent columns) or JSON: an array of { category, code, label, parent }
+// entries, where an entry may instead hold its sub-entries as `children` (category inherited)
+export function parseFaultCodeFile(text, fileName) {
+  const rows = [];
+  if (fileName.toLowerCase().endsWith(".json")) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error("Expected a JSON array of codes");
+    const walk = (items, category, parent) => {
+      for (const o of items) {
+        if (!o || typeof o !== "object") continue;
+        const cat = o.category ?? category;
+        rows.push({ category: cat, code: o.code, label: o.label ?? o.name ?? o.description, parent: o.parent ?? parent });
+        if (Array.isArray(o.children)) walk(o.children, cat, o.code);
+      }
+    };
+    walk(data, undefined, "");
+  } else {
+    for (const r of parseCSVObjects(text)) rows.push({ category: r.category ?? r.type, code: r.code, label: r.label ?? r.name ?? r.description, parent: r.parent });
+  }
+  const entries = rows
+    .map((r) => ({ category: categoryOf(r.category), code: trim(r.code), label: trim(r.label), parent: trim(r.parent) }))
+    .filter((e) => e.category && e.code)
+    .map((e) => entry(e.category, e.code, e.label || e.code, e.parent));
+  if (!entries.length) throw new Error("No codes found (need category and code columns)");
+  return entries;
+}
+
+export function faultCodesToCSV(list) {
+  const rows = FAULT_CATEGORIES.flatMap((c) => faultTree(list, c).map(({ entry: e }) => [e.category, e.code, e.label, e.parent]));
+  return toCSV([["category", "code", "label", "parent"], ...rows]);
+}
+
+const norm = (s) => String(s ?? "").trim().toLowerCase();
+
+// Saved reports on the same model that share a fault code with `form`, most shared codes first,
+// then newest: [{ report, matches: [category, ...] }]
+export function similarReports(reports, form, excludeId) {
+  const picked = FAULT_CATEGORIES.filter((c) => form.faultCodes[c]);
+  if (!norm(form.model) || !picked.length) return [];
+  return reports
+    .filter((r) => r.id !== excludeId && norm(r.form.model) === norm(form.model))
+    .map((report) => ({ report, matches: picked.filter((c) => report.form.faultCodes?.[c]?.code === form.faultCodes[c].code) }))
+    .filter((m) => m.matches.length)
+    .sort((a, b) => b.matches.length - a.matches.length || String(b.report.updatedAt).localeCompare(String(a.report.updatedAt)));
+}
@@ -0,0 +1,61 @@
+import dayjs from "dayjs";
+import { redactPhotos } from "./annotate";
+import { createTranslator, formatDateTime } from "./i18n";
+import { DERIVED } from "./schema";
+
+// Finalisation: a finalized report is read-only and sealed with a SHA-256 hash.
+//   form.finalized = { at: ISO time, hash: hex SHA-256 } | null,  form.revision = 1, 2, ...
+// The hash covers the canonical JSON of the document (keys sorted, no whitespace) with
+// `finalized.hash` left out and the computed DERIVED figures (timesheet, pmSummary) dropped,
+// so the exported JSON can be checked by recomputing it.
+
+// JSON with object keys sorted at every level (arrays keep their order)
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map((v) => (v === undefined ? "null" : canonicalJSON(v))).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Hash of a form or exported document, as stamped into `finalized.hash`
+export function hashReport(doc) {
+  const rest = { ...doc, finalized: { at: doc.finalized?.at ?? null } };
+  for (const key of DERIVED) delete rest[key];
+  return sha256(canonicalJSON(rest));
+}
+
+// Blur areas are burnt into the photos first: the sealed copy is the one every export sends out
+export async function finalizeForm(form, at = new Date().toISOString()) {
+  const sealed = { ...form, photos: await redactPhotos(form.photos), finalized: { at, hash: "" } };
+  return { ...sealed, finalized: { at, hash: await hashReport(sealed) } };
+}
+
+// "FSR-… Rev. 2" (revision shown from the second one on)
+export const numberWithRevision = (form, t = createTranslator()) =>
+  form.revision > 1 ? `${form.fsrNo} ${t("report.revision", { n: form.revision })}` : form.fsrNo;
+
+// Footer stamp of a finalized report, in the report's language
+export function sealText(form, t = createTranslator()) {
+  const at = dayjs(form.finalized.at);
+  return t("report.sealed", { at: formatDateTime(at.format("YYYY-MM-DD"), at.format("HH:mm"), t.lang), hash: form.finalized.hash });
+}
+
+// Unlocks a finalized report as its next revision (the sealed revision stays in the change log)
+export const reopenForm = (form) => ({ ...form, finalized: null, revision: (form.revision || 1) + 1 });
+
+// Checks an exported JSON document: { status: "valid" | "modified" | "unsealed", fsrNo, revision, at, hash, actual }
+export async function verifyDocument(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Not an FSR document (expected a JSON object)");
+  const { fsrNo = "", revision = 1 } = data;
+  const sealed = data.finalized;
+  if (!sealed?.hash) return { status: "unsealed", fsrNo, revision };
+  const actual = await hashReport(data);
+  return { status: actual === sealed.hash.toLowerCase() ? "valid" : "modified", fsrNo, revision, at: sealed.at, hash: sealed.hash, actual };
+}
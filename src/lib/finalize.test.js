@@ -0,0 +1,72 @@
+import { describe, expect, it, vi } from "vitest";
+import { canonicalJSON, finalizeForm, hashReport, reopenForm, verifyDocument } from "./finalize";
+import { defaultForm } from "./form";
+import { serializeFSR } from "./schema";
+import { computeTimesheet } from "./timesheet";
+
+// jsdom has no canvas: burning blur areas in is stood in for by swapping the image
+vi.mock("./annotate", async (importOriginal) => ({
+  ...(await importOriginal()),
+  redactPhotos: async (photos) => photos.map((ph) => (ph.annotations?.shapes.some((s) => s.type === "blur") ? { ...ph, src: "data:image/png;base64,BURNT", annotations: null } : ph)),
+}));
+
+const AT = "2026-03-02T10:00:00.000Z";
+const blurred = { id: "p1", src: "data:image/png;base64,ORIGINAL", caption: "Patient screen", location: null, annotations: { crop: null, shapes: [{ type: "blur", x: 0, y: 0, w: 1, h: 1 }] } };
+
+describe("finalizeForm", () => {
+  it("burns blur areas in before sealing, so the exported document verifies", async () => {
+    const form = { ...structuredClone(defaultForm), fsrNo: "FSR-001", photos: [blurred] };
+    const sealed = await finalizeForm(form, AT);
+    expect(sealed.photos[0]).toMatchObject({ src: "data:image/png;base64,BURNT", annotations: null });
+    const doc = JSON.parse(JSON.stringify(serializeFSR(sealed, computeTimesheet(sealed))));
+    expect((await verifyDocument(doc)).status).toBe("valid");
+  });
+
+  it("stamps the time and the SHA-256 of the form, which does not depend on key order", async () => {
+    const form = { ...structuredClone(defaultForm), fsrNo: "FSR-002" };
+    const sealed = await finalizeForm(form, AT);
+    expect(sealed.finalized).toEqual({ at: AT, hash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    const reordered = Object.fromEntries(Object.entries(sealed).reverse());
+    expect(await hashReport(reordered)).toBe(sealed.finalized.hash);
+  });
+});
+
+describe("canonicalJSON", () => {
+  it("sorts object keys at every level and keeps array order", () => {
+    expect(canonicalJSON({ b: 1, a: [{ d: 2, c: null }, "x"] })).toBe('{"a":[{"c":null,"d":2},"x"],"b":1}');
+  });
+});
+
+describe("verifyDocument", () => {
+  const exported = async () => {
+    const sealed = await finalizeForm({ ...structuredClone(defaultForm), fsrNo: "FSR-003", revision: 2 }, AT);
+    return JSON.parse(JSON.stringify(serializeFSR(sealed, computeTimesheet(sealed))));
+  };
+
+  it("is valid for the exported document, whatever its derived figures say", async () => {
+    const doc = await exported();
+    doc.timesheet = { workMin: 999 };
+    expect(await verifyDocument(doc)).toMatchObject({ status: "valid", fsrNo: "FSR-003", revision: 2, at: AT });
+  });
+
+  it("reports a changed field as modified", async () => {
+    const doc = await exported();
+    doc.problem = "edited after sealing";
+    const result = await verifyDocument(doc);
+    expect(result.status).toBe("modified");
+    expect(result.actual).not.toBe(result.hash);
+  });
+
+  it("reports a document without a seal as unsealed and rejects non-objects", async () => {
+    expect(await verifyDocument({ fsrNo: "FSR-004", finalized: null })).toEqual({ status: "unsealed", fsrNo: "FSR-004", revision: 1 });
+    await expect(verifyDocument([])).rejects.toThrow("Not an FSR document");
+  });
+});
+
+describe("reopenForm", () => {
+  it("drops the seal and moves to the next revision", async () => {
+    const sealed = await finalizeForm({ ...structuredClone(defaultForm), fsrNo: "FSR-005" }, AT);
+    expect(reopenForm(sealed)).toMatchObject({ finalized: null, revision: 2 });
+    expect(reopenForm({ ...sealed, revision: undefined }).revision).toBe(2);
+  });
+});
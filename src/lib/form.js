@@ -0,0 +1,91 @@
+import dayjs from "dayjs";
+import { nextFSRNumber } from "./numbering";
+import { BUILTIN_TEMPLATES, applyTemplate } from "./templates";
+
+// Bump together with a migration in schema.js whenever the document shape changes
+export const SCHEMA_VERSION = 2;
+
+export const defaultForm = {
+  schemaVersion: SCHEMA_VERSION,
+
+  // Admin
+  swoNo: "",
+  fsrNo: "", // assigned by numbering.js when a report is created
+  revision: 1, // bumped when a finalized report is reopened
+  finalized: null, // { at, hash } once finalized (read-only), see finalize.js
+  reportLang: "en", // language of the preview and exports (UI language is a separate setting)
+
+  // Customer
+  customerName: "",
+  address: "",
+  contactPerson: "",
+  phone: "",
+
+  // System
+  modality: "IGT/CV",
+  model: "Allura Centron",
+  serialNo: "",
+  productNo: "",
+
+  // Timing
+  startTravelDate: "",
+  startTravelTime: "08:00",
+  arrivedDate: "",
+  arrivedTime: "09:30",
+  workStartDate: "",
+  workStartTime: "10:00",
+  workFinishDate: "",
+  workFinishTime: "17:00",
+  breakdown: "",
+  breaks: [], // [{date, start, end, note}] subtracted from work time
+  sessions: [], // work-session log for multi-visit jobs (see sessions.js); empty = the single Timing above
+
+  // Types
+  jobTypes: { siteSurvey: false, training: false, corrective: false, installation: false, update: false, preventive: false },
+  serviceTypes: { chargeable: true, contract: false, warranty: false },
+
+  // Work notes
+  problem: "",
+  action: "",
+  faultCodes: { symptom: null, subsystem: null, rootCause: null, resolution: null }, // picked { code, label } (see faultCodes.js)
+  jobStatus: "Incomplete",
+  statusChargeable: "Chargeable", // Chargeable / FOC / Borrow
+  conditionWhenLeave: "",
+  pmChecklist: [], // see pmChecklist.js; used when jobTypes.preventive is ticked
+
+  // Parts
+  parts: [{ partName: "", partNo: "", qty: "", status: "" }],
+
+  // Media
+  logo: null, // base64
+  photos: [], // [{id, src, caption, location, annotations}] in report order
+
+  // Signatures
+  fseName: "",
+  trainerName: "",
+  fseSign: null,
+  trainerSign: null,
+
+  // Template snapshot (see templates.js) + values of its extra fields
+  template: null,
+  custom: {},
+
+  // Customer acknowledgement
+  customerSignName: "",
+  customerSignTitle: "",
+  customerSignedAt: "", // YYYY-MM-DDTHH:mm, stamped when the customer signs
+  customerSign: null,
+};
+
+// Fresh form for a new report: own FSR number, dates prefilled with today, template applied
+export function newForm(template = BUILTIN_TEMPLATES[0], fsrNo = nextFSRNumber()) {
+  const today = dayjs().format("YYYY-MM-DD");
+  return {
+    ...applyTemplate(structuredClone(defaultForm), template, { keepValues: false }),
+    fsrNo,
+    startTravelDate: today,
+    arrivedDate: today,
+    workStartDate: today,
+    workFinishDate: today,
+  };
+}
@@ -0,0 +1,266 @@
+import { useEffect, useRef, useState } from "react";
+import { del, get, put } from "./db";
+
+// Report history: an in-memory undo/redo stack for the open report plus a persisted change log
+// (IndexedDB "history": { id: reportId, entries, blobs }). A log entry is
+//   { at, action: "start" | "edit" | "undo" | "redo" | "restore", fields: ["customerName", "jobTypes.preventive", ...],
+//     changes: { [field]: [before, after] } }
+// `changes` holds only the changed values, so any entry can be restored by walking the later entries
+// back from the current form (formAt). Embedded images (data: URLs of photos, signatures, logo) are kept
+// once per content in `blobs` and referenced from the values as { blob: key }.
+// Logs written before entries carried `changes` keep their entries as an audit trail only.
+const STORE = "history";
+
+const UNDO_GROUP_MS = 1000; // edits of the same field(s) closer than this are undone together
+const LOG_GROUP_MS = 60 * 1000; // edits within a minute share one log entry
+const SAVE_DELAY_MS = 1000; // log writes are debounced (typing changes it on every key)
+const MAX_UNDO = 100;
+const MAX_ENTRIES = 500;
+
+export const EMPTY_LOG = { entries: [], blobs: {} };
+
+export async function loadChangeLog(reportId) {
+  const saved = await get(STORE, reportId);
+  if (!saved) return EMPTY_LOG;
+  // older logs kept whole report snapshots in `form`; they are dropped on the next write
+  return { entries: saved.entries.map((e) => (e.form ? { at: e.at, action: e.action, fields: e.fields } : e)), blobs: saved.blobs ?? {} };
+}
+// Only the blobs still referenced are written
+export const saveChangeLog = (reportId, log) => put(STORE, { id: reportId, entries: log.entries, blobs: usedBlobs(log) });
+export const deleteChangeLog = (reportId) => del(STORE, reportId);
+
+const isFlatObject = (v) => v && typeof v === "object" && !Array.isArray(v) && Object.values(v).every((x) => x === null || typeof x !== "object");
+
+// Top-level fields that differ; flat objects such as jobTypes or custom are compared one level
+// deeper. Edits copy only the changed path, so equal references skip the content comparison.
+export function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].flatMap((k) => {
+    const [a, b] = [before[k], after[k]];
+    if (a === b) return [];
+    if (isFlatObject(a) && isFlatObject(b)) return changedFields(a, b).map((sub) => `${k}.${sub}`);
+    if (a && b && typeof a === "object" && typeof b === "object" && JSON.stringify(a) === JSON.stringify(b)) return [];
+    return [k];
+  });
+}
+
+// Copies only the objects along the path, so unchanged fields keep their identity
+export function setIn(obj, [key, ...rest], value) {
+  const next = Array.isArray(obj) ? [...obj] : { ...obj };
+  next[key] = rest.length ? setIn(obj?.[key], rest, value) : value;
+  return next;
+}
+const getIn = (obj, path) => path.split(".").reduce((v, k) => v?.[k], obj);
+
+// Content key of an embedded image (cyrb53); cached per string, as the same photo is packed on every
+// change of the photo list
+const blobKeys = new Map();
+function blobKey(src) {
+  let key = blobKeys.get(src);
+  if (key) return key;
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < src.length; i++) {
+    const c = src.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 2654435761);
+    h2 = Math.imul(h2 ^ c, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  key = `${(h2 >>> 0).toString(16)}${(h1 >>> 0).toString(16)}-${src.length}`;
+  if (blobKeys.size > 200) blobKeys.clear();
+  blobKeys.set(src, key);
+  return key;
+}
+
+const isBlobRef = (v) => v && typeof v === "object" && !Array.isArray(v) && typeof v.blob === "string" && Object.keys(v).length === 1;
+
+// Value with its data: URLs replaced by blob references (collected into `added`)
+function pack(value, blobs, added) {
+  if (typeof value === "string" && value.startsWith("data:")) {
+    const key = blobKey(value);
+    if (!(key in blobs)) added[key] = value;
+    return { blob: key };
+  }
+  if (Array.isArray(value)) return value.map((v) => pack(v, blobs, added));
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, pack(v, blobs, added)]));
+  return value;
+}
+function unpack(value, blobs) {
+  if (isBlobRef(value)) return blobs[value.blob] ?? "";
+  if (Array.isArray(value)) return value.map((v) => unpack(v, blobs));
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, unpack(v, blobs)]));
+  return value;
+}
+function collectRefs(value, keys) {
+  if (isBlobRef(value)) keys.add(value.blob);
+  else if (value && typeof value === "object") Object.values(value).forEach((v) => collectRefs(v, keys));
+  return keys;
+}
+function usedBlobs(log) {
+  const keys = collectRefs(log.entries.map((e) => e.changes), new Set());
+  return Object.fromEntries([...keys].filter((k) => k in log.blobs).map((k) => [k, log.blobs[k]]));
+}
+
+// Adds a change to the log (opening it with a "start" entry for the state before the first change)
+export function logChange(log, before, after, action = "edit", now = new Date()) {
+  const fields = changedFields(before, after);
+  if (!fields.length) return log;
+  const at = now.toISOString();
+  const added = {};
+  const changes = Object.fromEntries(fields.map((f) => [f, [pack(getIn(before, f), log.blobs, added), pack(getIn(after, f), log.blobs, added)]]));
+  const entries = log.entries.length ? [...log.entries] : [{ at, action: "start", fields: [], changes: {} }];
+  const prev = entries.at(-1);
+  if (action === "edit" && prev.action === "edit" && prev.changes && now - new Date(prev.at) < LOG_GROUP_MS) {
+    // a field edited again in the same entry keeps its first "before"
+    const merged = { ...prev.changes };
+    for (const [f, [b, a]] of Object.entries(changes)) merged[f] = [f in merged ? merged[f][0] : b, a];
+    entries[entries.length - 1] = { ...prev, fields: Object.keys(merged), changes: merged };
+  } else {
+    entries.push({ at, action, fields, changes });
+  }
+  return { entries: entries.slice(-MAX_ENTRIES), blobs: Object.keys(added).length ? { ...log.blobs, ...added } : log.blobs };
+}
+
+// Swaps out an image wherever the log refers to it; the blob keeps its key, so the entries stay as
+// they are and restoring them brings back the replacement (used when redactions are burnt into a photo)
+function replaceBlobs(log, replaced) {
+  const keys = [...replaced.keys()].filter((k) => k in log.blobs && log.blobs[k] !== replaced.get(k));
+  return keys.length ? { ...log, blobs: { ...log.blobs, ...Object.fromEntries(keys.map((k) => [k, replaced.get(k)])) } } : log;
+}
+const replacePhotoSrc = (form, from, to) =>
+  form.photos.some((ph) => ph.src === from) ? { ...form, photos: form.photos.map((ph) => (ph.src === from ? { ...ph, src: to } : ph)) } : form;
+
+// Entry `index` can be restored when every later entry records its changes
+export const canRestore = (log, index) => index < log.entries.length - 1 && log.entries.slice(index + 1).every((e) => e.changes);
+
+// Kept as they are by a restore: an earlier seal would not match the restored content, and an older
+// revision number would let a reopened report be sealed again as a revision that already exists
+const SEAL_FIELDS = ["finalized", "revision"];
+
+// The report as it was right after entry `index` (apart from SEAL_FIELDS): the later entries undone
+// from `current`, newest first
+export function formAt(log, index, current) {
+  let form = current;
+  for (const e of log.entries.slice(index + 1).reverse()) {
+    for (const [path, [before]] of Object.entries(e.changes).reverse()) {
+      if (!SEAL_FIELDS.includes(path.split(".")[0])) form = setIn(form, path.split("."), unpack(before, log.blobs));
+    }
+  }
+  return form;
+}
+
+// Undo/redo + change log for the open report. Every form change is picked up after the fact,
+// so the existing setForm() calls need no changes.
+export function useFormHistory(reportId, form, setForm) {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  const [log, setLog] = useState(EMPTY_LOG);
+  const last = useRef({ reportId: null, form: null, at: 0, fields: "" });
+  const pending = useRef(null); // { form, action } set by undo/redo/restore
+  const dirty = useRef(false); // log changed since it was loaded
+  const loaded = useRef(false); // nothing is written before the saved log is in, or it would be replaced
+  const unsaved = useRef(null); // { reportId, log } waiting for the debounced write
+  const replaced = useRef(new Map()); // blob key -> redacted image, see redact()
+
+  useEffect(() => {
+    if (!reportId) return;
+    let live = true;
+    dirty.current = false;
+    loaded.current = false;
+    setLog(EMPTY_LOG);
+    loadChangeLog(reportId)
+      .then((saved) => {
+        if (!live) return;
+        loaded.current = true;
+        // changes made while it loaded come after the saved ones (without a second "start")
+        setLog((cur) =>
+          replaceBlobs(
+            {
+              entries: [...saved.entries, ...cur.entries.filter((e, i) => !(i === 0 && e.action === "start" && saved.entries.length))].slice(-MAX_ENTRIES),
+              blobs: { ...saved.blobs, ...cur.blobs },
+            },
+            replaced.current,
+          ),
+        );
+      })
+      .catch((e) => console.error("Could not load change log", e));
+    const flush = () => {
+      const u = unsaved.current;
+      unsaved.current = null;
+      if (u) saveChangeLog(u.reportId, u.log).catch((e) => console.error("Could not save change log", e));
+    };
+    window.addEventListener("pagehide", flush);
+    return () => {
+      live = false;
+      flush(); // switching reports: write the previous one's pending changes
+      window.removeEventListener("pagehide", flush);
+    };
+  }, [reportId]);
+
+  useEffect(() => {
+    if (!reportId || !dirty.current || !loaded.current) return;
+    unsaved.current = { reportId, log };
+    const timer = setTimeout(() => {
+      unsaved.current = null;
+      saveChangeLog(reportId, log).catch((e) => console.error("Could not save change log", e));
+    }, SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [reportId, log]);
+
+  useEffect(() => {
+    const prev = last.current;
+    if (!form || prev.form === form) return;
+    if (prev.reportId !== reportId) {
+      // Another report was opened: fresh undo stack
+      last.current = { reportId, form, at: 0, fields: "" };
+      setPast([]);
+      setFuture([]);
+      return;
+    }
+    const now = Date.now();
+    const fields = changedFields(prev.form, form).join();
+    const action = pending.current?.form === form ? pending.current.action : "edit";
+    pending.current = null;
+    last.current = { reportId, form, at: now, fields: action === "edit" ? fields : "" };
+
+    if (action === "edit" || action === "restore") {
+      const grouped = action === "edit" && fields === prev.fields && now - prev.at < UNDO_GROUP_MS;
+      if (!grouped) setPast((p) => [...p.slice(1 - MAX_UNDO), prev.form]);
+      setFuture([]);
+    }
+    dirty.current = true;
+    setLog((cur) => replaceBlobs(logChange(cur, prev.form, form, action, new Date(now)), replaced.current));
+  }, [form, reportId]);
+
+  const apply = (target, action) => {
+    pending.current = { form: target, action };
+    setForm(target);
+  };
+  const undo = () => {
+    if (!past.length) return;
+    setPast(past.slice(0, -1));
+    setFuture([...future, form]);
+    apply(past.at(-1), "undo");
+  };
+  const redo = () => {
+    if (!future.length) return;
+    setFuture(future.slice(0, -1));
+    setPast([...past, form]);
+    apply(future.at(-1), "redo");
+  };
+  // Restoring is itself an undoable change
+  const restore = (index) => canRestore(log, index) && apply(formAt(log, index, form), "restore");
+  // A photo's original `from` was replaced by the redacted `to` (called right after that setForm): the
+  // undo stack and the log keep only the redacted one from now on
+  const redact = (from, to) => {
+    replaced.current.set(blobKey(from), to);
+    last.current = { ...last.current, form: last.current.form && replacePhotoSrc(last.current.form, from, to) };
+    setPast((p) => p.map((f) => replacePhotoSrc(f, from, to)));
+    setFuture((p) => p.map((f) => replacePhotoSrc(f, from, to)));
+    dirty.current = true;
+    setLog((cur) => replaceBlobs(cur, replaced.current));
+  };
+
+  return { undo, redo, canUndo: past.length > 0, canRedo: future.length > 0, log: log.entries, canRestore: (index) => canRestore(log, index), restore, redact };
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import { defaultForm } from "./form";
+import { EMPTY_LOG, canRestore, changedFields, formAt, logChange, setIn } from "./history";
+
+const PIXEL = "data:image/png;base64,iVBORw0KGgo=";
+const T0 = new Date("2026-03-02T10:00:00Z");
+const later = (s) => new Date(T0.getTime() + s * 1000);
+const base = { ...structuredClone(defaultForm), fsrNo: "FSR-001" };
+
+// Applies the edits one by one, logging each: [[path, value, action?, seconds after T0], ...]
+function edit(form, steps, log = EMPTY_LOG) {
+  for (const [path, value, action = "edit", s = 0] of steps) {
+    const next = setIn(form, path.split("."), value);
+    log = logChange(log, form, next, action, later(s));
+    form = next;
+  }
+  return { form, log };
+}
+
+describe("changedFields", () => {
+  it("compares flat objects one level deeper and lists other changed fields whole", () => {
+    const after = { ...setIn(base, ["jobTypes", "preventive"], true), parts: [{ partName: "Fuse", partNo: "", qty: "1", status: "" }] };
+    expect(changedFields(base, after)).toEqual(["jobTypes.preventive", "parts"]);
+    expect(changedFields(base, { ...base, parts: structuredClone(base.parts) })).toEqual([]);
+  });
+});
+
+describe("logChange", () => {
+  it("opens with a start entry and groups edits within a minute, keeping the first before value", () => {
+    const { log } = edit(base, [
+      ["customerName", "RS A"],
+      ["customerName", "RS AB", "edit", 30],
+      ["problem", "No boot", "edit", 120],
+    ]);
+    expect(log.entries.map((e) => [e.action, e.fields])).toEqual([
+      ["start", []],
+      ["edit", ["customerName"]],
+      ["edit", ["problem"]],
+    ]);
+    expect(log.entries[1].changes.customerName).toEqual([base.customerName, "RS AB"]);
+  });
+
+  it("keeps undo/redo/restore as entries of their own and ignores changes that change nothing", () => {
+    const { form, log } = edit(base, [
+      ["customerName", "RS A"],
+      ["customerName", base.customerName, "undo", 1],
+    ]);
+    expect(log.entries.map((e) => e.action)).toEqual(["start", "edit", "undo"]);
+    expect(logChange(log, form, { ...form })).toBe(log);
+  });
+
+  it("stores each embedded image once and refers to it from the changes", () => {
+    const { log } = edit(base, [
+      ["fseSign", PIXEL],
+      ["trainerSign", PIXEL, "edit", 120],
+    ]);
+    expect(Object.values(log.blobs)).toEqual([PIXEL]);
+    const [key] = Object.keys(log.blobs);
+    expect(log.entries[2].changes.trainerSign).toEqual([null, { blob: key }]);
+  });
+});
+
+describe("formAt", () => {
+  const { form: current, log } = edit(base, [
+    ["customerName", "RS A"],
+    ["fseSign", PIXEL, "edit", 120],
+    ["finalized", { at: "2026-03-02T10:05:00Z", hash: "a".repeat(64) }, "finalize", 300],
+    ["revision", 2, "reopen", 400],
+    ["problem", "No boot", "edit", 500],
+  ]);
+
+  it("walks the later entries back, bringing images back from the blobs", () => {
+    expect(formAt(log, 1, current)).toMatchObject({ customerName: "RS A", fseSign: null, problem: base.problem });
+    expect(formAt(log, 2, current)).toMatchObject({ customerName: "RS A", fseSign: PIXEL, problem: base.problem });
+    expect(formAt(log, 0, current).customerName).toBe(base.customerName);
+  });
+
+  it("keeps the seal and revision of the current report", () => {
+    expect(formAt(log, 1, current)).toMatchObject({ finalized: current.finalized, revision: 2 });
+  });
+
+  it("can restore entries before the last one while every later entry has changes", () => {
+    expect(canRestore(log, 0)).toBe(true);
+    expect(canRestore(log, log.entries.length - 1)).toBe(false);
+    const legacy = { ...log, entries: log.entries.map((e, i) => (i === 2 ? { ...e, changes: undefined } : e)) };
+    expect(canRestore(legacy, 1)).toBe(false);
+    expect(canRestore(legacy, 2)).toBe(true);
+  });
+});
@@ -0,0 +1,65 @@
+// Single-file HTML export: the rendered preview's markup with the page's CSS rules (Tailwind's
+// generated sheet) inlined and every image as a data URL, so the file opens offline — for
+// emailing or archiving.
+import { loadBranding, pageSize } from "./branding";
+import { numberWithRevision } from "./finalize";
+import { createTranslator } from "./i18n";
+
+// The preview element carries the page width and margins; print it edge to edge on the branded page size
+const pageCSS = (branding) => `
+body { margin: 0; padding: 24px 0; background: #f3f4f6; }
+@page { size: ${pageSize(branding).label}; margin: 0; }
+@media print { body { padding: 0; background: #fff; } }
+`;
+
+// Rules of every stylesheet the page can read (cross-origin sheets throw and are skipped)
+function sheetCSS() {
+  return [...document.styleSheets]
+    .flatMap((sheet) => {
+      try {
+        return [...sheet.cssRules].map((rule) => rule.cssText);
+      } catch {
+        return [];
+      }
+    })
+    .join("\n");
+}
+
+async function toDataURL(src) {
+  if (!src || src.startsWith("data:")) return src;
+  const blob = await (await fetch(src)).blob();
+  return new Promise((resolve, reject) => {
+    const fr = new FileReader();
+    fr.onload = () => resolve(fr.result);
+    fr.onerror = () => reject(fr.error);
+    fr.readAsDataURL(blob);
+  });
+}
+
+// node: the ReportPreview element; returns an HTML Blob
+export async function renderHTML(node, form, branding = loadBranding()) {
+  const t = createTranslator(form.reportLang);
+  const clone = node.cloneNode(true);
+  for (const img of clone.querySelectorAll("img")) {
+    try {
+      img.setAttribute("src", await toDataURL(img.getAttribute("src")));
+    } catch (e) {
+      console.warn("Could not inline image", e);
+    }
+  }
+  const title = [t("report.title"), numberWithRevision(form, t)].filter(Boolean).join(" – ");
+  const html = `<!doctype html>
+<html lang="${t.lang}">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${title.replace(/[<&]/g, (c) => (c === "<" ? "&lt;" : "&amp;"))}</title>
+<style>${sheetCSS()}${pageCSS(branding)}</style>
+</head>
+<body>
+${clone.outerHTML}
+</body>
+</html>
+`;
+  return new Blob([html], { type: "text/html" });
+}
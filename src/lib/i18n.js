@@ -0,0 +1,64 @@
+import { createContext, useContext } from "react";
+import dayjs from "dayjs";
+import "dayjs/locale/id";
+import localizedFormat from "dayjs/plugin/localizedFormat";
+import en from "../i18n/en";
+import id from "../i18n/id";
+
+// UI and report language are chosen separately: the UI language is a per-device
+// setting, the report language is stored on the report (form.reportLang) and drives
+// the preview and every export.
+dayjs.extend(localizedFormat);
+
+export const LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "id", label: "Bahasa Indonesia" },
+];
+export const DEFAULT_LANG = "en";
+const DICTIONARIES = { en, id };
+const UI_LANG_KEY = "fsr_ui_lang";
+
+export function loadUiLang() {
+  const saved = localStorage.getItem(UI_LANG_KEY);
+  return saved in DICTIONARIES ? saved : DEFAULT_LANG;
+}
+
+export function saveUiLang(lang) {
+  localStorage.setItem(UI_LANG_KEY, lang);
+}
+
+// t(key, vars) -> string; falls back to English, then to the key itself
+export function createTranslator(lang = DEFAULT_LANG) {
+  const dict = DICTIONARIES[lang] || en;
+  const t = (key, vars) => {
+    const s = dict[key] ?? en[key] ?? key;
+    return vars ? s.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m)) : s;
+  };
+  t.lang = dict === en ? DEFAULT_LANG : lang;
+  t.has = (key) => key in dict || key in en;
+  return t;
+}
+
+// Template labels are plain text or { en, id, ... } per language
+export function localize(label, lang = DEFAULT_LANG) {
+  if (label && typeof label === "object") return label[lang] ?? label[DEFAULT_LANG] ?? Object.values(label)[0] ?? "";
+  return label ?? "";
+}
+
+// "YYYY-MM-DD" (+ optional "HH:mm") -> e.g. "19 Okt 2026 14.05" / "Oct 19, 2026 2:05 PM"
+export function formatDate(date, lang = DEFAULT_LANG) {
+  const d = dayjs(date);
+  return date && d.isValid() ? d.locale(lang).format("ll") : "-";
+}
+
+export function formatDateTime(date, time, lang = DEFAULT_LANG) {
+  if (!date) return time || "-";
+  const d = dayjs(time ? `${date}T${time}` : date);
+  if (!d.isValid()) return [date, time].filter(Boolean).join(" ");
+  return d.locale(lang).format(time ? "ll LT" : "ll");
+}
+
+export const I18nContext = createContext(createTranslator());
+
+// Translator for the UI language
+export const useT = () => useContext(I18nContext);
@@ -0,0 +1,135 @@
+// Client-side photo pipeline: EXIF orientation + GPS read, resize, re-encode (JPEG/WebP).
+// Re-encoding through a canvas drops all embedded metadata; GPS is only kept (as a
+// plain "lat, lng" string on the photo) when the user turns stripping off.
+export const DEFAULT_PHOTO_SETTINGS = { maxDim: 1600, quality: 0.8, format: "image/jpeg", stripGps: true };
+const SETTINGS_KEY = "fsr_photo_settings";
+
+export function loadPhotoSettings() {
+  try {
+    return { ...DEFAULT_PHOTO_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return DEFAULT_PHOTO_SETTINGS;
+  }
+}
+
+export function savePhotoSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// Approximate decoded size of a base64 data URL
+export function dataUrlBytes(src) {
+  if (!src) return 0;
+  const b64 = src.slice(src.indexOf(",") + 1);
+  return Math.floor((b64.length * 3) / 4) - (b64.endsWith("==") ? 2 : b64.endsWith("=") ? 1 : 0);
+}
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Returns { src, location, bytes, originalBytes }
+export async function processPhoto(file, settings = DEFAULT_PHOTO_SETTINGS) {
+  const exif = readExif(await file.slice(0, 256 * 1024).arrayBuffer());
+  const img = await loadImage(file);
+
+  // Browsers that honour `image-orientation` already draw the image upright
+  const orientation = CSS.supports?.("image-orientation", "from-image") ? 1 : exif.orientation;
+  const swap = orientation >= 5 && orientation <= 8;
+  const srcW = swap ? img.naturalHeight : img.naturalWidth;
+  const srcH = swap ? img.naturalWidth : img.naturalHeight;
+  const scale = Math.min(1, settings.maxDim / Math.max(srcW, srcH));
+  const w = Math.round(srcW * scale);
+  const h = Math.round(srcH * scale);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  if (settings.format === "image/jpeg") {
+    ctx.fillStyle = "#ffffff"; // JPEG has no alpha
+    ctx.fillRect(0, 0, w, h);
+  }
+  applyOrientation(ctx, orientation, w, h);
+  ctx.drawImage(img, 0, 0, swap ? h : w, swap ? w : h);
+  URL.revokeObjectURL(img.src);
+
+  const src = canvas.toDataURL(settings.format, settings.quality);
+  return {
+    src,
+    location: !settings.stripGps && exif.gps ? `${exif.gps.lat.toFixed(6)}, ${exif.gps.lng.toFixed(6)}` : "",
+    bytes: dataUrlBytes(src),
+    originalBytes: file.size,
+  };
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Cannot decode ${file.name}`));
+    img.src = URL.createObjectURL(file);
+  });
+}
+
+// Canvas transform for EXIF orientations 2..8 (w/h = output size)
+function applyOrientation(ctx, o, w, h) {
+  const t = {
+    2: [-1, 0, 0, 1, w, 0],
+    3: [-1, 0, 0, -1, w, h],
+    4: [1, 0, 0, -1, 0, h],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, w, 0],
+    7: [0, -1, -1, 0, w, h],
+    8: [0, -1, 1, 0, 0, h],
+  }[o];
+  if (t) ctx.transform(...t);
+}
+
+// Minimal JPEG EXIF reader: orientation (0x0112) and GPS lat/lng from the GPS IFD
+function readExif(buf) {
+  const out = { orientation: 1, gps: null };
+  const v = new DataView(buf);
+  if (v.byteLength < 4 || v.getUint16(0) !== 0xffd8) return out;
+  let off = 2;
+  while (off + 4 < v.byteLength) {
+    const marker = v.getUint16(off);
+    const size = v.getUint16(off + 2);
+    if (marker === 0xffe1 && v.getUint32(off + 4) === 0x45786966) return parseTiff(v, off + 10, out); // "Exif"
+    if ((marker & 0xff00) !== 0xff00) break;
+    off += 2 + size;
+  }
+  return out;
+}
+
+function parseTiff(v, tiff, out) {
+  try {
+    const le = v.getUint16(tiff) === 0x4949;
+    const u16 = (o) => v.getUint16(tiff + o, le);
+    const u32 = (o) => v.getUint32(tiff + o, le);
+    const entries = (ifd) => Array.from({ length: u16(ifd) }, (_, i) => ifd + 2 + i * 12);
+    const rational3 = (o) => [0, 1, 2].map((i) => u32(o + i * 8) / u32(o + i * 8 + 4));
+
+    let gpsIfd = 0;
+    for (const e of entries(u32(4))) {
+      if (u16(e) === 0x0112) out.orientation = u16(e + 8);
+      if (u16(e) === 0x8825) gpsIfd = u32(e + 8);
+    }
+    if (gpsIfd) {
+      const g = {};
+      for (const e of entries(gpsIfd)) {
+        const tag = u16(e);
+        if (tag === 1 || tag === 3) g[tag] = String.fromCharCode(v.getUint8(tiff + e + 8));
+        if (tag === 2 || tag === 4) g[tag] = rational3(u32(e + 8));
+      }
+      if (g[2] && g[4]) {
+        const deg = ([d, m, s]) => d + m / 60 + s / 3600;
+        out.gps = { lat: deg(g[2]) * (g[1] === "S" ? -1 : 1), lng: deg(g[4]) * (g[3] === "W" ? -1 : 1) };
+      }
+    }
+  } catch {
+    // truncated/odd EXIF: keep what was read
+  }
+  return out;
+}
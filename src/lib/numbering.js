@@ -0,0 +1,134 @@
+import dayjs from "dayjs";
+import { createTranslator } from "./i18n";
+
+// FSR numbering: a pattern of literal text and {TOKENS}
+//   {PREFIX} {INITIALS} {REGION}   - from the numbering settings
+//   {DEVICE}                       - random code of this browser, drawn once (see deviceCode)
+//   {YYYY} {YY} {MM} {DD} {YYMMDD} {HH} {mm} {ss} ... - any dayjs date format made of Y/M/D/H/m/s
+//   {SEQ} / {SEQ:4}                - sequence counter, zero-padded to the given width
+// The counter is kept per "scope" (the number with the sequence left out), so
+// "FSR-{YYMMDD}-{SEQ:3}" restarts at 001 every day while "FSR-{SEQ:5}" never restarts.
+// Counters live on the device, so a pattern shared by several engineers needs {INITIALS} or {DEVICE}
+// to keep their numbers apart (sharesSequence).
+// swoFormat is a mask for the manually typed SWO number: # digit, A letter, * letter or digit,
+// anything else literal (e.g. "SWO-########"); empty = not checked.
+const SETTINGS_KEY = "fsr_numbering";
+const COUNTERS_KEY = "fsr_numbering_seq"; // { [scope]: last issued sequence }
+const DEVICE_KEY = "fsr_device_code";
+
+// Earlier default, which issued the same numbers on every device; saved settings still on it are moved to the current one
+const LEGACY_PATTERN = "{PREFIX}-{YYMMDD}-{SEQ:3}";
+export const DEFAULT_NUMBERING = { pattern: "{PREFIX}-{DEVICE}-{YYMMDD}-{SEQ:3}", prefix: "FSR", initials: "", region: "", swoFormat: "" };
+
+const TOKEN_RE = /\{([^{}]*)\}/g;
+const DATE_TOKEN_RE = /^[YMDHms]+$/;
+const SEQ_TOKEN_RE = /^SEQ(?::(\d{1,2}))?$/;
+
+export function loadNumbering() {
+  try {
+    const saved = { ...DEFAULT_NUMBERING, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+    return saved.pattern === LEGACY_PATTERN ? { ...saved, pattern: DEFAULT_NUMBERING.pattern } : saved;
+  } catch {
+    return DEFAULT_NUMBERING;
+  }
+}
+
+export function saveNumbering(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+function loadCounters() {
+  try {
+    return JSON.parse(localStorage.getItem(COUNTERS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Three letters/digits drawn on first use and kept for this browser
+export function deviceCode() {
+  let code = localStorage.getItem(DEVICE_KEY);
+  if (!code) {
+    const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O, 1/I
+    code = Array.from(crypto.getRandomValues(new Uint8Array(3)), (b) => chars[b % chars.length]).join("");
+    localStorage.setItem(DEVICE_KEY, code);
+  }
+  return code;
+}
+
+// Unknown tokens in a pattern (empty list = valid)
+export function patternErrors(pattern) {
+  const known = (tok) => ["PREFIX", "INITIALS", "REGION", "DEVICE"].includes(tok) || DATE_TOKEN_RE.test(tok) || SEQ_TOKEN_RE.test(tok);
+  return [...pattern.matchAll(TOKEN_RE)].map((m) => m[1]).filter((tok) => !known(tok));
+}
+
+// Expands the pattern; `seq` null leaves the sequence out (the counter scope)
+export function formatNumber(settings, seq, now = dayjs()) {
+  return settings.pattern.replace(TOKEN_RE, (whole, tok) => {
+    if (tok === "PREFIX") return settings.prefix.trim();
+    if (tok === "INITIALS") return settings.initials.trim().toUpperCase();
+    if (tok === "REGION") return settings.region.trim().toUpperCase();
+    if (tok === "DEVICE") return deviceCode();
+    if (DATE_TOKEN_RE.test(tok)) return now.format(tok);
+    const m = tok.match(SEQ_TOKEN_RE);
+    if (m) return seq === null ? "#" : String(seq).padStart(Number(m[1] || 1), "0");
+    return whole;
+  });
+}
+
+const hasSequence = (pattern) => [...pattern.matchAll(TOKEN_RE)].some((m) => SEQ_TOKEN_RE.test(m[1]));
+
+// True when another device using the same settings would count through the same numbers: a sequence
+// with neither {DEVICE} nor filled-in {INITIALS} in the pattern
+export function sharesSequence(settings) {
+  const tokens = [...settings.pattern.matchAll(TOKEN_RE)].map((m) => m[1]);
+  return hasSequence(settings.pattern) && !tokens.includes("DEVICE") && !(tokens.includes("INITIALS") && settings.initials.trim());
+}
+
+// First free number (skipping `taken` ones, e.g. numbers of saved reports) -> { number, scope, seq }
+function pickNumber(settings, taken, now) {
+  const used = new Set(taken.map((n) => n.trim().toLowerCase()));
+  const free = (n) => !used.has(n.toLowerCase());
+  const scope = formatNumber(settings, null, now);
+
+  if (!hasSequence(settings.pattern)) {
+    // No counter: fall back to a "-2", "-3" ... suffix on collisions
+    let number = scope;
+    for (let i = 2; !free(number); i++) number = `${scope}-${i}`;
+    return { number, scope, seq: null };
+  }
+  let seq = (loadCounters()[scope] || 0) + 1;
+  while (!free(formatNumber(settings, seq, now))) seq++;
+  return { number: formatNumber(settings, seq, now), scope, seq };
+}
+
+// Next number for a new report; advances the stored counter
+export function nextFSRNumber(settings = loadNumbering(), taken = [], now = dayjs()) {
+  const { number, scope, seq } = pickNumber(settings, taken, now);
+  if (seq !== null) localStorage.setItem(COUNTERS_KEY, JSON.stringify({ ...loadCounters(), [scope]: seq }));
+  return number;
+}
+
+// What nextFSRNumber() would return, without advancing the counter
+export const peekFSRNumber = (settings, taken = [], now = dayjs()) => pickNumber(settings, taken, now).number;
+
+export function swoMaskToRegExp(mask) {
+  const body = [...mask]
+    .map((c) => ({ "#": "\\d", A: "[A-Za-z]", "*": "[A-Za-z0-9]" })[c] ?? c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("");
+  return new RegExp(`^${body}$`);
+}
+
+// Issues in validateForm's shape: FSR number used by another report, SWO number not matching the mask
+export function numberingIssues(form, settings, takenNos = [], t = createTranslator()) {
+  const issues = {};
+  const fsrNo = form.fsrNo.trim().toLowerCase();
+  if (fsrNo && takenNos.some((n) => n.trim().toLowerCase() === fsrNo)) {
+    issues.fsrNo = { message: t("validation.fsrDuplicate", { fsrNo: form.fsrNo }), kind: "format" };
+  }
+  const mask = settings.swoFormat.trim();
+  if (mask && form.swoNo.trim() && !swoMaskToRegExp(mask).test(form.swoNo.trim())) {
+    issues.swoNo = { message: t("validation.swoFormat", { format: mask }), kind: "format" };
+  }
+  return issues;
+}
@@ -0,0 +1,79 @@
+import dayjs from "dayjs";
+import { beforeEach, describe, expect, it } from "vitest";
+import { DEFAULT_NUMBERING, formatNumber, loadNumbering, nextFSRNumber, patternErrors, peekFSRNumber, sharesSequence } from "./numbering";
+
+const NOW = dayjs("2026-03-02T10:15:30");
+const settings = (extra = {}) => ({ ...DEFAULT_NUMBERING, ...extra });
+
+beforeEach(() => localStorage.clear());
+
+describe("formatNumber", () => {
+  it("expands settings, date and sequence tokens", () => {
+    const s = settings({ pattern: "{PREFIX}/{INITIALS}/{REGION}/{YYMMDD}-{HH}{mm}/{SEQ:4}", prefix: " FSR ", initials: "ab", region: "jkt" });
+    expect(formatNumber(s, 7, NOW)).toBe("FSR/AB/JKT/260302-1015/0007");
+    expect(formatNumber(s, null, NOW)).toBe("FSR/AB/JKT/260302-1015/#");
+  });
+
+  it("draws the device code once and keeps it", () => {
+    const first = formatNumber(settings(), 1, NOW);
+    expect(first).toMatch(/^FSR-[A-HJ-NP-Z2-9]{3}-260302-001$/);
+    expect(formatNumber(settings(), 1, NOW)).toBe(first);
+  });
+
+  it("leaves unknown tokens as typed", () => {
+    expect(formatNumber(settings({ pattern: "{PREFIX}-{FOO}" }), 1, NOW)).toBe("FSR-{FOO}");
+  });
+});
+
+describe("nextFSRNumber", () => {
+  const s = settings({ pattern: "{PREFIX}-{YYMMDD}-{SEQ:3}" });
+
+  it("counts up per scope and restarts for a new one", () => {
+    expect(nextFSRNumber(s, [], NOW)).toBe("FSR-260302-001");
+    expect(nextFSRNumber(s, [], NOW)).toBe("FSR-260302-002");
+    expect(nextFSRNumber(s, [], NOW.add(1, "day"))).toBe("FSR-260303-001");
+    expect(nextFSRNumber(s, [], NOW)).toBe("FSR-260302-003");
+  });
+
+  it("skips numbers already taken, ignoring case and spaces", () => {
+    expect(nextFSRNumber(s, [" fsr-260302-001", "FSR-260302-002"], NOW)).toBe("FSR-260302-003");
+    expect(nextFSRNumber(s, [], NOW)).toBe("FSR-260302-004");
+  });
+
+  it("peeks without advancing the counter", () => {
+    expect(peekFSRNumber(s, [], NOW)).toBe("FSR-260302-001");
+    expect(peekFSRNumber(s, [], NOW)).toBe("FSR-260302-001");
+    expect(nextFSRNumber(s, [], NOW)).toBe("FSR-260302-001");
+  });
+
+  it("adds a suffix on collisions when the pattern has no sequence", () => {
+    const plain = settings({ pattern: "{PREFIX}-{YYMMDD}" });
+    expect(nextFSRNumber(plain, ["FSR-260302", "FSR-260302-2"], NOW)).toBe("FSR-260302-3");
+  });
+});
+
+describe("patternErrors", () => {
+  it("lists the unknown tokens", () => {
+    expect(patternErrors("{PREFIX}-{DEVICE}-{YYYY}{MM}-{SEQ:3}")).toEqual([]);
+    expect(patternErrors("{PREFIX}-{SEQ:x}-{Week}")).toEqual(["SEQ:x", "Week"]);
+  });
+});
+
+describe("sharesSequence", () => {
+  it("is true for a sequence without a device code or filled-in initials", () => {
+    expect(sharesSequence(settings())).toBe(false);
+    expect(sharesSequence(settings({ pattern: "{PREFIX}-{SEQ:3}" }))).toBe(true);
+    expect(sharesSequence(settings({ pattern: "{PREFIX}-{INITIALS}-{SEQ:3}" }))).toBe(true);
+    expect(sharesSequence(settings({ pattern: "{PREFIX}-{INITIALS}-{SEQ:3}", initials: "AB" }))).toBe(false);
+    expect(sharesSequence(settings({ pattern: "{PREFIX}-{YYMMDD}" }))).toBe(false);
+  });
+});
+
+describe("loadNumbering", () => {
+  it("moves saved settings off the old device-less default pattern", () => {
+    localStorage.setItem("fsr_numbering", JSON.stringify({ pattern: "{PREFIX}-{YYMMDD}-{SEQ:3}", prefix: "SVC" }));
+    expect(loadNumbering()).toEqual({ ...DEFAULT_NUMBERING, prefix: "SVC" });
+    localStorage.setItem("fsr_numbering", JSON.stringify({ pattern: "{PREFIX}-{SEQ:5}" }));
+    expect(loadNumbering().pattern).toBe("{PREFIX}-{SEQ:5}");
+  });
+});
@@ -0,0 +1,68 @@
+import { mmToPx, pageSize } from "./branding";
+
+// Page breaks of the report preview, shared by the preview's page markers and the snapshot PDF so
+// both cut at the same places. Elements inside the preview are marked with
+//   data-keep          a block that should not be split (section, table row, photo card): when it
+//                      would run past the page end it starts the next page instead (unless it is
+//                      taller than a page, then it is cut like plain content)
+//   data-break-before  a section that always starts on a new page (branding.pageBreaks)
+// Positions are CSS px of the preview's content box (its padding, i.e. the page margins, left out).
+
+// Report sections that can be set to start on a new page (labels: t(PAGE_BREAK_SECTIONS[key]))
+export const PAGE_BREAK_SECTIONS = {
+  customer: "section.customer",
+  types: "section.types",
+  problem: "report.problem",
+  action: "report.action",
+  sessions: "sessions.title",
+  pmChecklist: "section.pmChecklist",
+  parts: "section.parts",
+  photos: "section.photos",
+  signatures: "section.signatures",
+};
+
+// Props for a preview section's outer element
+export const sectionBreak = (branding, key) => (branding.pageBreaks.includes(key) ? { "data-break-before": "" } : {});
+
+// Height of the content area of one page
+export const pageContentHeight = (branding) => mmToPx(pageSize(branding).height - branding.margins.top - branding.margins.bottom);
+
+// Marked blocks and content height of the rendered preview (works while it is zoomed)
+export function measurePreview(node) {
+  const base = node.getBoundingClientRect();
+  const scale = base.width / node.offsetWidth || 1;
+  const padTop = parseFloat(getComputedStyle(node).paddingTop) || 0;
+  const blocks = [...node.querySelectorAll("[data-keep], [data-break-before]")].map((el) => {
+    const r = el.getBoundingClientRect();
+    return { top: (r.top - base.top) / scale - padTop, bottom: (r.bottom - base.top) / scale - padTop, breakBefore: el.hasAttribute("data-break-before") };
+  });
+  // the per-page stamps (footer, watermark) are not part of the flowing content
+  const content = [...node.children].filter((el) => !el.hasAttribute("data-page-stamp"));
+  const height = Math.max(0, ...content.map((el) => (el.getBoundingClientRect().bottom - base.top) / scale - padTop));
+  return { blocks, height };
+}
+
+// Start offsets of the pages (first is 0)
+export function pageStarts({ blocks, height }, pageHeight) {
+  const starts = [0];
+  const start = () => starts.at(-1);
+  const fillTo = (y) => {
+    while (y - start() > pageHeight) starts.push(start() + pageHeight);
+  };
+  // outer blocks before the blocks they contain
+  for (const b of [...blocks].sort((a, c) => a.top - c.top || c.bottom - a.bottom)) {
+    fillTo(b.top);
+    if (b.top <= start() + 0.5) continue;
+    const overflows = b.bottom > start() + pageHeight && b.bottom - b.top <= pageHeight;
+    if (b.breakBefore || overflows) starts.push(b.top);
+  }
+  fillTo(height);
+  return starts;
+}
+
+// [from, to] of every page
+export function pageRanges(node, branding) {
+  const measured = measurePreview(node);
+  const starts = pageStarts(measured, pageContentHeight(branding));
+  return starts.map((from, i) => [from, i + 1 < starts.length ? starts[i + 1] : Math.max(from, measured.height)]);
+}
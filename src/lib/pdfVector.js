@@ -0,0 +1,416 @@
+// Text/vector PDF renderer: builds the report from form data with jsPDF primitives
+// (selectable text, real tables, embedded images). Content flows line by line / row by
+// row, so page breaks fall between them instead of cutting through like the raster slices.
+import { flattenPhotos } from "./annotate";
+import { accentText, hasLetterhead, loadBranding, pdfText, stampWatermark, watermarkText } from "./branding";
+import { isPartFilled, partStatusLabel, partsTotal } from "./catalog";
+import { FAULT_CATEGORIES, faultText, hasFaultCodes } from "./faultCodes";
+import { numberWithRevision, sealText } from "./finalize";
+import { createTranslator, formatDate, formatDateTime, localize } from "./i18n";
+import { groupChecklist, isOutOfTolerance, resultLabel, summarizeChecklist, toleranceText } from "./pmChecklist";
+import { sessionPeriod, sessionRows } from "./sessions";
+import { fieldLabel, formatCustomValue, reportSections, typeLabel } from "./templates";
+import { formatMinutes } from "./timesheet";
+
+const HEADER_H = 16; // mm, below the top margin
+const FOOTER_H = 10;
+const FOOTER_LINE_H = 3.2;
+const SEAL_LINE_H = 2.7; // seal of a finalized report (6.5 pt), the last footer line
+const LINE_H = 4.6;
+const FONT = 9;
+
+// opts.timesheet: computeTimesheet() result shown with the timing rows.
+// opts.doc: a document from an earlier call to append this report to (on a new page; batch export).
+// opts.branding: page size, margins, letterhead, footer, logo, accent and watermark (saved settings by default).
+// Text comes out in the report language (form.reportLang).
+export async function renderVectorPDF(form, { timesheet, doc: into, branding = loadBranding() } = {}) {
+  const { jsPDF } = await import("jspdf");
+  const doc = into || new jsPDF({ unit: "mm", format: branding.pageSize, compress: true });
+  if (into) doc.addPage();
+  const t = createTranslator(form.reportLang);
+  const L = createLayout(doc, branding, form.finalized ? sealText(form, t) : "");
+  const minutes = (min) => formatMinutes(min, t);
+  const breakBefore = (section) => branding.pageBreaks.includes(section) && L.pageBreak();
+  const when = (step) => [form[`${step}Date`] && formatDate(form[`${step}Date`], t.lang), form[`${step}Time`]].filter(Boolean).join("  ");
+
+  if (hasLetterhead(branding)) L.letterhead(branding.companyName, branding.companyAddress);
+
+  // Identity & timing
+  L.heading(t("report.serviceDetails"));
+  L.keyValues([
+    [t("report.swoNo"), form.swoNo],
+    ...["startTravel", "arrived", "workStart", "workFinish"].map((step) => [t(`report.${step}`), when(step)]),
+    [t("report.breakdown"), form.breakdown],
+    ...(timesheet
+      ? [
+          [t("report.travel"), minutes(timesheet.travelMin)],
+          [t("report.waiting"), minutes(timesheet.waitingMin)],
+          [t("report.work"), minutes(timesheet.workMin) + (timesheet.breakMin > 0 ? ` (${t("report.breaks", { time: minutes(timesheet.breakMin) })})` : "")],
+          ...(timesheet.overtime ? [[t("report.overtime"), minutes(timesheet.overtimeMin)]] : []),
+        ]
+      : []),
+  ]);
+
+  const label = (key) => fieldLabel(form, key, t);
+  breakBefore("customer");
+  L.heading(t("section.customer"));
+  L.keyValues([
+    [label("customerName"), form.customerName],
+    [label("address"), form.address],
+    [label("contactPerson"), [form.contactPerson, form.phone && `(${t("report.tel")}: ${form.phone})`].filter(Boolean).join(" ")],
+    [label("modality"), form.modality],
+    [label("model"), form.model],
+    [label("serialNo"), form.serialNo],
+    [label("productNo"), form.productNo],
+  ]);
+
+  // Report body in the order of the template's layout (templates.js reportSections)
+  const sections = {
+    types() {
+      breakBefore("types");
+      L.heading(t("field.jobType"));
+      L.checkboxes(Object.entries(form.jobTypes).map(([k, v]) => [typeLabel(form, "jobTypes", k, t), v]));
+      L.heading(t("field.serviceType"));
+      L.checkboxes(Object.entries(form.serviceTypes).map(([k, v]) => [typeLabel(form, "serviceTypes", k, t), v]));
+    },
+    problemAction() {
+      breakBefore("problem");
+      L.heading(t("report.problem"));
+      L.paragraph(form.problem);
+      breakBefore("action");
+      L.heading(t("report.action"));
+      L.paragraph(form.action);
+
+      if (hasFaultCodes(form)) {
+        L.heading(t("report.faultCodes"));
+        L.keyValues(FAULT_CATEGORIES.filter((c) => form.faultCodes[c]).map((c) => [t(`fault.${c}`), faultText(form.faultCodes[c])]));
+      }
+    },
+    sessions() {
+      if (!form.sessions.length) return;
+      breakBefore("sessions");
+      L.heading(t("report.sessions"));
+      L.table(
+        [
+          { title: t("report.no"), width: 10, align: "center" },
+          { title: t("report.period"), width: 44 },
+          { title: t("report.engineer"), width: 30 },
+          { title: t("report.action"), width: 0 },
+          { title: t("report.status"), width: 24 },
+          { title: t("report.travel"), width: 18, align: "center" },
+          { title: t("report.work"), width: 18, align: "center" },
+        ],
+        [
+          ...sessionRows(form, timesheet).map(({ session: s, figures }, i) => [
+            i + 1,
+            sessionPeriod(s, t.lang),
+            s.engineer,
+            s.action,
+            s.status,
+            minutes(figures?.travelMin),
+            minutes(figures?.workMin),
+          ]),
+          ...(timesheet ? [["", t("report.total"), "", "", "", minutes(timesheet.travelMin), minutes(timesheet.workMin)]] : []),
+        ]
+      );
+    },
+    pmChecklist() {
+      if (!(form.jobTypes.preventive && form.pmChecklist.length)) return;
+      const sum = summarizeChecklist(form.pmChecklist);
+      breakBefore("pmChecklist");
+      L.heading(t("report.pmChecklist"));
+      L.table(
+        [
+          { title: t("report.item"), width: 62 },
+          { title: t("report.result"), width: 16, align: "center" },
+          { title: t("report.measured"), width: 28, align: "center" },
+          { title: t("report.tolerance"), width: 28, align: "center" },
+          { title: t("report.remark"), width: 0 },
+        ],
+        groupChecklist(form.pmChecklist, t).flatMap(([group, rows]) => [
+          [`[${group}]`, "", "", "", ""],
+          ...rows.map((it) => [
+            it.item,
+            resultLabel(it.result, t),
+            it.value ? `${it.value} ${it.unit}${isOutOfTolerance(it) ? " (OUT)" : ""}` : "",
+            toleranceText(it),
+            it.remark,
+          ]),
+        ])
+      );
+      const counts = [
+        t("pm.countPass", { n: sum.pass }),
+        t("pm.countFail", { n: sum.fail }),
+        t("pm.countNa", { n: sum.na }),
+        sum.open && t("pm.open", { n: sum.open }),
+        sum.outOfTolerance && t("pm.outCount", { n: sum.outOfTolerance }),
+      ];
+      L.paragraph(`${t("report.summary")}: ${counts.filter(Boolean).join(", ")}`);
+    },
+    parts() {
+      breakBefore("parts");
+      L.heading(t("section.parts"));
+      const parts = form.parts.filter(isPartFilled);
+      L.table(
+        [
+          { title: t("report.no"), width: 10, align: "center" },
+          { title: t("field.partName"), width: 62 },
+          { title: t("field.partNo"), width: 46 },
+          { title: t("field.qty"), width: 14, align: "center" },
+          { title: t("field.status"), width: 0 },
+        ],
+        parts.length
+          ? [...parts.map((p, i) => [i + 1, p.partName, p.partNo, p.qty, partStatusLabel(p.status, t)]), ["", t("report.total"), "", partsTotal(parts), ""]]
+          : [["-", "", "", "", ""]]
+      );
+      L.keyValues([
+        [t("report.jobStatus"), form.jobStatus],
+        [t("report.status"), form.statusChargeable],
+      ]);
+      L.heading(t("field.conditionWhenLeave"));
+      L.paragraph(form.conditionWhenLeave);
+    },
+    async photos() {
+      if (!form.photos.length) return;
+      L.newPage();
+      L.heading(t("report.photos"));
+      const photos = await flattenPhotos(form.photos);
+      L.photoGrid(photos.map((ph, i) => ({ src: ph.src, caption: ph.caption && `${i + 1}. ${ph.caption}` })));
+    },
+  };
+  const templateSection = (sec) => {
+    L.heading(localize(sec.title, t.lang));
+    L.keyValues(sec.fields.map((f) => [localize(f.label, t.lang), formatCustomValue(f, form.custom[f.key], t)]), 55);
+  };
+  for (const s of reportSections(form.template)) {
+    if (typeof s === "string") await sections[s]();
+    else templateSection(s);
+  }
+
+  breakBefore("signatures");
+  L.signatures([
+    { src: form.fseSign, name: form.fseName || t("field.fseName") },
+    { src: form.trainerSign, name: form.trainerName || t("field.trainerName") },
+    {
+      src: form.customerSign,
+      name: form.customerSignName || t("report.customer"),
+      lines: [form.customerSignTitle, form.customerSignedAt && formatDateTime(...form.customerSignedAt.split("T"), t.lang)].filter(Boolean),
+    },
+  ]);
+
+  L.decoratePages(form, t);
+  return doc;
+}
+
+// `seal` (text) gets its own footer line(s) above the bottom margin
+function createLayout(doc, branding, seal = "") {
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const { top: MT, right: MR, bottom: MB, left: ML } = branding.margins;
+  const contentW = pageW - ML - MR;
+  const headerH = Math.max(HEADER_H, branding.logoSize + 4);
+  const footerLines = branding.footerText ? doc.setFontSize(7).splitTextToSize(pdfText(branding.footerText), contentW) : [];
+  const sealLines = seal ? doc.setFontSize(6.5).splitTextToSize(pdfText(seal), contentW) : [];
+  const footerBase = pageH - MB - sealLines.length * SEAL_LINE_H; // baseline of the page number
+  const top = MT + headerH;
+  const bottom = footerBase - FOOTER_H - footerLines.length * FOOTER_LINE_H;
+  let y = top;
+
+  doc.setFontSize(FONT);
+
+  const newPage = () => {
+    doc.addPage();
+    y = top;
+  };
+  // A section set to start on a new page (none needed at the top of one)
+  const pageBreak = () => {
+    if (y > top) newPage();
+  };
+  // Break before a block that would not fit on the current page
+  const ensure = (h) => {
+    if (y + h > bottom && y > top) newPage();
+  };
+
+  // Company name + address at the top of the report's first page
+  const letterhead = (name, address) => {
+    if (name) {
+      doc.setFont("helvetica", "bold").setFontSize(11).text(pdfText(name), ML, y + 4);
+      y += 5.5;
+    }
+    doc.setFont("helvetica", "normal").setFontSize(8);
+    for (const line of address ? doc.splitTextToSize(pdfText(address), contentW) : []) {
+      doc.text(line, ML, y + 3);
+      y += 3.6;
+    }
+    doc.setFontSize(FONT).setDrawColor(200).line(ML, y + 1.5, pageW - MR, y + 1.5);
+    y += 4;
+  };
+
+  const heading = (text) => {
+    ensure(LINE_H * 3); // keep a heading with at least its first lines
+    y += 2;
+    doc.setFont("helvetica", "bold").setFontSize(10);
+    doc.text(pdfText(text.toUpperCase()), ML, y + 3.5);
+    doc.setDrawColor(180).line(ML, y + 5, pageW - MR, y + 5);
+    doc.setFont("helvetica", "normal").setFontSize(FONT);
+    y += 8;
+  };
+
+  const paragraph = (text) => {
+    const lines = doc.splitTextToSize(pdfText(text || "-"), contentW);
+    for (const line of lines) {
+      ensure(LINE_H);
+      doc.text(line, ML, y + 3.2);
+      y += LINE_H;
+    }
+    y += 2;
+  };
+
+  const keyValues = (rows, labelW = 38) => {
+    for (const [label, value] of rows) {
+      const lines = doc.splitTextToSize(pdfText(value), contentW - labelW);
+      ensure(LINE_H * Math.max(1, lines.length));
+      doc.setFont("helvetica", "bold").text(pdfText(label), ML, y + 3.2);
+      doc.setFont("helvetica", "normal").text(lines, ML + labelW, y + 3.2);
+      y += LINE_H * Math.max(1, lines.length);
+    }
+    y += 2;
+  };
+
+  // Ticked boxes are filled with the accent colour
+  const checkboxes = (items) => {
+    let x = ML;
+    ensure(LINE_H + 1);
+    for (const [label, checked] of items) {
+      const w = 6 + doc.getTextWidth(label) + 6;
+      if (x + w > pageW - MR) {
+        x = ML;
+        y += LINE_H + 1;
+        ensure(LINE_H + 1);
+      }
+      if (checked) {
+        doc.setDrawColor(branding.accent).setFillColor(branding.accent).rect(x, y + 0.6, 3.2, 3.2, "FD");
+        doc.setFont("helvetica", "bold").setTextColor(accentText(branding.accent)).text("X", x + 0.6, y + 3.3).setTextColor(0);
+      } else doc.setDrawColor(0).rect(x, y + 0.6, 3.2, 3.2);
+      doc.setFont("helvetica", checked ? "bold" : "normal").text(pdfText(label), x + 5, y + 3.2);
+      x += w;
+    }
+    doc.setFont("helvetica", "normal");
+    y += LINE_H + 3;
+  };
+
+  // columns: [{ title, width (mm, 0 = remaining), align }]; header repeats after a break
+  const table = (columns, rows) => {
+    const fixed = columns.reduce((s, c) => s + c.width, 0);
+    const widths = columns.map((c) => c.width || contentW - fixed);
+    const drawRow = (cells, bold) => {
+      const wrapped = cells.map((c, i) => doc.splitTextToSize(pdfText(c), widths[i] - 3));
+      const h = Math.max(...wrapped.map((l) => l.length)) * LINE_H + 1.5;
+      if (y + h > bottom) {
+        newPage();
+        if (!bold) drawRow(columns.map((c) => c.title), true);
+      }
+      let x = ML;
+      doc.setFont("helvetica", bold ? "bold" : "normal");
+      wrapped.forEach((lines, i) => {
+        if (bold) doc.setFillColor(240).rect(x, y, widths[i], h, "F");
+        doc.setDrawColor(160).rect(x, y, widths[i], h);
+        const align = columns[i].align || "left";
+        const tx = align === "center" ? x + widths[i] / 2 : x + 1.5;
+        doc.text(lines, tx, y + 3.8, { align });
+        x += widths[i];
+      });
+      doc.setFont("helvetica", "normal");
+      y += h;
+    };
+    drawRow(columns.map((c) => c.title), true);
+    rows.forEach((r) => drawRow(r, false));
+    y += 3;
+  };
+
+  // Fits an image inside a w×h box, keeping aspect ratio
+  const image = (src, x, boxY, w, h) => {
+    try {
+      const props = doc.getImageProperties(src);
+      const scale = Math.min(w / props.width, h / props.height);
+      const iw = props.width * scale;
+      const ih = props.height * scale;
+      doc.addImage(src, props.fileType, x + (w - iw) / 2, boxY + (h - ih) / 2, iw, ih, undefined, "FAST");
+    } catch (e) {
+      console.warn("Skipping image jsPDF cannot embed", e);
+    }
+  };
+
+  const photoGrid = (photos, cols = 2) => {
+    const gap = 4;
+    const cellW = (contentW - gap * (cols - 1)) / cols;
+    const imgH = cellW * 0.5625; // 16:9 like the preview
+    for (let i = 0; i < photos.length; i += cols) {
+      const row = photos.slice(i, i + cols);
+      const captions = row.map((ph) => (ph.caption ? doc.splitTextToSize(pdfText(ph.caption), cellW - 2) : []));
+      const h = imgH + Math.max(...captions.map((c) => c.length)) * LINE_H + 2;
+      ensure(h);
+      row.forEach((ph, j) => {
+        const x = ML + j * (cellW + gap);
+        doc.setDrawColor(200).rect(x, y, cellW, imgH);
+        image(ph.src, x, y, cellW, imgH);
+        if (captions[j].length) doc.text(captions[j], x + 1, y + imgH + 3.8);
+      });
+      y += h + gap;
+    }
+  };
+
+  const signatures = (signers) => {
+    const boxH = 22;
+    const extra = Math.max(0, ...signers.map((s) => s.lines?.length || 0)) * LINE_H;
+    ensure(boxH + 14 + extra);
+    y += 8;
+    const cellW = contentW / signers.length;
+    signers.forEach((s, i) => {
+      const x = ML + i * cellW + 6;
+      const w = cellW - 12;
+      if (s.src) image(s.src, x, y, w, boxH - 2);
+      doc.setDrawColor(0).line(x, y + boxH, x + w, y + boxH);
+      doc.text(pdfText(s.name), x + w / 2, y + boxH + 4.5, { align: "center" });
+      if (s.lines?.length) doc.setFontSize(8).text(pdfText(s.lines), x + w / 2, y + boxH + 4.5 + LINE_H, { align: "center" }).setFontSize(FONT);
+    });
+    y += boxH + 8 + extra;
+  };
+
+  // Header (logo, FSR/SWO no.), footer text, "Page X of Y" (+ seal of a finalized report) and the
+  // watermark on every page of this report, drawn once all pages exist
+  const firstPage = doc.getNumberOfPages();
+  const decoratePages = (form, t) => {
+    const last = doc.getNumberOfPages();
+    const total = last - firstPage + 1;
+    const mark = watermarkText(form, branding, t);
+    const logoW = branding.logoSize;
+    for (let p = 1; p <= total; p++) {
+      doc.setPage(firstPage + p - 1);
+      let x = ML;
+      let right = pageW - MR;
+      if (form.logo) {
+        const placement = branding.logoPlacement;
+        const logoX = placement === "left" ? ML : placement === "right" ? pageW - MR - logoW : (pageW - logoW) / 2;
+        image(form.logo, logoX, MT - 2, logoW, logoW);
+        if (placement === "left") x += logoW + 3;
+        if (placement === "right") right -= logoW + 3;
+      }
+      doc.setFont("helvetica", "bold").setFontSize(13).text(pdfText(t("report.title")), x, MT + 4);
+      doc.setFont("helvetica", "normal").setFontSize(FONT);
+      doc.text(pdfText(`${t("field.fsrNo")}: ${numberWithRevision(form, t) || "-"}`), right, MT + 1.5, { align: "right" });
+      doc.text(pdfText(`${t("field.swoNo")}: ${form.swoNo || "-"}`), right, MT + 6, { align: "right" });
+      doc.setDrawColor(0).line(ML, MT + headerH - 5, pageW - MR, MT + headerH - 5);
+
+      if (footerLines.length) doc.setFontSize(7).text(footerLines, pageW / 2, footerBase - 6 - (footerLines.length - 1) * FOOTER_LINE_H, { align: "center" });
+      doc.setDrawColor(180).line(ML, footerBase - 5, pageW - MR, footerBase - 5);
+      doc.setFontSize(8).text(pdfText(t("report.page", { page: p, total })), pageW - MR, footerBase, { align: "right" });
+      doc.text(pdfText(numberWithRevision(form, t)), ML, footerBase);
+      if (sealLines.length) doc.setFontSize(6.5).text(sealLines, ML, footerBase + SEAL_LINE_H);
+      doc.setFontSize(FONT);
+      if (mark) stampWatermark(doc, mark);
+    }
+  };
+
+  return { newPage, pageBreak, letterhead, heading, paragraph, keyValues, checkboxes, table, photoGrid, signatures, decoratePages };
+}
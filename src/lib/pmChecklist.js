@@ -0,0 +1,56 @@
+import { createTranslator } from "./i18n";
+
+// Preventive-maintenance checklist: items grouped by subsystem, each with a
+// Pass/Fail/N/A result and an optional measured value checked against [min, max].
+//   { id, group, item, result: "" | "pass" | "fail" | "na", value, unit, min, max, remark }
+export const PM_RESULTS = ["pass", "fail", "na"];
+
+export const resultLabel = (r, t = createTranslator()) => (PM_RESULTS.includes(r) ? t(`pm.result.${r}`) : "-");
+
+const num = (v) => (String(v ?? "").trim() === "" ? null : Number(String(v).replace(",", ".")));
+
+export function newPMItem(patch = {}) {
+  return { id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`, group: "", item: "", result: "", value: "", unit: "", min: "", max: "", remark: "", ...patch };
+}
+
+// Items seeded from the template's `pmChecklist` ([{group, item, unit, min, max}])
+export function checklistFromTemplate(template) {
+  return (template?.pmChecklist || []).map((t) => newPMItem({ group: t.group || "", item: t.item || "", unit: t.unit || "", min: String(t.min ?? ""), max: String(t.max ?? "") }));
+}
+
+export function isOutOfTolerance(it) {
+  const v = num(it.value);
+  if (v === null || Number.isNaN(v)) return false;
+  const min = num(it.min);
+  const max = num(it.max);
+  return (min !== null && v < min) || (max !== null && v > max);
+}
+
+export function toleranceText(it) {
+  const { min, max, unit } = it;
+  if (min !== "" && max !== "") return `${min} – ${max} ${unit}`.trim();
+  if (min !== "") return `≥ ${min} ${unit}`.trim();
+  if (max !== "") return `≤ ${max} ${unit}`.trim();
+  return "";
+}
+
+export function summarizeChecklist(items) {
+  const s = { total: items.length, pass: 0, fail: 0, na: 0, open: 0, outOfTolerance: 0 };
+  for (const it of items) {
+    if (it.result) s[it.result] += 1;
+    else s.open += 1;
+    if (isOutOfTolerance(it)) s.outOfTolerance += 1;
+  }
+  return s;
+}
+
+// [[group, items]] in first-seen order
+export function groupChecklist(items, t = createTranslator()) {
+  const groups = new Map();
+  for (const it of items) {
+    const g = it.group.trim() || t("pm.general");
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(it);
+  }
+  return [...groups];
+}
@@ -0,0 +1,84 @@
+import dayjs from "dayjs";
+import { del, getAll, put } from "./db";
+import { newForm } from "./form";
+import { nextFSRNumber } from "./numbering";
+import { parseFSR } from "./schema";
+
+// Report library: each record = { id, name, status, createdAt, updatedAt, form, sync? } (sync: see sync.js)
+const STORE = "reports";
+const LEGACY_STORAGE_KEY = "fsr_form_v2"; // single autosave used before the library
+export const CURRENT_REPORT_KEY = "fsr_current_report";
+
+function newId() {
+  return crypto.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+export function reportStatus(form) {
+  if (form.finalized) return "final";
+  return form.jobStatus === "Complete" ? "complete" : "draft";
+}
+
+export function reportTitle(report) {
+  return report.name || report.form.fsrNo;
+}
+
+export function createReport(form = newForm(), name = "") {
+  const now = new Date().toISOString();
+  return { id: newId(), name, status: reportStatus(form), createdAt: now, updatedAt: now, form };
+}
+
+export function duplicateReport(report, fsrNo = nextFSRNumber()) {
+  // a copy is a new, unsealed report: the seal and revision belong to the source
+  const form = { ...structuredClone(report.form), fsrNo, finalized: null, revision: 1 };
+  return createReport(form, report.name ? `${report.name} (copy)` : "");
+}
+
+// Returns a new record with the patch applied and updatedAt/status refreshed
+export function touchReport(report, patch) {
+  const next = { ...report, ...patch, updatedAt: new Date().toISOString() };
+  return { ...next, status: reportStatus(next.form) };
+}
+
+// Free-text match on customer / serial / FSR no / name, optional YYYY-MM-DD date match
+export function matchReport(report, query, date) {
+  const { form } = report;
+  if (query) {
+    const q = query.trim().toLowerCase();
+    const hay = [report.name, form.fsrNo, form.customerName, form.serialNo].join(" ").toLowerCase();
+    if (!hay.includes(q)) return false;
+  }
+  if (date) {
+    const dates = [form.startTravelDate, form.workStartDate, form.workFinishDate, dayjs(report.updatedAt).format("YYYY-MM-DD")];
+    if (!dates.includes(date)) return false;
+  }
+  return true;
+}
+
+// Stored forms go through the same migration/validation as imported files
+function loadForm(data, label) {
+  const { form, errors } = parseFSR(data);
+  if (errors.length) console.warn(`Repaired ${errors.length} invalid field(s) in ${label}`, errors);
+  return form;
+}
+
+export async function listReports() {
+  const all = await getAll(STORE);
+  return all
+    .map((r) => ({ ...r, form: loadForm(r.form, r.id) }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+export const saveReport = (report) => put(STORE, report);
+export const deleteReport = (id) => del(STORE, id);
+
+// One-time move of the old localStorage autosave into IndexedDB
+export async function migrateLegacyForm() {
+  const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!saved) return;
+  try {
+    await saveReport(createReport(loadForm(JSON.parse(saved), LEGACY_STORAGE_KEY)));
+  } catch (e) {
+    console.warn("Could not migrate legacy autosave", e);
+    return;
+  }
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+}
@@ -0,0 +1,205 @@
+import { isAnnotations } from "./annotate";
+import { isFaultCodes } from "./faultCodes";
+import { SCHEMA_VERSION, defaultForm } from "./form";
+import { summarizeChecklist } from "./pmChecklist";
+import { applyTemplate, validateTemplate } from "./templates";
+
+// Formal shape of an FSR document. Leaf types:
+//   string  - text (numbers are accepted and stringified)
+//   number  - finite number
+//   flags   - object of booleans (job/service types)
+//   image   - data:image/... URL or null
+//   template - form template snapshot (see templates.js) or null
+//   values  - object of text/number/boolean values (template fields)
+//   seal    - finalisation stamp { at, hash } (see finalize.js) or null
+//   annotations - photo mark-up { crop, shapes } (see annotate.js), null or absent
+//   faultCodes - picked fault codes { [category]: { code, label } | null } (see faultCodes.js)
+//   { array: spec } - list whose items match `spec` (an object of fields)
+// Fields missing from a document are filled from defaultForm; unknown fields are kept as is.
+const PART = { partName: "string", partNo: "string", qty: "string", status: "string" };
+const PHOTO = { id: "string", src: "image", caption: "string", location: "string", annotations: "annotations" };
+const BREAK = { date: "string", start: "string", end: "string", note: "string" };
+const SESSION = {
+  id: "string",
+  startTravelDate: "string",
+  startTravelTime: "string",
+  arrivedDate: "string",
+  arrivedTime: "string",
+  workStartDate: "string",
+  workStartTime: "string",
+  workFinishDate: "string",
+  workFinishTime: "string",
+  engineer: "string",
+  action: "string",
+  status: "string",
+};
+const PM_ITEM = { id: "string", group: "string", item: "string", result: "string", value: "string", unit: "string", min: "string", max: "string", remark: "string" };
+
+// Computed on export (see serializeFSR); recomputed from the data, so dropped on load
+export const DERIVED = ["timesheet", "pmSummary"];
+
+// The exported/synced FSR document: the form plus its DERIVED figures
+export function serializeFSR(form, timesheet) {
+  const pmSummary = form.jobTypes.preventive ? summarizeChecklist(form.pmChecklist) : undefined;
+  return { ...form, timesheet, pmSummary };
+}
+
+export const FSR_SCHEMA = {
+  schemaVersion: "number",
+  swoNo: "string",
+  fsrNo: "string",
+  revision: "number",
+  finalized: "seal",
+  reportLang: "string",
+  customerName: "string",
+  address: "string",
+  contactPerson: "string",
+  phone: "string",
+  modality: "string",
+  model: "string",
+  serialNo: "string",
+  productNo: "string",
+  startTravelDate: "string",
+  startTravelTime: "string",
+  arrivedDate: "string",
+  arrivedTime: "string",
+  workStartDate: "string",
+  workStartTime: "string",
+  workFinishDate: "string",
+  workFinishTime: "string",
+  breakdown: "string",
+  breaks: { array: BREAK },
+  sessions: { array: SESSION },
+  jobTypes: "flags",
+  serviceTypes: "flags",
+  problem: "string",
+  action: "string",
+  faultCodes: "faultCodes",
+  jobStatus: "string",
+  statusChargeable: "string",
+  conditionWhenLeave: "string",
+  pmChecklist: { array: PM_ITEM },
+  parts: { array: PART },
+  logo: "image",
+  photos: { array: PHOTO },
+  fseName: "string",
+  trainerName: "string",
+  fseSign: "image",
+  trainerSign: "image",
+  customerSignName: "string",
+  customerSignTitle: "string",
+  customerSignedAt: "string",
+  customerSign: "image",
+  template: "template",
+  custom: "values",
+};
+
+// Documents saved before `schemaVersion` existed: the current shape counts as v2,
+// the older one (single part fields, photos as bare data URLs) as v1.
+function detectVersion(doc) {
+  if (typeof doc.schemaVersion === "number") return doc.schemaVersion;
+  return "partName" in doc || "partNo" in doc || doc.photos?.some?.((ph) => typeof ph === "string") ? 1 : 2;
+}
+
+// migrations[n] upgrades a v(n) document to v(n+1)
+const migrations = {
+  1: (doc) => {
+    const { partName, partNo, qty, partStatus, ...rest } = doc;
+    const parts = Array.isArray(doc.parts) ? doc.parts : [{ partName: partName ?? "", partNo: partNo ?? "", qty: qty ?? "", status: partStatus ?? "" }];
+    const photos = (Array.isArray(doc.photos) ? doc.photos : []).map((ph, i) =>
+      typeof ph === "string" ? { id: `v1-${i}`, src: ph, caption: "" } : ph
+    );
+    return { ...rest, parts, photos, schemaVersion: 2 };
+  },
+};
+
+export function migrate(doc) {
+  let version = detectVersion(doc);
+  let out = doc;
+  while (version < SCHEMA_VERSION) {
+    out = migrations[version](out);
+    version += 1;
+  }
+  return { ...out, schemaVersion: SCHEMA_VERSION };
+}
+
+const typeNames = {
+  string: "text",
+  number: "a number",
+  flags: "a set of yes/no flags",
+  image: "an image (data URL) or empty",
+  template: "a valid form template or empty",
+  values: "a set of text/number/yes-no values",
+  seal: "a finalisation stamp {at, hash} or empty",
+  annotations: "photo annotations {crop, shapes} or empty",
+  faultCodes: "fault codes {symptom, subsystem, rootCause, resolution}",
+};
+
+// Empty value of a list entry field that is missing or invalid; photo annotations stay left out,
+// so documents sealed before they existed keep their hash
+const ITEM_EMPTY = { image: null, annotations: undefined };
+
+const isTemplate = (v) => {
+  try {
+    return v === null || !!validateTemplate(v);
+  } catch {
+    return false;
+  }
+};
+
+// Validates `value` against `spec`; returns the value with invalid parts replaced by `fallback`
+function check(spec, value, fallback, path, errors) {
+  if (value === undefined) return structuredClone(fallback);
+
+  if (spec.array) {
+    if (!Array.isArray(value)) {
+      errors.push({ path, message: "expected a list" });
+      return structuredClone(fallback);
+    }
+    return value.flatMap((item, i) => {
+      if (!item || typeof item !== "object" || Array.isArray(item)) {
+        errors.push({ path: `${path}.${i}`, message: "expected an entry object" });
+        return [];
+      }
+      const out = { ...item };
+      for (const [k, s] of Object.entries(spec.array)) out[k] = check(s, item[k], s in ITEM_EMPTY ? ITEM_EMPTY[s] : "", `${path}.${i}.${k}`, errors);
+      return [out];
+    });
+  }
+
+  const ok = {
+    string: () => typeof value === "string" || typeof value === "number",
+    number: () => typeof value === "number" && Number.isFinite(value),
+    flags: () => value && typeof value === "object" && !Array.isArray(value) && Object.values(value).every((v) => typeof v === "boolean"),
+    image: () => value === null || (typeof value === "string" && value.startsWith("data:image/")),
+    template: () => isTemplate(value),
+    values: () => value && typeof value === "object" && !Array.isArray(value) && Object.values(value).every((v) => ["string", "number", "boolean"].includes(typeof v)),
+    seal: () => value === null || (value && typeof value.at === "string" && /^[0-9a-f]{64}$/i.test(value.hash)),
+    annotations: () => isAnnotations(value),
+    faultCodes: () => isFaultCodes(value),
+  }[spec]();
+  if (!ok) {
+    errors.push({ path, message: `expected ${typeNames[spec]}` });
+    return structuredClone(fallback);
+  }
+  if (spec === "string") return String(value);
+  if (spec === "flags" || spec === "faultCodes") return { ...fallback, ...value };
+  return value;
+}
+
+// Migrates + validates any parsed JSON. Returns { form, errors }; `form` is always
+// renderable (invalid fields reset to defaults). Throws if it is not an FSR document at all.
+export function parseFSR(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Not an FSR document (expected a JSON object)");
+  if (typeof data.schemaVersion === "number" && data.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`Document schema v${data.schemaVersion} is newer than this app supports (v${SCHEMA_VERSION})`);
+  }
+  const doc = migrate(data);
+  for (const key of DERIVED) delete doc[key];
+  const errors = [];
+  const form = { ...doc };
+  for (const [key, spec] of Object.entries(FSR_SCHEMA)) form[key] = check(spec, doc[key], defaultForm[key], key, errors);
+  form.photos = form.photos.map((ph, i) => (ph.id ? ph : { ...ph, id: `photo-${i}` })); // ids key the gallery
+  // Type flags and template values follow the report's template
+  return { form: form.template ? applyTemplate(form, form.template) : form, errors };
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { SCHEMA_VERSION, defaultForm } from "./form";
+import { migrate, parseFSR, serializeFSR } from "./schema";
+import { BUILTIN_TEMPLATES, applyTemplate } from "./templates";
+
+const PIXEL = "data:image/png;base64,iVBORw0KGgo=";
+
+describe("migrate", () => {
+  it("moves a v1 document (single part fields, bare photo URLs) to the current shape", () => {
+    const v1 = { fsrNo: "FSR-1", partName: "Fuse", partNo: "F-5", qty: "2", partStatus: "Used", photos: [PIXEL] };
+    expect(migrate(v1)).toEqual({
+      fsrNo: "FSR-1",
+      parts: [{ partName: "Fuse", partNo: "F-5", qty: "2", status: "Used" }],
+      photos: [{ id: "v1-0", src: PIXEL, caption: "" }],
+      schemaVersion: SCHEMA_VERSION,
+    });
+  });
+
+  it("takes a document without a version but in the current shape as v2", () => {
+    expect(migrate({ fsrNo: "FSR-2", parts: [] })).toEqual({ fsrNo: "FSR-2", parts: [], schemaVersion: SCHEMA_VERSION });
+  });
+});
+
+describe("parseFSR", () => {
+  it("round-trips an exported document, dropping the derived figures", () => {
+    const form = { ...applyTemplate(structuredClone(defaultForm), BUILTIN_TEMPLATES[0]), fsrNo: "FSR-3", parts: [{ partName: "Fuse", partNo: "", qty: "1,5", status: "" }] };
+    const { form: parsed, errors } = parseFSR(JSON.parse(JSON.stringify(serializeFSR(form, { travelMin: 30 }))));
+    expect(errors).toEqual([]);
+    expect(parsed).toEqual({ ...form, schemaVersion: SCHEMA_VERSION });
+  });
+
+  it("fills missing fields from the defaults and resets invalid ones, listing them", () => {
+    const { form, errors } = parseFSR({
+      schemaVersion: 2,
+      customerName: 42,
+      parts: "Fuse",
+      logo: "http://example.com/logo.png",
+      photos: [{ src: PIXEL }, "oops"],
+      finalized: { at: "2026-03-02T10:00:00Z", hash: "abc" },
+    });
+    expect(form.customerName).toBe("42");
+    expect(form.parts).toEqual(defaultForm.parts);
+    expect(form.logo).toBe(defaultForm.logo);
+    expect(form.finalized).toBeNull();
+    expect(form.photos).toEqual([{ id: "photo-0", src: PIXEL, caption: "", location: "", annotations: undefined }]);
+    expect(form.problem).toBe(defaultForm.problem);
+    expect(errors.map((e) => e.path)).toEqual(["finalized", "parts", "logo", "photos.1"]);
+  });
+
+  it("rejects what is not an FSR document or comes from a newer app", () => {
+    expect(() => parseFSR([])).toThrow("Not an FSR document");
+    expect(() => parseFSR(null)).toThrow("Not an FSR document");
+    expect(() => parseFSR({ schemaVersion: SCHEMA_VERSION + 1 })).toThrow(`newer than this app supports (v${SCHEMA_VERSION})`);
+  });
+});
@@ -0,0 +1,51 @@
+import { formatDateTime } from "./i18n";
+import { TIMELINE, pairTime } from "./validation";
+
+// Work-session log for jobs that take several visits (form.sessions, empty = not used):
+//   { id, startTravelDate, startTravelTime, arrivedDate, arrivedTime, workStartDate, workStartTime,
+//     workFinishDate, workFinishTime, engineer, action, status }
+// Each session has its own copy of the Timing pairs. While the log is in use the form's own Timing
+// fields hold the overall job window (first session's start .. last session's finish), so readers
+// that only know the single set of fields still see when the job ran.
+const sessionId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+const emptyTiming = () => Object.fromEntries(TIMELINE.flatMap((step) => [[`${step}Date`, ""], [`${step}Time`, ""]]));
+const timingOf = (source) => Object.fromEntries(TIMELINE.flatMap((step) => [`${step}Date`, `${step}Time`].map((k) => [k, source[k]])));
+
+// A new log entry: the first one takes over the form's existing Timing (that visit becomes session 1)
+export function newSession(form) {
+  const timing = form.sessions.length ? emptyTiming() : timingOf(form);
+  return { id: sessionId(), ...timing, engineer: form.fseName, action: "", status: "" };
+}
+
+// First filled-in pair of a session, or null
+export const sessionStart = (s) => TIMELINE.map((step) => pairTime(s, step)).find(Boolean) || null;
+
+// Chronological order; sessions without any time go last, in entry order
+export function sortSessions(sessions) {
+  return [...sessions].sort((a, b) => {
+    const x = sessionStart(a);
+    const y = sessionStart(b);
+    return x && y ? x.valueOf() - y.valueOf() : !x - !y;
+  });
+}
+
+// The form's Timing fields for a session log: starts from the first session, finish from the last one finished
+export function overallTiming(sessions) {
+  if (!sessions.length) return {};
+  const sorted = sortSessions(sessions);
+  const last = sorted.findLast((s) => pairTime(s, "workFinish")) || sorted.at(-1);
+  return { ...timingOf(sorted[0]), workFinishDate: last.workFinishDate, workFinishTime: last.workFinishTime };
+}
+
+// Report rows: sessions in chronological order with their figures from computeTimesheet (same order)
+export const sessionRows = (form, timesheet) => sortSessions(form.sessions).map((session, i) => ({ session, figures: timesheet?.sessions?.[i] }));
+
+// "first time – work finish" of a session (the finish without its date when on the same day)
+export function sessionPeriod(s, lang) {
+  const from = TIMELINE.find((step) => s[`${step}Date`] || s[`${step}Time`]) || "startTravel";
+  const finish = pairTime(s, "workFinish");
+  const to =
+    finish && s.workFinishDate === s[`${from}Date`] ? finish.locale(lang).format("LT") : formatDateTime(s.workFinishDate, s.workFinishTime, lang);
+  return `${formatDateTime(s[`${from}Date`], s[`${from}Time`], lang)} – ${to}`;
+}
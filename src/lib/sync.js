@@ -0,0 +1,134 @@
+import { del, get, getAll, put } from "./db";
+
+// Pushes finished reports to a backend. Submissions go into a persistent outbox
+// (IndexedDB "outbox": { id: reportId, fsrNo, document, pdf?, queuedAt, attempts, nextAttemptAt, lastError })
+// and are sent by processOutbox(), retried with exponential backoff while they fail.
+//
+// Adapters are pluggable: createAdapter(settings) -> { send({ reportId, fsrNo, document, pdf, idempotencyKey }) }.
+// send() resolves on success and throws otherwise; an error with `retryable: false` (e.g. the
+// server rejected the payload) stops automatic retries until the user retries by hand.
+//
+// A report's sync status lives on its library record: record.sync = { status, at, error?, attempts? }
+//   draft  - never submitted (no record.sync)
+//   queued - in the outbox, waiting for its first/next attempt
+//   sent   - accepted by the backend
+//   failed - rejected; stays in the outbox until retried manually
+const STORE = "outbox";
+const SETTINGS_KEY = "fsr_sync_settings";
+export const SYNC_STATUSES = ["draft", "queued", "sent", "failed"];
+export const DEFAULT_SYNC_SETTINGS = { adapter: "rest", endpoint: "", token: "", includePdf: true };
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+
+export function loadSyncSettings() {
+  try {
+    return { ...DEFAULT_SYNC_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return DEFAULT_SYNC_SETTINGS;
+  }
+}
+
+export function saveSyncSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export const syncStatus = (report) => report?.sync?.status || "draft";
+export const isSyncConfigured = (settings) => !!settings.endpoint.trim() && settings.adapter in SYNC_ADAPTERS;
+
+// 30s, 1m, 2m, 4m ... capped at 30m
+export const backoffDelay = (attempts) => Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+function syncError(message, retryable) {
+  const e = new Error(message);
+  e.retryable = retryable;
+  return e;
+}
+
+// Plain REST: POST {endpoint} with `Authorization: Bearer <token>`. JSON body when there is
+// no PDF; otherwise multipart/form-data with parts "report" (JSON) and "pdf".
+// Any 2xx counts as accepted; 408/429/5xx and network errors are retried.
+export function createRestAdapter({ endpoint, token }) {
+  return {
+    async send({ fsrNo, document, pdf, idempotencyKey }) {
+      const headers = { "Idempotency-Key": idempotencyKey };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      const json = JSON.stringify(document);
+      let body = json;
+      if (pdf) {
+        body = new FormData();
+        body.append("report", new Blob([json], { type: "application/json" }), `${fsrNo}.json`);
+        body.append("pdf", pdf, `${fsrNo}.pdf`);
+      } else {
+        headers["Content-Type"] = "application/json";
+      }
+
+      let res;
+      try {
+        res = await fetch(endpoint, { method: "POST", headers, body, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+      } catch (e) {
+        throw syncError(e.name === "TimeoutError" ? "Request timed out" : `Network error: ${e.message}`, true);
+      }
+      if (res.ok) return;
+      const detail = (await res.text().catch(() => "")).slice(0, 200);
+      const retryable = res.status === 408 || res.status === 429 || res.status >= 500;
+      throw syncError(`HTTP ${res.status}${detail ? `: ${detail}` : ""}`, retryable);
+    },
+  };
+}
+
+export const SYNC_ADAPTERS = { rest: createRestAdapter };
+
+export const listOutbox = () => getAll(STORE);
+
+// Puts a report (JSON document + optional PDF blob) in the outbox, replacing an older submission
+export async function enqueueReport({ reportId, fsrNo, document, pdf = null }) {
+  const entry = { id: reportId, fsrNo, document, pdf, queuedAt: new Date().toISOString(), attempts: 0, nextAttemptAt: Date.now(), lastError: "" };
+  await put(STORE, entry);
+  return entry;
+}
+
+// Makes a rejected entry due again
+export async function retryEntry(entry) {
+  const next = { ...entry, nextAttemptAt: Date.now() };
+  await put(STORE, next);
+  return next;
+}
+
+export const removeEntry = (id) => del(STORE, id);
+
+// Sends every due entry once. Returns [{ reportId, sync }] with the new status of each attempted report.
+// Overlapping calls (timer + "online" event) share the run in progress.
+let running = null;
+export function processOutbox(settings, opts) {
+  running ??= sendDue(settings, opts).finally(() => (running = null));
+  return running;
+}
+
+async function sendDue(settings, { now = Date.now() } = {}) {
+  if (!isSyncConfigured(settings)) return [];
+  const adapter = SYNC_ADAPTERS[settings.adapter](settings);
+  const due = (await listOutbox()).filter((e) => e.nextAttemptAt !== null && e.nextAttemptAt <= now);
+  const results = [];
+  for (const entry of due) {
+    const attempts = entry.attempts + 1;
+    const at = new Date().toISOString();
+    let outcome;
+    try {
+      await adapter.send({ reportId: entry.id, fsrNo: entry.fsrNo, document: entry.document, pdf: entry.pdf, idempotencyKey: `${entry.id}:${entry.queuedAt}` });
+      outcome = { sync: { status: "sent", at, attempts } };
+    } catch (e) {
+      const retryable = e.retryable !== false;
+      outcome = {
+        sync: { status: retryable ? "queued" : "failed", at, attempts, error: e.message },
+        entry: { ...entry, attempts, lastError: e.message, nextAttemptAt: retryable ? Date.now() + backoffDelay(attempts) : null },
+      };
+    }
+    // The report may have been re-submitted while this attempt was in flight
+    if ((await get(STORE, entry.id))?.queuedAt !== entry.queuedAt) continue;
+    await (outcome.entry ? put(STORE, outcome.entry) : removeEntry(entry.id));
+    results.push({ reportId: entry.id, sync: outcome.sync });
+  }
+  return results;
+}
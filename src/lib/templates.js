@@ -0,0 +1,169 @@
+import ct from "../templates/ct.json";
+import igtCv from "../templates/igt-cv.json";
+import mr from "../templates/mr.json";
+import ultrasound from "../templates/ultrasound.json";
+import { del, getAll, put } from "./db";
+import { createTranslator, localize } from "./i18n";
+
+// Form templates (JSON): per modality/job type defaults, job/service type option lists,
+// label overrides for built-in fields, extra sections of typed fields and the form-panel layout.
+// Any label/title may be plain text or per language: { "en": "...", "id": "..." }.
+//   { id, name, defaults: {field: text}, labels: {field: label},
+//     jobTypes: [{key, label}], serviceTypes: [{key, label}],
+//     sections: [{ id, title, fields: [{ key, label, type, options?, default? }] }],
+//     layout?: [sectionId, ...], pmChecklist?: [{ group, item, unit?, min?, max? }] }
+// `defaults` may only set the text fields in DEFAULTABLE_FIELDS. `layout` orders the form panel's
+// built-in (BUILTIN_SECTIONS) and template sections; built-ins left out are hidden, except the
+// FIXED_SECTIONS every report needs. Without it the template sections follow Types.
+// A report keeps a snapshot of its template in `form.template`, values of template fields in `form.custom`.
+const STORE = "templates";
+
+export const FIELD_TYPES = ["text", "textarea", "number", "date", "time", "select", "checkbox"];
+export const BUILTIN_TEMPLATES = [igtCv, ct, mr, ultrasound];
+export const DEFAULT_TEMPLATE_ID = igtCv.id;
+
+export const DEFAULTABLE_FIELDS = [
+  "customerName", "address", "contactPerson", "phone", "modality", "model", "productNo",
+  "startTravelTime", "arrivedTime", "workStartTime", "workFinishTime", "breakdown",
+  "problem", "action", "jobStatus", "statusChargeable", "conditionWhenLeave", "trainerName",
+];
+
+export const BUILTIN_SECTIONS = ["brand", "customer", "timing", "types", "problemAction", "pmChecklist", "parts", "photos", "signatures"];
+export const FIXED_SECTIONS = ["brand", "customer", "timing", "signatures"];
+// Built-in fields shown in a section that can be hidden (not asked for when it is)
+const SECTION_FIELDS = { problemAction: ["problem", "action"], parts: ["jobStatus", "statusChargeable", "conditionWhenLeave"] };
+
+// Throws with every problem found; returns the template otherwise
+export function validateTemplate(t) {
+  const errs = [];
+  const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+  const isLabel = (v) => typeof v === "string" || (isObj(v) && Object.values(v).every((s) => typeof s === "string"));
+  if (!isObj(t)) throw new Error("Template must be a JSON object");
+  if (typeof t.id !== "string" || !t.id.trim()) errs.push("id: required text");
+  if (typeof t.name !== "string" || !t.name.trim()) errs.push("name: required text");
+  if (t.labels !== undefined && !isObj(t.labels)) errs.push("labels: expected an object");
+  if (t.defaults !== undefined && !isObj(t.defaults)) errs.push("defaults: expected an object");
+  else {
+    for (const [key, value] of Object.entries(t.defaults ?? {})) {
+      if (!DEFAULTABLE_FIELDS.includes(key)) errs.push(`defaults.${key}: not a field with a template default (${DEFAULTABLE_FIELDS.join(", ")})`);
+      else if (typeof value !== "string") errs.push(`defaults.${key}: expected text`);
+    }
+  }
+  for (const group of ["jobTypes", "serviceTypes"]) {
+    if (!Array.isArray(t[group])) errs.push(`${group}: expected a list of {key, label}`);
+    else t[group].forEach((o, i) => (!isObj(o) || typeof o.key !== "string" || !isLabel(o.label)) && errs.push(`${group}.${i}: expected {key, label}`));
+  }
+  if (!Array.isArray(t.sections)) errs.push("sections: expected a list");
+  else {
+    const keys = new Set();
+    const ids = new Set();
+    t.sections.forEach((s, i) => {
+      if (!isObj(s) || !isLabel(s.title) || !Array.isArray(s.fields)) return errs.push(`sections.${i}: expected {id, title, fields}`);
+      if (typeof s.id !== "string" || !s.id.trim()) errs.push(`sections.${i}.id: required text`);
+      else if (BUILTIN_SECTIONS.includes(s.id)) errs.push(`sections.${i}.id: "${s.id}" is a built-in section`);
+      else if (ids.has(s.id)) errs.push(`sections.${i}.id: duplicate "${s.id}"`);
+      ids.add(s.id);
+      s.fields.forEach((f, j) => {
+        const at = `sections.${i}.fields.${j}`;
+        if (!isObj(f) || typeof f.key !== "string" || !isLabel(f.label)) return errs.push(`${at}: expected {key, label, type}`);
+        if (!FIELD_TYPES.includes(f.type)) errs.push(`${at}.type: one of ${FIELD_TYPES.join(", ")}`);
+        if (f.type === "select" && (!Array.isArray(f.options) || !f.options.length)) errs.push(`${at}.options: required for select`);
+        if (keys.has(f.key)) errs.push(`${at}.key: duplicate "${f.key}"`);
+        keys.add(f.key);
+      });
+    });
+  }
+  if (t.layout !== undefined) {
+    const ids = Array.isArray(t.sections) ? t.sections.map((s) => s?.id) : [];
+    if (!Array.isArray(t.layout)) errs.push("layout: expected a list of section ids");
+    else {
+      t.layout.forEach((id, i) => {
+        if (!BUILTIN_SECTIONS.includes(id) && !ids.includes(id)) errs.push(`layout.${i}: unknown section "${id}"`);
+        if (t.layout.indexOf(id) !== i) errs.push(`layout.${i}: duplicate "${id}"`);
+      });
+      for (const id of [...FIXED_SECTIONS, ...ids]) if (!t.layout.includes(id)) errs.push(`layout: missing section "${id}"`);
+    }
+  }
+  if (t.pmChecklist !== undefined) {
+    if (!Array.isArray(t.pmChecklist)) errs.push("pmChecklist: expected a list");
+    else t.pmChecklist.forEach((it, i) => (!isObj(it) || typeof it.item !== "string") && errs.push(`pmChecklist.${i}: expected {group, item, unit, min, max}`));
+  }
+  if (errs.length) throw new Error(errs.join("\n"));
+  return t;
+}
+
+export function fieldDefault(field) {
+  if (field.type === "checkbox") return field.default === true;
+  if (field.type === "select") return field.default ?? field.options[0] ?? "";
+  return field.default ?? "";
+}
+
+// Applies a template to a form: type option lists, template field values and (for new
+// reports, keepValues = false) its field defaults. Ticked types and typed values are kept.
+export function applyTemplate(form, template, { keepValues = true } = {}) {
+  const pick = (group) => Object.fromEntries(template[group].map(({ key }) => [key, form[group]?.[key] ?? false]));
+  const custom = {};
+  for (const s of template.sections) for (const f of s.fields) custom[f.key] = keepValues && f.key in (form.custom || {}) ? form.custom[f.key] : fieldDefault(f);
+  const defaults = Object.entries(template.defaults ?? {}).filter(([key, value]) => DEFAULTABLE_FIELDS.includes(key) && typeof value === "string");
+  return {
+    ...form,
+    ...(keepValues ? {} : Object.fromEntries(defaults)),
+    template: structuredClone(template),
+    jobTypes: pick("jobTypes"),
+    serviceTypes: pick("serviceTypes"),
+    custom,
+  };
+}
+
+// Form-panel sections in order: built-in ids and the template's own sections ({ id, title, fields })
+export function sectionLayout(template) {
+  const own = template?.sections ?? [];
+  if (!template?.layout) return [...BUILTIN_SECTIONS.slice(0, 4), ...own, ...BUILTIN_SECTIONS.slice(4)];
+  return template.layout.map((id) => own.find((s) => s.id === id) ?? id);
+}
+
+// Report body (preview, PDF, DOCX) between the header blocks (brand, customer, timing) and the
+// signatures, in layout order. The work-session table belongs to timing; it prints after
+// Problem/Action, or first when the layout hides that section.
+export function reportSections(template) {
+  const body = sectionLayout(template).filter((s) => !FIXED_SECTIONS.includes(s));
+  body.splice(body.indexOf("problemAction") + 1, 0, "sessions");
+  return body;
+}
+
+// Built-in fields the template's layout leaves out of the form
+export function hiddenFields(template) {
+  if (!template?.layout) return [];
+  return Object.entries(SECTION_FIELDS).flatMap(([id, fields]) => (template.layout.includes(id) ? [] : fields));
+}
+
+export function findTemplate(templates, id) {
+  return templates.find((t) => t.id === id) || BUILTIN_TEMPLATES[0];
+}
+
+// Label of a job/service type key, from the report's template when it has one
+export function typeLabel(form, group, key, t = createTranslator()) {
+  const hit = form.template?.[group]?.find((o) => o.key === key);
+  if (hit) return localize(hit.label, t.lang);
+  return t(`${group}.${key}`);
+}
+
+// Built-in field label (t key `field.<key>`) with the template override applied
+export function fieldLabel(form, key, t = createTranslator()) {
+  const override = form.template?.labels?.[key];
+  return override ? localize(override, t.lang) : t(`field.${key}`);
+}
+
+export function formatCustomValue(field, value, t = createTranslator()) {
+  if (field.type === "checkbox") return value ? t("common.yes") : t("common.no");
+  return value === "" || value == null ? "-" : String(value);
+}
+
+// User templates live in IndexedDB; built-ins ship with the app and cannot be deleted
+export async function listTemplates() {
+  const user = await getAll(STORE);
+  return [...BUILTIN_TEMPLATES, ...user.filter((t) => !BUILTIN_TEMPLATES.some((b) => b.id === t.id))];
+}
+export const saveTemplate = (t) => put(STORE, validateTemplate(t));
+export const deleteTemplate = (id) => del(STORE, id);
+export const isBuiltinTemplate = (id) => BUILTIN_TEMPLATES.some((t) => t.id === id);
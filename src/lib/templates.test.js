@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { BUILTIN_TEMPLATES, hiddenFields, reportSections, sectionLayout, validateTemplate } from "./templates";
+
+const template = (extra = {}) => ({
+  id: "t1",
+  name: "Test",
+  jobTypes: [],
+  serviceTypes: [],
+  sections: [{ id: "probes", title: "Probes", fields: [{ key: "probeSerial", label: "Probe Serial", type: "text" }] }],
+  ...extra,
+});
+const errors = (t) => {
+  try {
+    validateTemplate(t);
+    return [];
+  } catch (e) {
+    return e.message.split("\n");
+  }
+};
+
+describe("validateTemplate", () => {
+  it("accepts the built-in templates", () => {
+    for (const t of BUILTIN_TEMPLATES) expect(errors(t)).toEqual([]);
+  });
+
+  it("requires unique section ids that are not built-in section names", () => {
+    const section = (id, key) => ({ id, title: "S", fields: [{ key, label: "F", type: "text" }] });
+    expect(errors(template({ sections: [section("", "a"), section("probes", "b"), section("probes", "c"), section("parts", "d")] }))).toEqual([
+      "sections.0.id: required text",
+      'sections.2.id: duplicate "probes"',
+      'sections.3.id: "parts" is a built-in section',
+    ]);
+  });
+
+  it("checks the layout lists known sections once and keeps the fixed ones", () => {
+    expect(errors(template({ layout: ["brand", "customer", "probes", "nope", "probes", "signatures"] }))).toEqual([
+      'layout.3: unknown section "nope"',
+      'layout.4: duplicate "probes"',
+      'layout: missing section "timing"',
+    ]);
+  });
+});
+
+describe("sectionLayout", () => {
+  it("puts template sections after Types without a layout", () => {
+    expect(sectionLayout(template()).map((s) => s.id ?? s)).toEqual([
+      "brand", "customer", "timing", "types", "probes", "problemAction", "pmChecklist", "parts", "photos", "signatures",
+    ]);
+  });
+
+  it("follows the layout and hides the built-ins it leaves out", () => {
+    const t = template({ layout: ["brand", "customer", "timing", "parts", "probes", "signatures"] });
+    expect(sectionLayout(t).map((s) => s.id ?? s)).toEqual(["brand", "customer", "timing", "parts", "probes", "signatures"]);
+    expect(hiddenFields(t)).toEqual(["problem", "action"]);
+  });
+});
+
+describe("reportSections", () => {
+  it("leaves out the fixed sections and prints work sessions after Problem/Action", () => {
+    expect(reportSections(template()).map((s) => s.id ?? s)).toEqual(["types", "probes", "problemAction", "sessions", "pmChecklist", "parts", "photos"]);
+  });
+
+  it("prints work sessions first when Problem/Action is hidden", () => {
+    const t = template({ layout: ["brand", "customer", "timing", "photos", "probes", "signatures"] });
+    expect(reportSections(t).map((s) => s.id ?? s)).toEqual(["sessions", "photos", "probes"]);
+  });
+});
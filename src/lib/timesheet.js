@@ -0,0 +1,121 @@
+import dayjs from "dayjs";
+import { createTranslator } from "./i18n";
+import { sortSessions } from "./sessions";
+import { pairTime } from "./validation";
+
+// Labour/travel figures computed from the Timing pairs (minutes):
+//   travel  = Start Travel -> Arrived
+//   waiting = Arrived -> Work Start (on site, not yet working)
+//   work    = Work Start -> Work Finish minus breaks
+//   overtime = travel + work minutes that fall outside the configured working hours
+// Date pairs make multi-day jobs work; a break whose end is before its start runs past midnight.
+export const DEFAULT_WORKING_HOURS = { start: "08:00", end: "17:00", days: [1, 2, 3, 4, 5] }; // days: 0 = Sunday
+const HOURS_KEY = "fsr_working_hours";
+
+export function loadWorkingHours() {
+  try {
+    return { ...DEFAULT_WORKING_HOURS, ...JSON.parse(localStorage.getItem(HOURS_KEY)) };
+  } catch {
+    return DEFAULT_WORKING_HOURS;
+  }
+}
+
+export function saveWorkingHours(hours) {
+  localStorage.setItem(HOURS_KEY, JSON.stringify(hours));
+}
+
+export function formatMinutes(min, t = createTranslator()) {
+  if (min == null) return "-";
+  const h = Math.floor(min / 60);
+  const m = Math.round(min % 60);
+  return h ? `${h}${t("time.h")} ${String(m).padStart(2, "0")}${t("time.m")}` : `${m}${t("time.m")}`;
+}
+
+// Break entry { date, start, end, note } -> [from, to] or null
+function breakInterval(b) {
+  if (!b.date || !b.start || !b.end) return null;
+  const from = dayjs(`${b.date}T${b.start}`);
+  let to = dayjs(`${b.date}T${b.end}`);
+  if (!from.isValid() || !to.isValid()) return null;
+  if (!to.isAfter(from)) to = to.add(1, "day");
+  return [from, to];
+}
+
+const span = ([a, b]) => Math.max(0, b.diff(a, "minute"));
+
+// [from, to] minus a list of intervals -> remaining pieces
+function subtract([from, to], cuts) {
+  let pieces = [[from, to]];
+  for (const [cf, ct] of cuts) {
+    pieces = pieces.flatMap(([a, b]) => {
+      if (!ct.isAfter(a) || !cf.isBefore(b)) return [[a, b]];
+      const out = [];
+      if (cf.isAfter(a)) out.push([a, cf]);
+      if (ct.isBefore(b)) out.push([ct, b]);
+      return out;
+    });
+  }
+  return pieces;
+}
+
+// Minutes of [from, to] outside the working window, day by day
+function outsideHours([from, to], hours) {
+  const [sh, sm] = hours.start.split(":").map(Number);
+  const [eh, em] = hours.end.split(":").map(Number);
+  let inside = 0;
+  for (let d = from.startOf("day"); d.isBefore(to); d = d.add(1, "day")) {
+    if (!hours.days.includes(d.day())) continue;
+    const ws = d.hour(sh).minute(sm);
+    const we = d.hour(eh).minute(em);
+    const a = from.isAfter(ws) ? from : ws;
+    const b = to.isBefore(we) ? to : we;
+    if (b.isAfter(a)) inside += b.diff(a, "minute");
+  }
+  return span([from, to]) - inside;
+}
+
+// Figures of one set of Timing pairs (the form itself, or one work session)
+function timingFigures(times, breaks, hours) {
+  const startTravel = pairTime(times, "startTravel");
+  const arrived = pairTime(times, "arrived");
+  const workStart = pairTime(times, "workStart");
+  const workFinish = pairTime(times, "workFinish");
+
+  const travel = startTravel && arrived && !arrived.isBefore(startTravel) ? [startTravel, arrived] : null;
+  const waiting = arrived && workStart && !workStart.isBefore(arrived) ? [arrived, workStart] : null;
+  const work = workStart && workFinish && !workFinish.isBefore(workStart) ? [workStart, workFinish] : null;
+  const workPieces = work ? subtract(work, breaks) : [];
+  const worked = [...(travel ? [travel] : []), ...workPieces];
+
+  const travelMin = travel ? span(travel) : null;
+  const workMin = work ? workPieces.reduce((s, p) => s + span(p), 0) : null;
+  const overtimeMin = worked.reduce((s, p) => s + outsideHours(p, hours), 0);
+  return {
+    travelMin,
+    waitingMin: waiting ? span(waiting) : null,
+    breakMin: work ? span(work) - workMin : null,
+    workMin,
+    totalMin: travelMin == null && workMin == null ? null : (travelMin || 0) + (workMin || 0),
+    overtimeMin,
+    overtime: overtimeMin > 0,
+  };
+}
+
+const FIGURES = ["travelMin", "waitingMin", "breakMin", "workMin", "totalMin"];
+
+// With a work-session log (form.sessions) the figures are the totals across its sessions, and
+// `sessions` lists each session's own figures in chronological order (see sessions.js)
+export function computeTimesheet(form, hours = DEFAULT_WORKING_HOURS) {
+  const breaks = (form.breaks || []).map(breakInterval).filter(Boolean);
+  if (!form.sessions?.length) return timingFigures(form, breaks, hours);
+
+  const sessions = sortSessions(form.sessions).map((s) => ({ id: s.id, ...timingFigures(s, breaks, hours) }));
+  const totals = Object.fromEntries(
+    FIGURES.map((key) => {
+      const known = sessions.filter((s) => s[key] != null);
+      return [key, known.length ? known.reduce((sum, s) => sum + s[key], 0) : null];
+    })
+  );
+  const overtimeMin = sessions.reduce((sum, s) => sum + s.overtimeMin, 0);
+  return { ...totals, overtimeMin, overtime: overtimeMin > 0, sessions };
+}
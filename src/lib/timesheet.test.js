@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { defaultForm } from "./form";
+import { computeTimesheet, formatMinutes } from "./timesheet";
+
+// 2026-03-02 is a Monday; default working hours are 08:00-17:00, Monday to Friday
+const timing = (date, [startTravel, arrived, workStart, workFinish], finishDate = date) => ({
+  startTravelDate: date,
+  startTravelTime: startTravel,
+  arrivedDate: date,
+  arrivedTime: arrived,
+  workStartDate: date,
+  workStartTime: workStart,
+  workFinishDate: finishDate,
+  workFinishTime: workFinish,
+});
+const form = (extra) => ({ ...structuredClone(defaultForm), sessions: [], breaks: [], ...extra });
+
+describe("computeTimesheet", () => {
+  it("splits travel, waiting and work, takes breaks off the work time and counts overtime", () => {
+    const ts = computeTimesheet(form({ ...timing("2026-03-02", ["07:00", "08:00", "08:30", "18:00"]), breaks: [{ date: "2026-03-02", start: "12:00", end: "13:00", note: "" }] }));
+    expect(ts).toMatchObject({ travelMin: 60, waitingMin: 30, workMin: 510, breakMin: 60, totalMin: 570, overtimeMin: 120, overtime: true });
+  });
+
+  it("counts a weekend job as overtime and handles work past midnight", () => {
+    const ts = computeTimesheet(form(timing("2026-03-07", ["09:00", "10:00", "10:00", "01:00"], "2026-03-08")));
+    expect(ts).toMatchObject({ travelMin: 60, workMin: 900, overtimeMin: 960 });
+  });
+
+  it("lets a break whose end is before its start run past midnight", () => {
+    const ts = computeTimesheet(form({ ...timing("2026-03-02", ["08:00", "08:00", "20:00", "02:00"], "2026-03-03"), breaks: [{ date: "2026-03-02", start: "23:30", end: "00:30", note: "" }] }));
+    expect(ts).toMatchObject({ workMin: 300, breakMin: 60 });
+  });
+
+  it("leaves figures without both ends of their pair empty, and ignores pairs in the wrong order", () => {
+    const ts = computeTimesheet(form(timing("2026-03-02", ["10:00", "09:00", "", "12:00"])));
+    expect(ts).toMatchObject({ travelMin: null, waitingMin: null, workMin: null, breakMin: null, totalMin: null, overtimeMin: 0, overtime: false });
+  });
+
+  it("totals the work sessions and lists each in chronological order", () => {
+    const ts = computeTimesheet(
+      form({
+        sessions: [
+          { id: "b", ...timing("2026-03-03", ["08:00", "08:30", "08:30", "12:00"]) },
+          { id: "a", ...timing("2026-03-02", ["13:00", "14:00", "14:00", "19:00"]) },
+        ],
+      })
+    );
+    expect(ts.sessions.map((s) => [s.id, s.travelMin, s.workMin, s.overtimeMin])).toEqual([
+      ["a", 60, 300, 120],
+      ["b", 30, 210, 0],
+    ]);
+    expect(ts).toMatchObject({ travelMin: 90, workMin: 510, totalMin: 600, overtimeMin: 120, overtime: true });
+  });
+});
+
+describe("formatMinutes", () => {
+  it("shows hours and zero-padded minutes", () => {
+    expect(formatMinutes(125)).toBe("2h 05m");
+    expect(formatMinutes(45)).toBe("45m");
+    expect(formatMinutes(null)).toBe("-");
+  });
+});
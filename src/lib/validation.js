@@ -0,0 +1,83 @@
+import dayjs from "dayjs";
+import { isPartFilled, isValidQty } from "./catalog";
+import { createTranslator } from "./i18n";
+import { fieldLabel, hiddenFields } from "./templates";
+
+// Pre-export checks: configurable required fields + chronological order of the Timing pairs
+
+// Built-in fields that can be made required (labels: t(`field.<key>`))
+export const REQUIRABLE_FIELDS = [
+  "swoNo", "fsrNo", "customerName", "address", "contactPerson", "phone", "modality", "model", "serialNo", "productNo",
+  "startTravelDate", "startTravelTime", "arrivedDate", "arrivedTime", "workStartDate", "workStartTime", "workFinishDate", "workFinishTime",
+  "problem", "action", "jobStatus", "statusChargeable", "conditionWhenLeave", "fseName",
+];
+
+export const DEFAULT_REQUIRED = ["fsrNo", "customerName", "serialNo", "workStartDate", "workFinishDate", "fseName"];
+const REQUIRED_KEY = "fsr_required_fields";
+
+// Timing pairs in the order they must happen (labels: t(`timeline.<key>`))
+export const TIMELINE = ["startTravel", "arrived", "workStart", "workFinish"];
+
+export function loadRequiredFields() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REQUIRED_KEY));
+    if (Array.isArray(saved)) return saved.filter((f) => REQUIRABLE_FIELDS.includes(f));
+  } catch {
+    // fall through to defaults
+  }
+  return DEFAULT_REQUIRED;
+}
+
+export function saveRequiredFields(fields) {
+  localStorage.setItem(REQUIRED_KEY, JSON.stringify(fields));
+}
+
+// dayjs for a "<key>Date" + "<key>Time" pair, or null when incomplete/invalid
+export function pairTime(form, key) {
+  const date = form[`${key}Date`];
+  const time = form[`${key}Time`];
+  if (!date || !time) return null;
+  const t = dayjs(`${date}T${time}`);
+  return t.isValid() ? t : null;
+}
+
+// Returns { [field]: { message, kind: "required" | "timeline" | "format" } }
+export function validateForm(form, required = DEFAULT_REQUIRED, t = createTranslator()) {
+  const issues = {};
+  const hidden = hiddenFields(form.template);
+  for (const field of required.filter((f) => !hidden.includes(f))) {
+    if (!String(form[field] ?? "").trim()) issues[field] = { message: t("validation.required", { field: fieldLabel(form, field, t) }), kind: "required" };
+  }
+
+  checkTimeline(form, issues, "", (vars) => t("validation.timeline", vars), t);
+  (form.sessions || []).forEach((s, i) => checkTimeline(s, issues, `sessions.${i}.`, (vars) => t("validation.sessionTimeline", { n: i + 1, ...vars }), t));
+
+  form.parts.forEach((p, i) => {
+    if (isPartFilled(p) && !isValidQty(p.qty)) issues[`parts.${i}.qty`] = { message: t("validation.qty", { n: i + 1 }), kind: "format" };
+  });
+  return issues;
+}
+
+// Each pair must not be earlier than the closest filled-in pair before it; issues are keyed `${prefix}${field}`
+function checkTimeline(times, issues, prefix, message, t) {
+  let prev = null;
+  for (const step of TIMELINE) {
+    const at = pairTime(times, step);
+    if (!at) continue;
+    if (prev && at.isBefore(prev.at)) {
+      const field = prefix + (at.isSame(prev.at, "day") ? `${step}Time` : `${step}Date`);
+      issues[field] ??= { message: message({ step: t(`timeline.${step}`), prev: t(`timeline.${prev.step}`) }), kind: "timeline" };
+    }
+    prev = { at, step };
+  }
+}
+
+// Moves focus to the first control marked invalid inside `root` (after a blocked export, the field the
+// user has to fix first); returns whether there was one
+export function focusFirstInvalid(root = document) {
+  const el = root.querySelector('[aria-invalid="true"]:not(:disabled)');
+  if (!el) return false;
+  el.scrollIntoView({ block: "center" });
+  el.focus({ preventScroll: true });
+  return true;
+}
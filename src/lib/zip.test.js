@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { readZip, zipText } from "../test/readZip";
+import { createZip } from "./zip";
+
+describe("createZip", () => {
+  const files = [
+    { name: "FSR-001.json", data: '{"fsrNo":"FSR-001"}' },
+    { name: "Laporan ü.txt", data: new Uint8Array([1, 2, 3]) },
+    { name: "empty.csv", data: new Blob([""]) },
+  ];
+
+  it("stores every file under its UTF-8 name", async () => {
+    const entries = await readZip(await createZip(files));
+    expect(Object.keys(entries)).toEqual(["FSR-001.json", "Laporan ü.txt", "empty.csv"]);
+    expect(zipText(entries, "FSR-001.json")).toBe('{"fsrNo":"FSR-001"}');
+    expect([...entries["Laporan ü.txt"]]).toEqual([1, 2, 3]);
+    expect(entries["empty.csv"].length).toBe(0);
+  });
+
+  it("writes CRC-32, DOS time and a central directory that points at the entries", async () => {
+    const bytes = new Uint8Array(await (await createZip([{ name: "a.txt", data: "123456789" }], new Date(2026, 2, 2, 10, 15, 30))).arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    expect(view.getUint32(14, true)).toBe(0xcbf43926); // CRC-32 check value of "123456789"
+    expect(view.getUint16(10, true)).toBe((10 << 11) | (15 << 5) | 15);
+    expect(view.getUint16(12, true)).toBe(((2026 - 1980) << 9) | (3 << 5) | 2);
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(1);
+    const central = view.getUint32(end + 16, true);
+    expect(central).toBe(30 + 5 + 9);
+    expect(view.getUint32(central, true)).toBe(0x02014b50);
+    expect(view.getUint32(central + 16, true)).toBe(0xcbf43926);
+    expect(view.getUint32(central + 42, true)).toBe(0);
+  });
+});
@@ -0,0 +1,57 @@
+// Service worker: precaches the app shell, every build chunk (incl. the lazily imported
+// html2canvas/jspdf/pdfVector chunks) and the Tailwind CDN script, then serves them
+// cache-first so the installed app - PDF export included - works without a network.
+// The build (see vite.config.js) fills in the self.__*__ placeholders below.
+const VERSION = self.__BUILD_VERSION__;
+const PRECACHE = self.__PRECACHE__; // same-origin URLs relative to this file
+const EXTERNAL = self.__EXTERNAL__.map((u) => new URL(u).href); // cross-origin scripts referenced by index.html
+const CACHE = `fsr-${VERSION}`;
+const SHELL = "index.html";
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(
+    caches.open(CACHE).then(async (cache) => {
+      await cache.addAll(PRECACHE);
+      // Opaque responses are fine for <script> tags
+      await Promise.all(EXTERNAL.map((url) => fetch(url, { mode: "no-cors" }).then((res) => cache.put(url, res))));
+    })
+  );
+});
+
+// Old versions are dropped once the new worker takes over (after all tabs of the old one closed,
+// so an open page never loses the chunks it was built with)
+self.addEventListener("activate", (e) => {
+  e.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("fsr-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (e) => {
+  const { request } = e;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+  if (!sameOrigin && !EXTERNAL.includes(request.url)) return;
+
+  // Navigations get the cached shell (single-page app)
+  if (request.mode === "navigate") {
+    e.respondWith(caches.match(SHELL).then((hit) => hit || fetch(request)));
+    return;
+  }
+  e.respondWith(
+    caches.match(request).then(
+      (hit) =>
+        hit ||
+        fetch(request).then((res) => {
+          if (sameOrigin && res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return res;
+        })
+    )
+  );
+});
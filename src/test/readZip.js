@@ -0,0 +1,17 @@
+// Test helper: entries of a ZIP written by createZip (stored, no compression) -> { [name]: Uint8Array }
+export async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const entries = {};
+  let at = 0;
+  while (view.getUint32(at, true) === 0x04034b50) {
+    const size = view.getUint32(at + 18, true);
+    const nameLength = view.getUint16(at + 26, true);
+    const name = new TextDecoder().decode(bytes.subarray(at + 30, at + 30 + nameLength));
+    entries[name] = bytes.slice(at + 30 + nameLength, at + 30 + nameLength + size);
+    at += 30 + nameLength + size;
+  }
+  return entries;
+}
+
+export const zipText = (entries, name) => new TextDecoder().decode(entries[name]);
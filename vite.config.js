@@ -1,7 +1,54 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs'
+import { join, relative } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes dist/sw.js from src/sw.js with the list of files to precache: every emitted
+// asset/chunk (so lazily imported PDF chunks are available offline), the public/ files
+// (manifest, icons) and the cross-origin scripts index.html loads.
+function serviceWorker() {
+  let config
+  const listFiles = (dir) =>
+    readdirSync(dir, { withFileTypes: true }).flatMap((e) => (e.isDirectory() ? listFiles(join(dir, e.name)) : [join(dir, e.name)]))
+
+  return {
+    name: 'fsr-service-worker',
+    apply: 'build',
+    configResolved(resolved) {
+      config = resolved
+    },
+    writeBundle(options, bundle) {
+      const hash = createHash('sha256')
+      const files = []
+      for (const [name, item] of Object.entries(bundle)) {
+        files.push(name)
+        hash.update(item.type === 'chunk' ? item.code : item.source)
+      }
+      for (const f of listFiles(config.publicDir)) {
+        files.push(relative(config.publicDir, f).split('\\').join('/'))
+        hash.update(readFileSync(f))
+      }
+      const precache = ['./', ...files.filter((f) => f !== 'sw.js' && !f.endsWith('.map'))]
+      const html = String(bundle['index.html']?.source ?? '')
+      const external = [...html.matchAll(/<script[^>]+src="(https?:\/\/[^"]+)"/g)].map((m) => m[1])
+      const version = hash.digest('hex').slice(0, 12)
+
+      const source = readFileSync('src/sw.js', 'utf8')
+        .replace('self.__BUILD_VERSION__', JSON.stringify(version))
+        .replace('self.__PRECACHE__', JSON.stringify(precache))
+        .replace('self.__EXTERNAL__', JSON.stringify(external))
+      writeFileSync(join(options.dir, 'sw.js'), source)
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
+  // `npm test`: component tests (*.test.jsx next to the code) in a simulated DOM
+  test: {
+    environment: 'jsdom',
+    include: ['src/**/*.test.{js,jsx}'],
+  },
 })